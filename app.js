@@ -3,7 +3,7 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
-const rateLimit = require("express-rate-limit");
+const createRateLimiter = require("./middleware/rateLimiter");
 const morgan = require("morgan");
 const authRoutes = require("./routes/auth");
 const cookieParser = require("cookie-parser");
@@ -11,11 +11,16 @@ const csrf = require("csurf");
 const subscriptionRoutes = require("./routes/subscription");
 const driversRoutes = require("./routes/drivers");
 const firearmsRoutes = require("./routes/firearms");
+const competenciesRoutes = require("./routes/competencies");
 const prpdRoutes = require("./routes/prpd");
 const vehiclesRoutes = require("./routes/vehicles");
 const workRoutes = require("./routes/work");
+const paymentsRoutes = require("./routes/payments");
+const licensesRoutes = require("./routes/licenses");
+const auditRoutes = require("./routes/audit");
+const trashRoutes = require("./routes/trash");
+const organisationsRoutes = require("./routes/organisations");
 const sanitizeHtml = require("sanitize-html");
-const { initializeDatabase } = require("./config/database");
 
 const app = express();
 
@@ -79,14 +84,14 @@ app.use((req, res, next) => {
 });
 
 // Rate limiting
-const limiter = rateLimit({
+const limiter = createRateLimiter("api", {
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
 });
 app.use("/api/", limiter);
 
 // Logging
-app.use(morgan("dev"));
+app.use(morgan("dev", { skip: () => process.env.NODE_ENV === "test" }));
 
 // Update CORS configuration
 const corsOptions = {
@@ -108,6 +113,10 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
+// Payment webhooks need the raw body and are authenticated by signature
+// rather than CSRF token, so they are mounted before the JSON parser
+app.use("/api/payments", paymentsRoutes);
+
 app.use(express.json({ limit: "10kb" })); // Limit payload size
 
 // Move cookie parser and CSRF setup before routes
@@ -158,12 +167,25 @@ app.use("/api/auth", csrfProtection, authRoutes);
 app.use("/api/users", csrfProtection, subscriptionRoutes);
 app.use("/api/drivers", csrfProtection, driversRoutes);
 app.use("/api/firearms", csrfProtection, firearmsRoutes);
+app.use("/api/competencies", csrfProtection, competenciesRoutes);
 app.use("/api/prpd", csrfProtection, prpdRoutes);
 app.use("/api/vehicles", csrfProtection, vehiclesRoutes);
 app.use("/api/work", csrfProtection, workRoutes);
+app.use("/api/licenses", csrfProtection, licensesRoutes);
+app.use("/api/audit", csrfProtection, auditRoutes);
+app.use("/api/trash", csrfProtection, trashRoutes);
+app.use("/api/organisations", csrfProtection, organisationsRoutes);
 
 // Global error handler
 app.use((err, req, res, next) => {
+  // Missing or stale CSRF token, not a server fault
+  if (err.code === "EBADCSRFTOKEN") {
+    return res.status(403).json({
+      message: "Invalid CSRF token",
+      code: "INVALID_CSRF_TOKEN",
+    });
+  }
+
   console.error(err.stack);
   res.status(500).json({
     message: "Internal server error",
@@ -171,19 +193,4 @@ app.use((err, req, res, next) => {
   });
 });
 
-const PORT = process.env.PORT || 3000;
-
-// Wrap server startup in async function
-const startServer = async () => {
-  try {
-    await initializeDatabase();
-    app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
-    });
-  } catch (error) {
-    console.error("Failed to start server:", error);
-    process.exit(1);
-  }
-};
-
-startServer();
+module.exports = app;
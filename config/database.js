@@ -47,6 +47,20 @@ const createPool = () => {
   return pool;
 };
 
+// Errors that mean the connection went away, as opposed to a bad query
+const CONNECTION_ERRORS = [
+  "PROTOCOL_CONNECTION_LOST",
+  "ETIMEDOUT",
+  "ECONNREFUSED",
+];
+
+// Run a query on a pooled connection.
+// - Resolves to [rows, fields] like mysql2 itself, so callers destructure the
+//   rows (`const [users] = await db.query(...)`) and read affectedRows and
+//   insertId from the result of writes. It used to resolve to the rows alone.
+// - Only connection errors are retried, on a fresh pool, up to three times.
+//   Anything else (bad SQL, duplicate keys) is rejected straight away; it
+//   used to be retried too, which delayed every error by up to 30 seconds.
 const query = async (sql, params = []) => {
   const operation = retry.operation({
     retries: 3,
@@ -62,10 +76,12 @@ const query = async (sql, params = []) => {
         const connection = await currentPool.getConnection();
 
         try {
-          console.log(`Executing query (attempt ${currentAttempt}):`, sql);
-          const [results] = await connection.query(sql, params);
+          if (process.env.NODE_ENV !== "test") {
+            console.log(`Executing query (attempt ${currentAttempt}):`, sql);
+          }
+          const result = await connection.query(sql, params);
           connection.release();
-          resolve(results);
+          resolve(result);
         } catch (queryError) {
           connection.release();
           throw queryError;
@@ -77,15 +93,14 @@ const query = async (sql, params = []) => {
           sql: sql,
         });
 
-        // Force pool recreation on specific errors
-        if (
-          error.code === "PROTOCOL_CONNECTION_LOST" ||
-          error.code === "ETIMEDOUT" ||
-          error.code === "ECONNREFUSED"
-        ) {
-          pool = null;
+        if (!CONNECTION_ERRORS.includes(error.code)) {
+          reject(error);
+          return;
         }
 
+        // Force pool recreation so the retry gets a fresh connection
+        pool = null;
+
         if (operation.retry(error)) {
           return;
         }
@@ -95,6 +110,34 @@ const query = async (sql, params = []) => {
   });
 };
 
+// Run queries on a single connection inside a transaction. The callback gets
+// the connection; it is committed if the callback resolves and rolled back if
+// it throws.
+const withTransaction = async (callback) => {
+  const connection = await createPool().getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await callback(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Stream the rows of a query one at a time instead of loading them all into
+// memory. Returns an object stream; the connection is released when it ends.
+const queryStream = (sql, params = []) => {
+  if (process.env.NODE_ENV !== "test") {
+    console.log("Executing streaming query:", sql);
+  }
+  return createPool().pool.query(sql, params).stream();
+};
+
 const testConnection = async () => {
   try {
     const result = await query("SELECT 1 as test");
@@ -135,11 +178,20 @@ const initializeDatabase = async () => {
     process.exit(1); // Exit the process if database connection fails
   }
 
+  // Bring the schema up to date before serving requests. Required here
+  // rather than at the top because the migrator itself uses this module.
+  if (process.env.DB_MIGRATE_ON_START === "true") {
+    const { migrate } = require("../database/migrator");
+    await migrate();
+  }
+
   return createPool();
 };
 
 module.exports = {
   query,
+  withTransaction,
+  queryStream,
   testConnection,
   createPool,
   initializeDatabase,
@@ -0,0 +1,43 @@
+// Firearm licence categories under the Firearms Control Act and how long each
+// is issued for. Renewal applications have to be lodged at least
+// `renewalLeadDays` before the licence expires, so that date is the renewal
+// deadline reminders and listings count down to.
+const firearmLicenseTypes = {
+  self_defence: {
+    label: "Self-defence (section 13)",
+    validityYears: 5,
+    renewalLeadDays: 90,
+  },
+  restricted_self_defence: {
+    label: "Restricted firearm for self-defence (section 14)",
+    validityYears: 2,
+    renewalLeadDays: 90,
+  },
+  occasional_hunting_sport: {
+    label: "Occasional hunting and sport-shooting (section 15)",
+    validityYears: 10,
+    renewalLeadDays: 90,
+  },
+  dedicated_hunting_sport: {
+    label: "Dedicated hunting and sport-shooting (section 16)",
+    validityYears: 10,
+    renewalLeadDays: 90,
+  },
+  private_collection: {
+    label: "Private collection (section 17)",
+    validityYears: 10,
+    renewalLeadDays: 90,
+  },
+  public_collection: {
+    label: "Public collection (section 19)",
+    validityYears: 10,
+    renewalLeadDays: 90,
+  },
+  business: {
+    label: "Business purposes (section 20)",
+    validityYears: 5,
+    renewalLeadDays: 90,
+  },
+};
+
+module.exports = firearmLicenseTypes;
@@ -0,0 +1,50 @@
+const { renewalDeadlineSql } = require("../utils/firearmLicense");
+
+// Licence record types tracked by the API. Keys are the category names used
+// by reminders and notification preferences; `route` is the segment the
+// router is mounted under in app.js. `deadlineSql` is the last day to renew,
+// where that comes before the expiry date. Types with `countsTowardsLimit`
+// set to false don't count towards the plan's record limit.
+const licenseTypes = {
+  firearm: {
+    table: "firearms",
+    route: "firearms",
+    label: "Firearm license",
+    titleSql: "CONCAT(make_model, ' (', registration_number, ')')",
+    deadlineSql: renewalDeadlineSql(),
+  },
+  vehicle: {
+    table: "vehicles",
+    route: "vehicles",
+    label: "Vehicle license disc",
+    titleSql: "CONCAT(make, ' ', model, ' (', registration, ')')",
+  },
+  driver: {
+    table: "drivers",
+    route: "drivers",
+    label: "Driver license",
+    titleSql: "CONCAT(first_name, ' ', last_name)",
+  },
+  prpd: {
+    table: "prpd",
+    route: "prpd",
+    label: "PRPD license",
+    titleSql: "CONCAT(first_name, ' ', last_name)",
+  },
+  work_contract: {
+    table: "work_contracts",
+    route: "work",
+    label: "Work contract",
+    titleSql: "CONCAT(contract_name, ' - ', company_name)",
+  },
+  competency: {
+    table: "competencies",
+    route: "competencies",
+    label: "Competency certificate",
+    titleSql: "CONCAT('Certificate ', certificate_number)",
+    // Certificates back firearm licences rather than being licences
+    countsTowardsLimit: false,
+  },
+};
+
+module.exports = licenseTypes;
@@ -0,0 +1,111 @@
+// Tables that predate the migration history: users and the five licence
+// tables. Databases created before migrations existed already have these and
+// are baselined instead (see README).
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        first_name VARCHAR(100) NULL,
+        last_name VARCHAR(100) NULL,
+        contact_number VARCHAR(20) NULL,
+        id_number VARCHAR(20) NULL,
+        type_of_user ENUM('registered', 'subscriber') NOT NULL DEFAULT 'registered',
+        subscription_end_date DATETIME NULL,
+        is_verified TINYINT(1) NOT NULL DEFAULT 0,
+        verification_token VARCHAR(255) NULL,
+        verification_token_expires DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_users_email (email),
+        KEY idx_users_verification_token (verification_token)
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE firearms (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        first_name VARCHAR(100) NOT NULL,
+        last_name VARCHAR(100) NOT NULL,
+        make_model VARCHAR(255) NOT NULL,
+        caliber VARCHAR(50) NOT NULL,
+        registration_number VARCHAR(100) NOT NULL,
+        expiry_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE vehicles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        make VARCHAR(100) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        registration VARCHAR(20) NOT NULL,
+        expiry_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE drivers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        first_name VARCHAR(100) NOT NULL,
+        last_name VARCHAR(100) NOT NULL,
+        id_number VARCHAR(20) NOT NULL,
+        expiry_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE prpd (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        first_name VARCHAR(100) NOT NULL,
+        last_name VARCHAR(100) NOT NULL,
+        id_number VARCHAR(20) NOT NULL,
+        expiry_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE work_contracts (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        contract_name VARCHAR(255) NOT NULL,
+        contract_type VARCHAR(100) NOT NULL,
+        company_name VARCHAR(255) NOT NULL,
+        first_name VARCHAR(100) NOT NULL,
+        last_name VARCHAR(100) NOT NULL,
+        contact_number VARCHAR(20) NOT NULL,
+        email_address VARCHAR(255) NOT NULL,
+        expiry_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    for (const table of [
+      "work_contracts",
+      "prpd",
+      "drivers",
+      "vehicles",
+      "firearms",
+      "users",
+    ]) {
+      await connection.query(`DROP TABLE ${table}`);
+    }
+  },
+};
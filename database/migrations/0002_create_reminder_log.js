@@ -0,0 +1,24 @@
+// Expiry reminders that have already been sent. The unique key makes a
+// reminder a one-off per record, threshold and expiry date, so restarting the
+// scheduler never repeats one while a renewed record starts a fresh cycle.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE reminder_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        license_type VARCHAR(32) NOT NULL,
+        record_id INT NOT NULL,
+        threshold_days INT NOT NULL,
+        expiry_date DATE NOT NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_reminder (license_type, record_id, threshold_days, expiry_date),
+        KEY idx_reminder_log_user (user_id)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE reminder_log");
+  },
+};
@@ -0,0 +1,26 @@
+// Per-user reminder preferences for each licence category. Categories without
+// a row use the defaults from services/notificationPreferences.js.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE notification_preferences (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        license_type VARCHAR(32) NOT NULL,
+        enabled TINYINT(1) NOT NULL DEFAULT 1,
+        lead_days VARCHAR(255) NOT NULL,
+        channels VARCHAR(255) NOT NULL,
+        quiet_hours_start TIME NULL,
+        quiet_hours_end TIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_notification_preference (user_id, license_type),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE notification_preferences");
+  },
+};
@@ -0,0 +1,23 @@
+// Password reset tokens (stored as SHA-256 hashes) and the token version that
+// is embedded in every JWT; bumping it signs the user out on all devices.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE users
+        ADD COLUMN password_reset_token CHAR(64) NULL,
+        ADD COLUMN password_reset_expires DATETIME NULL,
+        ADD COLUMN token_version INT NOT NULL DEFAULT 0,
+        ADD INDEX idx_users_password_reset_token (password_reset_token)
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE users
+        DROP INDEX idx_users_password_reset_token,
+        DROP COLUMN password_reset_token,
+        DROP COLUMN password_reset_expires,
+        DROP COLUMN token_version
+    `);
+  },
+};
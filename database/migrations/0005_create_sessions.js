@@ -0,0 +1,28 @@
+// One row per signed-in device. Refresh tokens are stored as SHA-256 hashes
+// and rotated on every use; the previous hash is kept to detect reuse.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        refresh_token_hash CHAR(64) NOT NULL,
+        previous_token_hash CHAR(64) NULL,
+        user_agent VARCHAR(255) NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        UNIQUE KEY uniq_sessions_refresh_token (refresh_token_hash),
+        KEY idx_sessions_previous_token (previous_token_hash),
+        KEY idx_sessions_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE sessions");
+  },
+};
@@ -0,0 +1,35 @@
+// TOTP two-factor authentication. The secret is set during enrolment and the
+// last accepted time step stops a code from being used twice. Recovery codes
+// are single use and stored as SHA-256 hashes.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE users
+        ADD COLUMN two_factor_secret VARCHAR(64) NULL,
+        ADD COLUMN two_factor_enabled TINYINT(1) NOT NULL DEFAULT 0,
+        ADD COLUMN two_factor_last_step BIGINT NULL
+    `);
+
+    await connection.query(`
+      CREATE TABLE two_factor_recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_recovery_codes_user (user_id, code_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE two_factor_recovery_codes");
+    await connection.query(`
+      ALTER TABLE users
+        DROP COLUMN two_factor_secret,
+        DROP COLUMN two_factor_enabled,
+        DROP COLUMN two_factor_last_step
+    `);
+  },
+};
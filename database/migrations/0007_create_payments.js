@@ -0,0 +1,26 @@
+// Verified subscription payments. The unique reference per provider makes
+// applying a payment idempotent.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE payments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        provider VARCHAR(32) NOT NULL,
+        reference VARCHAR(100) NOT NULL,
+        amount INT NOT NULL,
+        currency CHAR(3) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        paid_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_payments_reference (provider, reference),
+        KEY idx_payments_user (user_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE payments");
+  },
+};
@@ -0,0 +1,63 @@
+// Subscription plans and every paid subscription period. max_records NULL
+// means unlimited; the free plan applies to every user without a running
+// subscription. Prices are in cents. Periods bought while another is running
+// start when that one ends.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE plans (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(32) NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        billing_interval ENUM('month', 'year') NULL,
+        price INT NOT NULL DEFAULT 0,
+        currency CHAR(3) NOT NULL DEFAULT 'ZAR',
+        max_records INT NULL,
+        reminder_channels VARCHAR(255) NOT NULL DEFAULT 'email',
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_plans_code (code)
+      )
+    `);
+
+    await connection.query(`
+      INSERT INTO plans (code, name, billing_interval, price, max_records, reminder_channels) VALUES
+        ('free', 'Free', NULL, 0, 3, 'email'),
+        ('monthly', 'Monthly', 'month', 4900, NULL, 'email,sms,push'),
+        ('annual', 'Annual', 'year', 49900, NULL, 'email,sms,push')
+    `);
+
+    await connection.query(`
+      CREATE TABLE subscriptions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        plan_id INT NOT NULL,
+        status ENUM('active', 'expired', 'cancelled') NOT NULL DEFAULT 'active',
+        start_date DATETIME NOT NULL,
+        end_date DATETIME NOT NULL,
+        provider VARCHAR(32) NULL,
+        payment_reference VARCHAR(100) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_subscriptions_user (user_id, status, end_date),
+        KEY idx_subscriptions_status_end (status, end_date),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (plan_id) REFERENCES plans(id)
+      )
+    `);
+
+    // Carry over subscribers from before subscription history was kept
+    await connection.query(`
+      INSERT INTO subscriptions (user_id, plan_id, status, start_date, end_date)
+      SELECT u.id, p.id, 'active', DATE_SUB(u.subscription_end_date, INTERVAL 1 YEAR), u.subscription_end_date
+      FROM users u
+      JOIN plans p ON p.code = 'annual'
+      WHERE u.type_of_user = 'subscriber'
+      AND u.subscription_end_date > NOW()
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE subscriptions");
+    await connection.query("DROP TABLE plans");
+  },
+};
@@ -0,0 +1,24 @@
+// Driver license specifics. expiry_date remains the expiry of the license
+// card (renewed every five years); license_valid_until is the end of the
+// license's own validity where it has one.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE drivers
+        ADD COLUMN license_code VARCHAR(50) NULL,
+        ADD COLUMN restrictions VARCHAR(100) NULL,
+        ADD COLUMN issue_date DATE NULL,
+        ADD COLUMN license_valid_until DATE NULL
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE drivers
+        DROP COLUMN license_code,
+        DROP COLUMN restrictions,
+        DROP COLUMN issue_date,
+        DROP COLUMN license_valid_until
+    `);
+  },
+};
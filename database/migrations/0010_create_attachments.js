@@ -0,0 +1,26 @@
+// Files attached to licence records. record_type is the licence category key
+// from config/licenseTypes.js; the file itself lives in the storage backend
+// under storage_key.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE attachments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        record_type VARCHAR(30) NOT NULL,
+        record_id INT NOT NULL,
+        original_name VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        size INT NOT NULL,
+        storage_key VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_attachments_record (record_type, record_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE attachments");
+  },
+};
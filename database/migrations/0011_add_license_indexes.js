@@ -0,0 +1,60 @@
+// Indexes and foreign keys on the licence tables. Every listing filters on
+// user_id and sorts or filters on expiry_date; reminders scan expiry_date
+// across all users. Registration numbers were only unique by convention.
+const tables = ["firearms", "vehicles", "drivers", "prpd", "work_contracts"];
+
+const uniqueKeys = {
+  firearms: "registration_number",
+  vehicles: "registration",
+};
+
+module.exports = {
+  up: async (connection) => {
+    for (const table of tables) {
+      await connection.query(`
+        ALTER TABLE ${table}
+          ADD INDEX idx_${table}_user_expiry (user_id, expiry_date),
+          ADD INDEX idx_${table}_expiry (expiry_date),
+          ADD CONSTRAINT fk_${table}_user
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      `);
+    }
+
+    for (const [table, column] of Object.entries(uniqueKeys)) {
+      await connection.query(
+        `ALTER TABLE ${table} ADD UNIQUE KEY uniq_${table}_${column} (${column})`
+      );
+    }
+
+    // Duplicate checks look licences up by ID number
+    await connection.query(
+      "ALTER TABLE drivers ADD INDEX idx_drivers_id_number (id_number)"
+    );
+    await connection.query(
+      "ALTER TABLE prpd ADD INDEX idx_prpd_id_number (id_number)"
+    );
+  },
+
+  down: async (connection) => {
+    await connection.query("ALTER TABLE prpd DROP INDEX idx_prpd_id_number");
+    await connection.query(
+      "ALTER TABLE drivers DROP INDEX idx_drivers_id_number"
+    );
+
+    for (const [table, column] of Object.entries(uniqueKeys)) {
+      await connection.query(
+        `ALTER TABLE ${table} DROP INDEX uniq_${table}_${column}`
+      );
+    }
+
+    // The foreign key has to go before the index it relies on
+    for (const table of tables) {
+      await connection.query(`
+        ALTER TABLE ${table}
+          DROP FOREIGN KEY fk_${table}_user,
+          DROP INDEX idx_${table}_user_expiry,
+          DROP INDEX idx_${table}_expiry
+      `);
+    }
+  },
+};
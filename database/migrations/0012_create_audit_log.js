@@ -0,0 +1,44 @@
+// Audit trail of changes to licence records. Each entry stores the hash of
+// the entry before it, and audit_chain holds the hash of the newest entry, so
+// entries that are edited, removed or truncated from the end can be detected.
+// There is deliberately no foreign key to users: deleting an account must not
+// delete its entries out of the middle of the chain.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE audit_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        actor_id INT NULL,
+        record_type VARCHAR(30) NOT NULL,
+        record_id INT NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        changes MEDIUMTEXT NOT NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at DATETIME NOT NULL,
+        prev_hash CHAR(64) NOT NULL,
+        hash CHAR(64) NOT NULL,
+        KEY idx_audit_log_user (user_id, id),
+        KEY idx_audit_log_record (record_type, record_id)
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE audit_chain (
+        id INT PRIMARY KEY,
+        last_entry_id INT NULL,
+        last_hash CHAR(64) NOT NULL
+      )
+    `);
+
+    await connection.query(
+      "INSERT INTO audit_chain (id, last_entry_id, last_hash) VALUES (1, NULL, ?)",
+      ["0".repeat(64)]
+    );
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE audit_chain");
+    await connection.query("DROP TABLE audit_log");
+  },
+};
@@ -0,0 +1,27 @@
+// Deleted licence records are kept in the trash until they are purged.
+// deleted_at is NULL for records that are not in the trash; the index serves
+// the purge job's scan for expired ones. Rolling back keeps trashed records,
+// which become visible again.
+const tables = ["firearms", "vehicles", "drivers", "prpd", "work_contracts"];
+
+module.exports = {
+  up: async (connection) => {
+    for (const table of tables) {
+      await connection.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN deleted_at DATETIME NULL,
+          ADD INDEX idx_${table}_deleted (deleted_at)
+      `);
+    }
+  },
+
+  down: async (connection) => {
+    for (const table of tables) {
+      await connection.query(`
+        ALTER TABLE ${table}
+          DROP INDEX idx_${table}_deleted,
+          DROP COLUMN deleted_at
+      `);
+    }
+  },
+};
@@ -0,0 +1,57 @@
+// Renewal applications for licence records. A renewal moves through the
+// events in renewal_events (applied, submitted, approved, rejected,
+// collected) and its status is the latest of them. Approving a renewal moves
+// the record's expiry_date forward; the period it replaces is kept in
+// license_periods.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE renewals (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        record_type VARCHAR(30) NOT NULL,
+        record_id INT NOT NULL,
+        status ENUM('applied', 'submitted', 'approved', 'rejected', 'collected') NOT NULL,
+        reference VARCHAR(100) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        KEY idx_renewals_record (record_type, record_id, status),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE renewal_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        renewal_id INT NOT NULL,
+        event ENUM('applied', 'submitted', 'approved', 'rejected', 'collected') NOT NULL,
+        event_date DATE NOT NULL,
+        notes TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_renewal_events_renewal (renewal_id),
+        FOREIGN KEY (renewal_id) REFERENCES renewals(id) ON DELETE CASCADE
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE license_periods (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        record_type VARCHAR(30) NOT NULL,
+        record_id INT NOT NULL,
+        renewal_id INT NULL,
+        expiry_date DATE NOT NULL,
+        replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        KEY idx_license_periods_record (record_type, record_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (renewal_id) REFERENCES renewals(id) ON DELETE SET NULL
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE license_periods");
+    await connection.query("DROP TABLE renewal_events");
+    await connection.query("DROP TABLE renewals");
+  },
+};
@@ -0,0 +1,46 @@
+// Vehicle details from the licence disc, and registration numbers with
+// spaces and punctuation stripped for duplicate checks ("CA 123-456" and
+// "CA123456" are the same vehicle). Existing rows may already hold such
+// duplicates, so the normalized column is indexed but not unique.
+const normalize = (registration) =>
+  registration.toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE vehicles
+        ADD COLUMN registration_normalized VARCHAR(20) NULL,
+        ADD COLUMN vin VARCHAR(17) NULL,
+        ADD COLUMN engine_number VARCHAR(30) NULL,
+        ADD COLUMN license_number VARCHAR(20) NULL,
+        ADD COLUMN vehicle_category VARCHAR(50) NULL,
+        ADD COLUMN colour VARCHAR(30) NULL,
+        ADD INDEX idx_vehicles_registration_normalized (registration_normalized),
+        ADD INDEX idx_vehicles_vin (vin)
+    `);
+
+    const [vehicles] = await connection.query(
+      "SELECT id, registration FROM vehicles"
+    );
+    for (const vehicle of vehicles) {
+      await connection.query(
+        "UPDATE vehicles SET registration_normalized = ? WHERE id = ?",
+        [normalize(vehicle.registration), vehicle.id]
+      );
+    }
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE vehicles
+        DROP INDEX idx_vehicles_vin,
+        DROP INDEX idx_vehicles_registration_normalized,
+        DROP COLUMN colour,
+        DROP COLUMN vehicle_category,
+        DROP COLUMN license_number,
+        DROP COLUMN engine_number,
+        DROP COLUMN vin,
+        DROP COLUMN registration_normalized
+    `);
+  },
+};
@@ -0,0 +1,20 @@
+// Firearm licence category (see config/firearmLicenseTypes.js) and issue
+// date, from which the expiry date and renewal deadline follow. Both are
+// NULL for firearms added before they were recorded.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE firearms
+        ADD COLUMN license_type VARCHAR(40) NULL,
+        ADD COLUMN issue_date DATE NULL
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE firearms
+        DROP COLUMN issue_date,
+        DROP COLUMN license_type
+    `);
+  },
+};
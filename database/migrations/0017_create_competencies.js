@@ -0,0 +1,44 @@
+// Competency certificates, which a firearm licence depends on and which
+// expire separately from it. categories holds the certificate's categories
+// comma separated ("handgun,shotgun"). Certificate numbers are unique across
+// users, like firearm registration numbers. Firearms point at the certificate
+// they rely on; purging the certificate leaves them without one.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE competencies (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        certificate_number VARCHAR(50) NOT NULL,
+        categories VARCHAR(100) NOT NULL,
+        issue_date DATE NULL,
+        expiry_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deleted_at DATETIME NULL,
+        KEY idx_competencies_user_expiry (user_id, expiry_date),
+        UNIQUE KEY uniq_competencies_certificate_number (certificate_number),
+        KEY idx_competencies_deleted (deleted_at),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await connection.query(`
+      ALTER TABLE firearms
+        ADD COLUMN competency_id INT NULL,
+        ADD INDEX idx_firearms_competency (competency_id),
+        ADD CONSTRAINT fk_firearms_competency
+          FOREIGN KEY (competency_id) REFERENCES competencies(id) ON DELETE SET NULL
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE firearms
+        DROP FOREIGN KEY fk_firearms_competency,
+        DROP INDEX idx_firearms_competency,
+        DROP COLUMN competency_id
+    `);
+    await connection.query("DROP TABLE competencies");
+  },
+};
@@ -0,0 +1,89 @@
+// Organisations let several users manage the same licence records. Members
+// have a role: owners manage the organisation and its members, admins manage
+// its records and invite people, viewers can only read its records. Licence
+// records with an organisation_id belong to that organisation (user_id is
+// still the member who added them); deleting the organisation hands its
+// records back to those members.
+
+const LICENSE_TABLES = [
+  "firearms",
+  "vehicles",
+  "drivers",
+  "prpd",
+  "work_contracts",
+  "competencies",
+];
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE organisations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE organisation_members (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        organisation_id INT NOT NULL,
+        user_id INT NOT NULL,
+        role ENUM('owner', 'admin', 'viewer') NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY idx_organisation_members_member (organisation_id, user_id),
+        KEY idx_organisation_members_user (user_id),
+        FOREIGN KEY (organisation_id) REFERENCES organisations(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Only a hash of the invitation token is stored, like password reset
+    // tokens
+    await connection.query(`
+      CREATE TABLE organisation_invitations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        organisation_id INT NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        role ENUM('admin', 'viewer') NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        status ENUM('pending', 'accepted', 'declined', 'revoked') NOT NULL DEFAULT 'pending',
+        invited_by INT NULL,
+        expires_at DATETIME NOT NULL,
+        responded_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY idx_organisation_invitations_token (token_hash),
+        KEY idx_organisation_invitations_email (organisation_id, email, status),
+        FOREIGN KEY (organisation_id) REFERENCES organisations(id) ON DELETE CASCADE,
+        FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    for (const table of LICENSE_TABLES) {
+      await connection.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN organisation_id INT NULL,
+          ADD INDEX idx_${table}_organisation (organisation_id),
+          ADD CONSTRAINT fk_${table}_organisation
+            FOREIGN KEY (organisation_id) REFERENCES organisations(id) ON DELETE SET NULL
+      `);
+    }
+  },
+
+  down: async (connection) => {
+    for (const table of LICENSE_TABLES) {
+      await connection.query(`
+        ALTER TABLE ${table}
+          DROP FOREIGN KEY fk_${table}_organisation,
+          DROP INDEX idx_${table}_organisation,
+          DROP COLUMN organisation_id
+      `);
+    }
+    await connection.query("DROP TABLE organisation_invitations");
+    await connection.query("DROP TABLE organisation_members");
+    await connection.query("DROP TABLE organisations");
+  },
+};
@@ -0,0 +1,30 @@
+// Organisation records are reminded to several members, so a reminder is a
+// one-off per recipient rather than per record. user_id is the recipient.
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE reminder_log
+        DROP INDEX uniq_reminder,
+        ADD UNIQUE KEY uniq_reminder (license_type, record_id, user_id, threshold_days, expiry_date)
+    `);
+  },
+
+  down: async (connection) => {
+    // Keep one reminder per record before the key is narrowed again
+    await connection.query(`
+      DELETE FROM reminder_log
+      WHERE id NOT IN (
+        SELECT id FROM (
+          SELECT MIN(id) AS id
+          FROM reminder_log
+          GROUP BY license_type, record_id, threshold_days, expiry_date
+        ) kept
+      )
+    `);
+    await connection.query(`
+      ALTER TABLE reminder_log
+        DROP INDEX uniq_reminder,
+        ADD UNIQUE KEY uniq_reminder (license_type, record_id, threshold_days, expiry_date)
+    `);
+  },
+};
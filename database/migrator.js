@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+const { createPool } = require("../config/database");
+
+// Versioned schema migrations. Each file in database/migrations is named
+// <version>_<description>.js and exports up(connection) and down(connection).
+// Applied versions are recorded in schema_migrations; a named lock stops two
+// app instances from migrating at the same time.
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const LOCK_NAME = "schema_migrations";
+const LOCK_TIMEOUT_SECONDS = 60;
+
+const loadMigrations = () =>
+  fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map((file) => ({
+      version: file.split("_")[0],
+      name: path.basename(file, ".js"),
+      ...require(path.join(MIGRATIONS_DIR, file)),
+    }));
+
+// Run the callback on one connection while holding the migration lock
+const withMigrationLock = async (callback) => {
+  const connection = await createPool().getConnection();
+
+  try {
+    const [locks] = await connection.query("SELECT GET_LOCK(?, ?) AS locked", [
+      LOCK_NAME,
+      LOCK_TIMEOUT_SECONDS,
+    ]);
+    if (Number(locks[0].locked) !== 1) {
+      throw new Error("Timed out waiting for another migration to finish");
+    }
+
+    try {
+      await connection.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version VARCHAR(20) PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      return await callback(connection);
+    } finally {
+      await connection.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+const getAppliedVersions = async (connection) => {
+  const [rows] = await connection.query(
+    "SELECT version FROM schema_migrations ORDER BY version ASC"
+  );
+  return rows.map((row) => row.version);
+};
+
+// Apply pending migrations in order, up to and including `to` if given.
+// Resolves to the names of the migrations that were applied.
+const migrate = ({ to = null } = {}) =>
+  withMigrationLock(async (connection) => {
+    const applied = new Set(await getAppliedVersions(connection));
+    const pending = loadMigrations().filter(
+      (migration) =>
+        !applied.has(migration.version) &&
+        (!to || Number(migration.version) <= Number(to))
+    );
+
+    for (const migration of pending) {
+      console.log(`Applying migration ${migration.name}`);
+      await migration.up(connection);
+      await connection.query(
+        "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+        [migration.version, migration.name]
+      );
+    }
+
+    return pending.map((migration) => migration.name);
+  });
+
+// Undo the most recently applied migrations, newest first
+const rollback = ({ steps = 1 } = {}) =>
+  withMigrationLock(async (connection) => {
+    const applied = await getAppliedVersions(connection);
+    const migrations = loadMigrations();
+    const rolledBack = [];
+
+    for (const version of applied.reverse().slice(0, steps)) {
+      const migration = migrations.find((m) => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration file for version ${version} is missing`);
+      }
+
+      console.log(`Rolling back migration ${migration.name}`);
+      await migration.down(connection);
+      await connection.query(
+        "DELETE FROM schema_migrations WHERE version = ?",
+        [version]
+      );
+      rolledBack.push(migration.name);
+    }
+
+    return rolledBack;
+  });
+
+// Every migration with the time it was applied, or null if it is pending
+const status = () =>
+  withMigrationLock(async (connection) => {
+    const [rows] = await connection.query(
+      "SELECT version, applied_at FROM schema_migrations"
+    );
+    const appliedAt = new Map(rows.map((row) => [row.version, row.applied_at]));
+
+    return loadMigrations().map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: appliedAt.get(version) || null,
+    }));
+  });
+
+// Record migrations up to and including `version` as applied without running
+// them, for databases whose schema was created by hand before migrations
+const baseline = (version) =>
+  withMigrationLock(async (connection) => {
+    const applied = new Set(await getAppliedVersions(connection));
+    const marked = loadMigrations().filter(
+      (migration) =>
+        Number(migration.version) <= Number(version) &&
+        !applied.has(migration.version)
+    );
+
+    for (const migration of marked) {
+      await connection.query(
+        "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+        [migration.version, migration.name]
+      );
+    }
+
+    return marked.map((migration) => migration.name);
+  });
+
+module.exports = {
+  migrate,
+  rollback,
+  status,
+  baseline,
+};
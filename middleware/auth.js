@@ -1,7 +1,8 @@
 const jwt = require("jsonwebtoken");
 const sanitizeHtml = require("sanitize-html");
+const db = require("../config/database");
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.header("Authorization");
 
@@ -23,6 +24,32 @@ const authMiddleware = (req, res, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Tokens issued before the user's token version was bumped (e.g. by a
+      // password reset) or whose session has been revoked are no longer valid
+      const [users] = await db.query(
+        `SELECT u.token_version, s.id AS session_id
+         FROM users u
+         LEFT JOIN sessions s
+           ON s.id = ?
+           AND s.user_id = u.id
+           AND s.revoked_at IS NULL
+           AND s.expires_at > NOW()
+         WHERE u.id = ?`,
+        [decoded.sessionId || 0, decoded.userId]
+      );
+
+      if (
+        users.length === 0 ||
+        !users[0].session_id ||
+        (decoded.tokenVersion || 0) !== users[0].token_version
+      ) {
+        return res.status(401).json({
+          status: "error",
+          message: "Session has been revoked",
+        });
+      }
+
       req.user = decoded;
       next();
     } catch (jwtError) {
@@ -0,0 +1,42 @@
+const {
+  getMemberRole,
+  canEdit,
+  readOnlyResponse,
+} = require("../services/organisationService");
+
+// Which organisation a new licence record is added to, sent as
+// organisation_id (organisationId on the routers with camelCase bodies).
+// Without one the record is the user's own. Only owners and admins can add
+// records to an organisation. Must run after authMiddleware (and after the
+// upload for multipart forms); the organisation is made available as
+// req.organisationId (null for personal records).
+const resolveRecordOrganisation = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const organisationId = body.organisation_id || body.organisationId || null;
+
+    if (organisationId) {
+      const role = await getMemberRole(organisationId, req.user.userId);
+      if (!role) {
+        return res.status(400).json({
+          message: "organisation not found",
+          field: "organisation_id",
+        });
+      }
+      if (!canEdit(role)) {
+        return res.status(403).json(readOnlyResponse());
+      }
+    }
+
+    req.organisationId = organisationId ? Number(organisationId) : null;
+    next();
+  } catch (error) {
+    console.error("Organisation check error:", error);
+    res.status(500).json({
+      message: "Failed to check organisation",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = resolveRecordOrganisation;
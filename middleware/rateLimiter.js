@@ -0,0 +1,46 @@
+const rateLimit = require("express-rate-limit");
+const { getStore } = require("../services/attemptStore");
+
+// express-rate-limit store backed by the shared attempt store, so limits
+// survive restarts and apply across instances when Redis is configured
+class RateLimitStore {
+  constructor(name) {
+    this.prefix = `rl:${name}:`;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const entry = await getStore().get(this.prefix + key);
+    return entry
+      ? { totalHits: entry.value, resetTime: entry.expiresAt || undefined }
+      : undefined;
+  }
+
+  async increment(key) {
+    const entry = await getStore().increment(this.prefix + key, this.windowMs);
+    return { totalHits: entry.value, resetTime: entry.expiresAt };
+  }
+
+  async decrement(key) {
+    await getStore().decrement(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await getStore().delete(this.prefix + key);
+  }
+}
+
+// Each limiter needs a unique name; it namespaces its keys in the store.
+// Requests are let through rather than failed if the store is unavailable.
+const createRateLimiter = (name, options) =>
+  rateLimit({
+    passOnStoreError: true,
+    ...options,
+    store: new RateLimitStore(name),
+  });
+
+module.exports = createRateLimiter;
@@ -0,0 +1,86 @@
+const {
+  getCurrentPlan,
+  countRecords,
+} = require("../services/subscriptionService");
+const {
+  NOTIFICATION_CHANNELS,
+} = require("../services/notificationPreferences");
+
+// Checks for requireSubscription(feature). Each resolves to null when the
+// user's plan allows the request, otherwise to the error to respond with.
+const featureChecks = {
+  // Adding another licence record
+  records: async (plan, req) => {
+    if (plan.max_records === null) {
+      return null;
+    }
+
+    const total = await countRecords(req.user.userId);
+    if (total < plan.max_records) {
+      return null;
+    }
+
+    return {
+      message: `Your plan allows up to ${plan.max_records} records. Please upgrade to add more.`,
+      code: "RECORD_LIMIT_REACHED",
+    };
+  },
+
+  // Choosing reminder channels in the notification preferences
+  reminder_channels: async (plan, req) => {
+    const requested = Object.values(req.body || {}).flatMap((preference) =>
+      preference && Array.isArray(preference.channels)
+        ? preference.channels
+        : []
+    );
+    // Unknown channels are left for the request validation to reject
+    const unavailable = [...new Set(requested)].filter(
+      (channel) =>
+        NOTIFICATION_CHANNELS.includes(channel) &&
+        !plan.reminder_channels.includes(channel)
+    );
+
+    if (unavailable.length === 0) {
+      return null;
+    }
+
+    return {
+      message: `Your plan does not include ${unavailable.join(
+        ", "
+      )} reminders. Please upgrade to use them.`,
+      code: "FEATURE_NOT_IN_PLAN",
+    };
+  },
+};
+
+// Only let the request through if the user's current plan allows the feature.
+// Must run after authMiddleware; the plan is made available as req.plan.
+const requireSubscription = (feature) => {
+  const check = featureChecks[feature];
+  if (!check) {
+    throw new Error(`Unknown subscription feature: ${feature}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const plan = await getCurrentPlan(req.user.userId);
+      const error = await check(plan, req);
+
+      if (error) {
+        return res.status(403).json(error);
+      }
+
+      req.plan = plan;
+      next();
+    } catch (error) {
+      console.error("Subscription check error:", error);
+      res.status(500).json({
+        message: "Failed to check subscription",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  };
+};
+
+module.exports = requireSubscription;
@@ -0,0 +1,211 @@
+const express = require("express");
+const multer = require("multer");
+const { pipeline } = require("stream/promises");
+const authMiddleware = require("../middleware/auth");
+const {
+  ALLOWED_MIME_TYPES,
+  listAttachments,
+  getAttachment,
+  createAttachment,
+  openAttachment,
+  deleteAttachment,
+} = require("../services/attachmentService");
+const {
+  canEdit,
+  findRecordAccess,
+  readOnlyResponse,
+} = require("../services/organisationService");
+
+// Attachments of a licence record, mounted by each licence router under
+// /:id/attachments. `type` is the licence category key (firearm, vehicle,
+// ...) from config/licenseTypes.js.
+
+const getMaxBytes = () =>
+  parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024; // 10MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getMaxBytes(), files: 1 },
+});
+
+// Accepts a single file in the "file" field of a multipart upload
+const attachmentUpload = (req, res, next) => {
+  upload.single("file")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return error.code === "LIMIT_FILE_SIZE"
+        ? res.status(413).json({
+            message: `Attachments must be at most ${Math.floor(
+              getMaxBytes() / (1024 * 1024)
+            )}MB`,
+          })
+        : res.status(400).json({ message: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'A file is required in the "file" field',
+      });
+    }
+    next();
+  });
+};
+
+const createAttachmentsRouter = (type) => {
+  const router = express.Router({ mergeParams: true });
+
+  // The licence record must exist and be visible to the user; their role for
+  // it is made available as req.recordRole
+  const requireRecord = async (req, res, next) => {
+    try {
+      const access = await findRecordAccess(
+        type,
+        req.params.id,
+        req.user.userId
+      );
+      if (!access) {
+        return res.status(404).json({ message: "Record not found" });
+      }
+      req.recordRole = access.role;
+      next();
+    } catch (error) {
+      console.error("Fetch attachment record error:", error);
+      res.status(500).json({
+        message: "Failed to fetch record",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  };
+
+  // Viewers of an organisation's records can't add or remove files
+  const requireEditor = (req, res, next) =>
+    canEdit(req.recordRole) ? next() : res.status(403).json(readOnlyResponse());
+
+  // Upload an attachment
+  router.post(
+    "/",
+    authMiddleware,
+    requireRecord,
+    requireEditor,
+    attachmentUpload,
+    async (req, res) => {
+      try {
+        const attachment = await createAttachment({
+          type,
+          recordId: req.params.id,
+          userId: req.user.userId,
+          file: req.file,
+        });
+
+        if (!attachment) {
+          return res.status(415).json({
+            message: `Unsupported file type. Allowed types: ${ALLOWED_MIME_TYPES.join(
+              ", "
+            )}`,
+          });
+        }
+
+        res.status(201).json({
+          message: "Attachment uploaded successfully",
+          attachment,
+        });
+      } catch (error) {
+        console.error("Attachment upload error:", error);
+        res.status(500).json({
+          message: "Failed to upload attachment",
+          error:
+            process.env.NODE_ENV === "development" ? error.message : undefined,
+        });
+      }
+    }
+  );
+
+  // List attachments of the record
+  router.get("/", authMiddleware, requireRecord, async (req, res) => {
+    try {
+      const attachments = await listAttachments(type, req.params.id);
+      res.json({ attachments });
+    } catch (error) {
+      console.error("Fetch attachments error:", error);
+      res.status(500).json({
+        message: "Failed to fetch attachments",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  });
+
+  // Download an attachment
+  router.get(
+    "/:attachmentId",
+    authMiddleware,
+    requireRecord,
+    async (req, res) => {
+      try {
+        const attachment = await getAttachment(
+          type,
+          req.params.id,
+          req.params.attachmentId
+        );
+
+        if (!attachment) {
+          return res.status(404).json({ message: "Attachment not found" });
+        }
+
+        const file = await openAttachment(attachment);
+        res.attachment(attachment.original_name);
+        res.type(attachment.mime_type);
+        res.setHeader("Content-Length", attachment.size);
+        await pipeline(file, res);
+      } catch (error) {
+        console.error("Download attachment error:", error);
+        if (res.headersSent) {
+          return res.destroy(error);
+        }
+        res.status(500).json({
+          message: "Failed to download attachment",
+          error:
+            process.env.NODE_ENV === "development" ? error.message : undefined,
+        });
+      }
+    }
+  );
+
+  // Delete an attachment
+  router.delete(
+    "/:attachmentId",
+    authMiddleware,
+    requireRecord,
+    requireEditor,
+    async (req, res) => {
+      try {
+        const attachment = await getAttachment(
+          type,
+          req.params.id,
+          req.params.attachmentId
+        );
+
+        if (!attachment) {
+          return res.status(404).json({ message: "Attachment not found" });
+        }
+
+        await deleteAttachment(attachment);
+
+        res.json({ message: "Attachment deleted successfully" });
+      } catch (error) {
+        console.error("Delete attachment error:", error);
+        res.status(500).json({
+          message: "Failed to delete attachment",
+          error:
+            process.env.NODE_ENV === "development" ? error.message : undefined,
+        });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createAttachmentsRouter;
@@ -0,0 +1,65 @@
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+const authMiddleware = require("../middleware/auth");
+const licenseTypes = require("../config/licenseTypes");
+const { AUDIT_ACTIONS, listEntries } = require("../services/auditService");
+
+const auditValidation = [
+  query("type")
+    .optional()
+    .isIn(Object.keys(licenseTypes))
+    .withMessage(
+      `Type must be one of: ${Object.keys(licenseTypes).join(", ")}`
+    ),
+  query("action")
+    .optional()
+    .isIn(AUDIT_ACTIONS)
+    .withMessage(`Action must be one of: ${AUDIT_ACTIONS.join(", ")}`),
+  query("record_id")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Record id must be a positive number")
+    .toInt(),
+  query("before")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Before must be an audit entry id")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be a number from 1 to 200")
+    .toInt(),
+];
+
+// Changes the user made and changes to the licence records they can read,
+// newest first. Pass next_cursor back as `before` for the next page.
+router.get("/", authMiddleware, auditValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { type, action, record_id, before, limit } = req.query;
+
+    const { entries, nextCursor } = await listEntries(req.user.userId, {
+      type,
+      action,
+      recordId: record_id,
+      before,
+      limit,
+    });
+
+    res.json({ entries, next_cursor: nextCursor });
+  } catch (error) {
+    console.error("Fetch audit log error:", error);
+    res.status(500).json({
+      message: "Failed to fetch audit log",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
@@ -4,18 +4,37 @@ const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const db = require("../config/database");
 const authMiddleware = require("../middleware/auth");
+const requireSubscription = require("../middleware/subscription");
 const crypto = require("crypto");
 const nodemailer = require("nodemailer");
-const rateLimit = require("express-rate-limit");
+const createRateLimiter = require("../middleware/rateLimiter");
 const { body, validationResult } = require("express-validator");
 const csrf = require("csurf");
 const helmet = require("helmet");
 const getVerificationEmailTemplate = require("../templates/verificationEmail");
+const getPasswordResetEmailTemplate = require("../templates/passwordResetEmail");
 const sanitizeHtml = require("sanitize-html");
 const emailService = require("../config/email");
+const licenseTypes = require("../config/licenseTypes");
+const {
+  NOTIFICATION_CHANNELS,
+  MAX_LEAD_DAYS,
+  getPreferences,
+  savePreferences,
+} = require("../services/notificationPreferences");
+const {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/sessionService");
+const twoFactor = require("../services/twoFactorService");
+const loginProtection = require("../services/loginProtection");
+const { validateIdNumber, describeIdNumber } = require("../utils/saIdNumber");
 
 // Add rate limiter for login attempts
-const loginRateLimiter = rateLimit({
+const loginRateLimiter = createRateLimiter("login", {
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 attempts
   skipSuccessfulRequests: true, // Only count failed attempts
@@ -29,13 +48,6 @@ const loginRateLimiter = rateLimit({
   },
 });
 
-// Registration rate limiter - prevent too many account creations
-const registrationRateLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 3, // 3 attempts
-  message: { message: "Too many accounts created. Please try again later." },
-});
-
 // Add CSRF protection
 const csrfProtection = csrf({ cookie: true });
 
@@ -49,35 +61,110 @@ const passwordValidation = [
     ),
 ];
 
-// Simplified middleware without Redis
+const sendLockedResponse = (res, lockedUntil) => {
+  const retryAfter = Math.max(
+    Math.ceil((lockedUntil.getTime() - Date.now()) / 1000),
+    1
+  );
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({
+    message: "Too many failed login attempts. Please try again later.",
+    code: "LOGIN_LOCKED",
+    retryAfter,
+  });
+};
+
+// Reject logins from IPs locked out by repeated failures. Logins are let
+// through if the attempt store can't be reached.
 const checkIPBlocked = async (req, res, next) => {
-  // Skip Redis check for now
+  try {
+    const lockedUntil = await loginProtection.getLock("ip", req.ip);
+    if (lockedUntil) {
+      return sendLockedResponse(res, lockedUntil);
+    }
+  } catch (error) {
+    console.error("Login lock check error:", error);
+  }
   next();
 };
 
-const trackFailedAttempt = async (ip) => {
-  // Skip Redis tracking for now
+const trackFailedAttempt = async (ip, email) => {
   console.log("Failed login attempt from IP:", ip);
+  try {
+    await loginProtection.recordFailure({ ip, email });
+  } catch (error) {
+    console.error("Failed attempt tracking error:", error);
+  }
 };
 
-// Update the login route to use simplified rate limiting
-const loginLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // 5 attempts
-  message: { message: "Too many login attempts. Please try again later." },
+const registrationLimiter = createRateLimiter("registration", {
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // 3 attempts
+  message: { message: "Too many accounts created. Please try again later." },
 });
 
-const registrationLimiter = rateLimit({
+const resendVerificationLimiter = createRateLimiter("resend-verification", {
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 3, // 3 attempts
-  message: { message: "Too many accounts created. Please try again later." },
+  message: {
+    message: "Too many verification emails requested. Please try again later.",
+  },
 });
 
-// Update the unblock-ip route to work without Redis
-router.post("/unblock-ip", authMiddleware, async (req, res) => {
-  res.json({ message: "IP blocking temporarily disabled" });
+const passwordResetLimiter = createRateLimiter("password-reset", {
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 attempts
+  message: {
+    message: "Too many password reset attempts. Please try again later.",
+  },
 });
 
+// Reset tokens are only stored as hashes so a leaked users table can't be
+// used to take over accounts
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Clear the failed login lockout on the signed-in account once the password
+// has been entered again. IP lockouts are never cleared here; they only
+// expire. The path predates account lockouts and is kept for existing clients.
+router.post(
+  "/unblock-ip",
+  authMiddleware,
+  checkIPBlocked,
+  body("password").isString().notEmpty().withMessage("Password is required"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const [users] = await db.query(
+        "SELECT email, password FROM users WHERE id = ?",
+        [req.user.userId]
+      );
+
+      const isValidPassword =
+        users.length > 0 &&
+        (await bcrypt.compare(req.body.password, users[0].password));
+
+      if (!isValidPassword) {
+        await trackFailedAttempt(
+          req.ip,
+          users.length > 0 ? users[0].email : null
+        );
+        return res.status(401).json({ message: "Invalid credentials" });
+      }
+
+      await loginProtection.unblock({ email: users[0].email });
+      res.json({ message: "Account lockout cleared" });
+    } catch (error) {
+      console.error("Unblock error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 const checkPasswordBreach = async (req, res, next) => {
   const { password } = req.body;
   try {
@@ -106,6 +193,15 @@ const checkPasswordBreach = async (req, res, next) => {
   }
 };
 
+const sendVerificationEmail = async (email, verificationToken) => {
+  const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+  await emailService.sendMail({
+    to: email,
+    subject: "Verify your email address",
+    html: getVerificationEmailTemplate(verificationUrl),
+  });
+};
+
 // Now we can use it in the registration route
 router.post(
   "/register",
@@ -152,12 +248,7 @@ router.post(
       );
 
       // Send verification email using the email service
-      const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
-      await emailService.sendMail({
-        to: email,
-        subject: "Verify your email address",
-        html: getVerificationEmailTemplate(verificationUrl),
-      });
+      await sendVerificationEmail(email, verificationToken);
 
       res.status(201).json({
         message:
@@ -204,6 +295,14 @@ router.post(
       const { email, password } = req.body;
       const ip = req.ip;
 
+      const accountLockedUntil = await loginProtection.getLock(
+        "account",
+        email
+      );
+      if (accountLockedUntil) {
+        return sendLockedResponse(res, accountLockedUntil);
+      }
+
       const [users] = await db.query("SELECT * FROM users WHERE email = ?", [
         email,
       ]);
@@ -213,16 +312,32 @@ router.post(
         users.length > 0 && (await bcrypt.compare(password, users[0].password));
 
       if (!isValidPassword) {
-        await trackFailedAttempt(ip);
+        await trackFailedAttempt(ip, email);
         return res.status(401).json({ message: "Invalid credentials" });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: users[0].id, email: users[0].email },
-        process.env.JWT_SECRET,
-        { expiresIn: "24h" }
-      );
+      // Unverified accounts can't sign in until the email is confirmed
+      if (!users[0].is_verified) {
+        return res.status(403).json({
+          message: "Please verify your email address before logging in",
+          code: "EMAIL_NOT_VERIFIED",
+        });
+      }
+
+      // Accounts with two-factor authentication get a challenge instead of
+      // a session; the session is issued by /login/2fa. Failures are only
+      // cleared once that step succeeds, so wrong codes keep counting.
+      if (users[0].two_factor_enabled) {
+        return res.json({
+          two_factor_required: true,
+          challenge_token: await twoFactor.createChallengeToken(users[0].id),
+        });
+      }
+
+      await loginProtection.recordSuccess({ ip, email });
+
+      // Start a session for this device
+      const tokens = await createSession(users[0], req);
 
       // Add security headers
       res.set({
@@ -232,7 +347,7 @@ router.post(
         "X-XSS-Protection": "1; mode=block",
       });
 
-      res.json({ token });
+      res.json(tokens);
     } catch (error) {
       console.error("Login error:", error);
       res.status(500).json({ message: "An error occurred during login" });
@@ -240,11 +355,178 @@ router.post(
   }
 );
 
+// Second login step for accounts with two-factor authentication. Accepts a
+// code from the authenticator app or one of the recovery codes.
+router.post(
+  "/login/2fa",
+  loginRateLimiter,
+  checkIPBlocked,
+  body("challenge_token")
+    .isString()
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+  body("code").optional().isString(),
+  body("recovery_code").optional().isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { challenge_token, code, recovery_code } = req.body;
+
+      if (!code && !recovery_code) {
+        return res.status(400).json({
+          message: "A two-factor code or recovery code is required",
+        });
+      }
+
+      const userId = await twoFactor.verifyChallengeToken(challenge_token);
+      if (!userId) {
+        return res.status(401).json({
+          message: "Login challenge is invalid or has expired",
+          code: "INVALID_2FA_CHALLENGE",
+        });
+      }
+
+      const [users] = await db.query("SELECT * FROM users WHERE id = ?", [
+        userId,
+      ]);
+
+      if (users.length === 0 || !users[0].two_factor_enabled) {
+        return res.status(401).json({
+          message: "Login challenge is invalid or has expired",
+          code: "INVALID_2FA_CHALLENGE",
+        });
+      }
+
+      const accountLockedUntil = await loginProtection.getLock(
+        "account",
+        users[0].email
+      );
+      if (accountLockedUntil) {
+        return sendLockedResponse(res, accountLockedUntil);
+      }
+
+      const isValidCode = code
+        ? await twoFactor.verifyTotp(users[0], code)
+        : await twoFactor.consumeRecoveryCode(userId, recovery_code);
+
+      if (!isValidCode) {
+        await trackFailedAttempt(req.ip, users[0].email);
+        return res.status(401).json({
+          message: "Invalid two-factor code",
+          code: "INVALID_2FA_CODE",
+        });
+      }
+
+      await loginProtection.recordSuccess({
+        ip: req.ip,
+        email: users[0].email,
+      });
+
+      const tokens = await createSession(users[0], req);
+      res.json(tokens);
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      res.status(500).json({ message: "An error occurred during login" });
+    }
+  }
+);
+
+// Exchange a refresh token for a new access and refresh token pair
+router.post(
+  "/refresh",
+  checkIPBlocked,
+  body("refresh_token")
+    .isString()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const tokens = await rotateSession(req.body.refresh_token, req);
+
+      if (!tokens) {
+        return res.status(401).json({
+          message: "Invalid or expired refresh token",
+          code: "INVALID_REFRESH_TOKEN",
+        });
+      }
+
+      res.json(tokens);
+    } catch (error) {
+      console.error("Token refresh error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Log out of the current session
+router.post("/logout", authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(req.user.userId, req.user.sessionId);
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// List active sessions (one per signed-in device)
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session.id === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Sessions fetch error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Sign out every device except the current one
+router.delete("/sessions", authMiddleware, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.userId, req.user.sessionId);
+    res.json({ message: "Other sessions revoked successfully" });
+  } catch (error) {
+    console.error("Sessions revoke error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Sign out a single device
+router.delete("/sessions/:id", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.userId, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    res.json({ message: "Session revoked successfully" });
+  } catch (error) {
+    console.error("Session revoke error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // Get user profile
 router.get("/me", authMiddleware, async (req, res) => {
   try {
     const [users] = await db.query(
-      "SELECT id, email, first_name, last_name, contact_number, id_number, type_of_user, subscription_end_date, is_verified FROM users WHERE id = ?",
+      "SELECT id, email, first_name, last_name, contact_number, id_number, type_of_user, subscription_end_date, is_verified, two_factor_enabled FROM users WHERE id = ?",
       [req.user.userId]
     );
 
@@ -252,7 +534,9 @@ router.get("/me", authMiddleware, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    res.json({ user: users[0] });
+    res.json({
+      user: { ...users[0], id_details: describeIdNumber(users[0].id_number) },
+    });
   } catch (error) {
     console.error("Profile fetch error:", error);
     res.status(500).json({ message: "Server error" });
@@ -266,6 +550,15 @@ router.patch("/me", authMiddleware, async (req, res) => {
       req.body;
     const userId = req.user.userId;
 
+    if (id_number) {
+      const idNumberError = validateIdNumber(id_number);
+      if (idNumberError) {
+        return res
+          .status(400)
+          .json({ message: idNumberError, field: "id_number" });
+      }
+    }
+
     // If email is being updated, check if it's already taken
     if (email) {
       const [existingUsers] = await db.query(
@@ -298,10 +591,6 @@ router.patch("/me", authMiddleware, async (req, res) => {
       updates.push("contact_number = ?");
       values.push(contact_number);
     }
-    if (is_verified) {
-      updates.push("is_verified = ?");
-      values.push(is_verified);
-    }
     if (id_number) {
       updates.push("id_number = ?");
       values.push(id_number);
@@ -323,13 +612,287 @@ router.patch("/me", authMiddleware, async (req, res) => {
       [userId]
     );
 
-    res.json({ user: users[0] });
+    res.json({
+      user: { ...users[0], id_details: describeIdNumber(users[0].id_number) },
+    });
   } catch (error) {
     console.error("Profile update error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+// Notification preferences are submitted per license category, e.g.
+// { "firearm": { "lead_days": [180, 90, 30], "channels": ["email"] } }
+const notificationPreferenceFields = [
+  "enabled",
+  "lead_days",
+  "channels",
+  "quiet_hours_start",
+  "quiet_hours_end",
+];
+
+const notificationPreferencesValidation = [
+  body()
+    .custom(
+      (value) =>
+        value &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        Object.keys(value).length > 0 &&
+        Object.keys(value).every((type) => licenseTypes[type])
+    )
+    .withMessage(
+      `Preferences must be keyed by license category: ${Object.keys(
+        licenseTypes
+      ).join(", ")}`
+    ),
+  body("*")
+    .isObject()
+    .withMessage("Each category must be an object")
+    .custom(
+      (preference) =>
+        "quiet_hours_start" in preference === "quiet_hours_end" in preference
+    )
+    .withMessage("Quiet hours start and end must be provided together"),
+  body("*.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("Enabled must be true or false")
+    .toBoolean(),
+  body("*.lead_days")
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage("Lead days must be a list of 1 to 10 values"),
+  body("*.lead_days.*")
+    .isInt({ min: 0, max: MAX_LEAD_DAYS })
+    .withMessage(`Lead days must be whole numbers from 0 to ${MAX_LEAD_DAYS}`)
+    .toInt(),
+  body("*.channels")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("At least one channel is required"),
+  body("*.channels.*")
+    .isIn(NOTIFICATION_CHANNELS)
+    .withMessage(
+      `Channels must be one of: ${NOTIFICATION_CHANNELS.join(", ")}`
+    ),
+  body(["*.quiet_hours_start", "*.quiet_hours_end"])
+    .optional({ values: "null" })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage("Quiet hours must use the HH:MM format"),
+];
+
+// Get notification preferences
+router.get("/me/notifications", authMiddleware, async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.userId);
+    res.json({ preferences });
+  } catch (error) {
+    console.error("Notification preferences fetch error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Update notification preferences
+router.put(
+  "/me/notifications",
+  authMiddleware,
+  notificationPreferencesValidation,
+  requireSubscription("reminder_channels"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      // Only keep the known fields of each category
+      const updates = {};
+      for (const [type, preference] of Object.entries(req.body)) {
+        updates[type] = {};
+        for (const field of notificationPreferenceFields) {
+          if (preference[field] !== undefined) {
+            updates[type][field] = preference[field];
+          }
+        }
+      }
+
+      const preferences = await savePreferences(req.user.userId, updates);
+      res.json({ preferences });
+    } catch (error) {
+      console.error("Notification preferences update error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Start two-factor enrolment. Returns the secret and an otpauth:// URI for the
+// authenticator app; 2FA is only switched on once a code is confirmed.
+router.post("/2fa/setup", authMiddleware, async (req, res) => {
+  try {
+    const [users] = await db.query(
+      "SELECT id, email, two_factor_enabled FROM users WHERE id = ?",
+      [req.user.userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (users[0].two_factor_enabled) {
+      return res.status(409).json({
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const enrolment = await twoFactor.startEnrolment(users[0]);
+    res.json(enrolment);
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Confirm enrolment with a code from the authenticator app
+router.post(
+  "/2fa/confirm",
+  authMiddleware,
+  body("code")
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be 6 digits"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const [users] = await db.query(
+        `SELECT id, two_factor_secret, two_factor_enabled, two_factor_last_step 
+         FROM users WHERE id = ?`,
+        [req.user.userId]
+      );
+
+      if (users.length === 0) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (users[0].two_factor_enabled || !users[0].two_factor_secret) {
+        return res.status(400).json({
+          message: "No two-factor enrolment in progress",
+        });
+      }
+
+      if (!(await twoFactor.verifyTotp(users[0], req.body.code))) {
+        return res.status(400).json({
+          message: "Invalid two-factor code",
+          code: "INVALID_2FA_CODE",
+        });
+      }
+
+      const recoveryCodes = await twoFactor.enable(users[0].id);
+
+      res.json({
+        message: "Two-factor authentication enabled",
+        recovery_codes: recoveryCodes,
+      });
+    } catch (error) {
+      console.error("Two-factor confirm error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Verify the current password for sensitive two-factor changes
+const checkCurrentPassword = async (userId, password) => {
+  const [users] = await db.query(
+    "SELECT password, two_factor_enabled FROM users WHERE id = ?",
+    [userId]
+  );
+
+  if (users.length === 0) {
+    return null;
+  }
+
+  const isValidPassword = await bcrypt.compare(
+    password || "",
+    users[0].password
+  );
+  return isValidPassword ? users[0] : null;
+};
+
+// Replace the recovery codes, invalidating the old ones
+router.post(
+  "/2fa/recovery-codes",
+  authMiddleware,
+  body("password").notEmpty().withMessage("Current password is required"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await checkCurrentPassword(
+        req.user.userId,
+        req.body.password
+      );
+
+      if (!user) {
+        return res
+          .status(401)
+          .json({ message: "Current password is incorrect" });
+      }
+
+      if (!user.two_factor_enabled) {
+        return res.status(400).json({
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+
+      const recoveryCodes = await twoFactor.regenerateRecoveryCodes(
+        req.user.userId
+      );
+      res.json({ recovery_codes: recoveryCodes });
+    } catch (error) {
+      console.error("Recovery codes error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Turn off two-factor authentication; requires the current password
+router.post(
+  "/2fa/disable",
+  authMiddleware,
+  body("password").notEmpty().withMessage("Current password is required"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await checkCurrentPassword(
+        req.user.userId,
+        req.body.password
+      );
+
+      if (!user) {
+        return res
+          .status(401)
+          .json({ message: "Current password is incorrect" });
+      }
+
+      await twoFactor.disable(req.user.userId);
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      console.error("Two-factor disable error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // Change password
 router.post(
   "/change-password",
@@ -377,6 +940,9 @@ router.post(
         userId,
       ]);
 
+      // Sign out every other device
+      await revokeAllSessions(userId, req.user.sessionId);
+
       res.json({ message: "Password updated successfully" });
     } catch (error) {
       console.error("Password change error:", error);
@@ -428,4 +994,187 @@ router.get("/verify-email", async (req, res) => {
   }
 });
 
+// Send a fresh verification link, replacing the previous token. The response
+// is the same whether or not the email belongs to an unverified account.
+router.post(
+  "/resend-verification",
+  resendVerificationLimiter,
+  body("email").isEmail().normalizeEmail(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const genericResponse = {
+      message:
+        "If an unverified account exists for this email, a new verification link has been sent.",
+    };
+
+    try {
+      const { email } = req.body;
+
+      const [users] = await db.query(
+        "SELECT id FROM users WHERE email = ? AND is_verified = false",
+        [email]
+      );
+
+      if (users.length === 0) {
+        return res.json(genericResponse);
+      }
+
+      const verificationToken = crypto.randomBytes(32).toString("hex");
+      const tokenExpiry = new Date();
+      tokenExpiry.setHours(tokenExpiry.getHours() + 24); // 24 hour expiry
+
+      await db.query(
+        `UPDATE users 
+         SET verification_token = ?, 
+             verification_token_expires = ? 
+         WHERE id = ?`,
+        [verificationToken, tokenExpiry, users[0].id]
+      );
+
+      // Don't wait for the mail server so response times don't reveal
+      // whether the account exists
+      sendVerificationEmail(email, verificationToken).catch((error) => {
+        console.error("Resend verification email error:", error);
+      });
+
+      res.json(genericResponse);
+    } catch (error) {
+      console.error("Resend verification error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Request a password reset link. The response is the same whether or not the
+// email belongs to an account.
+router.post(
+  "/forgot-password",
+  passwordResetLimiter,
+  body("email").isEmail().normalizeEmail(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const genericResponse = {
+      message:
+        "If an account exists for this email, a password reset link has been sent.",
+    };
+
+    try {
+      const { email } = req.body;
+
+      const [users] = await db.query("SELECT id FROM users WHERE email = ?", [
+        email,
+      ]);
+
+      if (users.length === 0) {
+        return res.json(genericResponse);
+      }
+
+      // Issuing a new token replaces any earlier one
+      const resetToken = crypto.randomBytes(32).toString("hex");
+      const tokenExpiry = new Date();
+      tokenExpiry.setHours(tokenExpiry.getHours() + 1); // 1 hour expiry
+
+      await db.query(
+        `UPDATE users 
+         SET password_reset_token = ?, 
+             password_reset_expires = ? 
+         WHERE id = ?`,
+        [hashToken(resetToken), tokenExpiry, users[0].id]
+      );
+
+      // Don't wait for the mail server so response times don't reveal
+      // whether the account exists
+      const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+      emailService
+        .sendMail({
+          to: email,
+          subject: "Reset your password",
+          html: getPasswordResetEmailTemplate(resetUrl),
+        })
+        .catch((error) => {
+          console.error("Password reset email error:", error);
+        });
+
+      res.json(genericResponse);
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
+// Set a new password using a reset token
+router.post(
+  "/reset-password",
+  passwordResetLimiter,
+  body("token").isString().notEmpty().withMessage("Reset token is required"),
+  passwordValidation,
+  checkPasswordBreach,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { token, password } = req.body;
+
+      const [users] = await db.query(
+        `SELECT id FROM users 
+         WHERE password_reset_token = ? 
+         AND password_reset_expires > NOW()`,
+        [hashToken(token)]
+      );
+
+      if (users.length === 0) {
+        return res.status(400).json({
+          message: "Invalid or expired reset token",
+        });
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      // Clear the token so it can only be used once and bump the token
+      // version to sign the user out everywhere. The token is checked again
+      // so a concurrent reset with the same token can't also succeed.
+      const [result] = await db.query(
+        `UPDATE users 
+         SET password = ?, 
+             password_reset_token = NULL, 
+             password_reset_expires = NULL, 
+             token_version = token_version + 1 
+         WHERE id = ?
+         AND password_reset_token = ?
+         AND password_reset_expires > NOW()`,
+        [hashedPassword, users[0].id, hashToken(token)]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(400).json({
+          message: "Invalid or expired reset token",
+        });
+      }
+
+      await revokeAllSessions(users[0].id);
+
+      res.json({
+        message:
+          "Password has been reset. Please log in with your new password.",
+      });
+    } catch (error) {
+      console.error("Password reset error:", error);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 module.exports = router;
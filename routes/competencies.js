@@ -0,0 +1,414 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../config/database");
+const authMiddleware = require("../middleware/auth");
+const resolveRecordOrganisation = require("../middleware/organisation");
+const { validationResult } = require("express-validator");
+const { listQueryValidation, findList } = require("../utils/listQuery");
+const { csvUpload, importCsv } = require("../utils/csvImport");
+const createAttachmentsRouter = require("./attachments");
+const createHistoryRouter = require("./history");
+const createRestoreRouter = require("./restore");
+const createRenewalsRouter = require("./renewals");
+const { trashRecord, duplicateResponse } = require("../services/trashService");
+const { getSnapshot, recordChange } = require("../services/auditService");
+const {
+  canEdit,
+  findRecordAccess,
+  readOnlyResponse,
+} = require("../services/organisationService");
+const {
+  normalizeCategories,
+  validateCategories,
+  findCompetency,
+  getLinkedFirearms,
+} = require("../services/competencyService");
+
+const isValidDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// Validate a certificate's categories and dates. Returns { message, field }
+// for the 400 response, or null.
+const validateCompetency = ({ categories, issue_date, expiry_date }) => {
+  const categoryError = validateCategories(categories);
+  if (categoryError) {
+    return { message: categoryError, field: "categories" };
+  }
+
+  if (!expiry_date) {
+    return { message: "expiry date is required", field: "expiry_date" };
+  }
+  for (const [field, value] of Object.entries({ issue_date, expiry_date })) {
+    if (value && !isValidDate(value)) {
+      return {
+        message: `${field.replace(
+          /_/g,
+          " "
+        )} must be a valid date (YYYY-MM-DD)`,
+        field,
+      };
+    }
+  }
+  if (issue_date && issue_date >= expiry_date) {
+    return {
+      message: "expiry date must be after the issue date",
+      field: "expiry_date",
+    };
+  }
+
+  return null;
+};
+
+// Create competency certificate. Certificates don't count towards the plan's
+// record limit (see config/licenseTypes.js), so there is no plan check.
+router.post(
+  "/",
+  authMiddleware,
+  resolveRecordOrganisation,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { certificate_number, categories, issue_date, expiry_date } =
+        req.body;
+
+      if (!certificate_number || !certificate_number.trim()) {
+        return res.status(400).json({
+          message: "certificate number is required",
+          field: "certificate_number",
+        });
+      }
+
+      const validationError = validateCompetency(req.body);
+      if (validationError) {
+        return res.status(400).json(validationError);
+      }
+
+      // Check if certificate number already exists
+      const [existingCompetencies] = await db.query(
+        "SELECT id, user_id, deleted_at FROM competencies WHERE certificate_number = ?",
+        [certificate_number]
+      );
+
+      if (existingCompetencies.length > 0) {
+        return res
+          .status(409)
+          .json(
+            duplicateResponse(
+              existingCompetencies[0],
+              userId,
+              "Competency certificate with this number already exists"
+            )
+          );
+      }
+
+      const storedCategories = normalizeCategories(categories).join(",");
+
+      const result = await db.withTransaction(async (connection) => {
+        const [inserted] = await connection.query(
+          `INSERT INTO competencies (
+        user_id,
+        certificate_number,
+        categories,
+        issue_date,
+        expiry_date,
+        organisation_id
+      ) VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            certificate_number,
+            storedCategories,
+            issue_date || null,
+            expiry_date,
+            req.organisationId,
+          ]
+        );
+
+        await recordChange(connection, req, {
+          type: "competency",
+          action: "create",
+          after: await getSnapshot("competency", inserted.insertId, connection),
+        });
+        return inserted;
+      });
+
+      res.status(201).json({
+        message: "Competency certificate added successfully",
+        competency: {
+          id: result.insertId,
+          certificate_number,
+          categories: storedCategories,
+          issue_date: issue_date || null,
+          expiry_date,
+          organisation_id: req.organisationId,
+        },
+      });
+    } catch (error) {
+      console.error("Competency creation error:", error);
+      res.status(500).json({
+        message: "Failed to add competency certificate",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Columns accepted by the CSV import
+const importOptions = {
+  type: "competency",
+  table: "competencies",
+  columns: ["certificate_number", "categories", "issue_date", "expiry_date"],
+  requiredColumns: ["certificate_number", "categories", "expiry_date"],
+  dateColumns: ["issue_date", "expiry_date"],
+  uniqueColumn: "certificate_number",
+  validate: (record) => {
+    const error = validateCompetency(record);
+    return error ? error.message : null;
+  },
+  normalize: (record) => ({
+    ...record,
+    categories: normalizeCategories(record.categories).join(","),
+  }),
+};
+
+// Import competency certificates from a CSV file
+router.post(
+  "/import",
+  authMiddleware,
+  csvUpload,
+  resolveRecordOrganisation,
+  importCsv(importOptions)
+);
+
+// Search, filter and sort options for the list endpoint
+const listOptions = {
+  type: "competency",
+  table: "competencies",
+  columns: [
+    "id",
+    "certificate_number",
+    "categories",
+    "issue_date",
+    "expiry_date",
+    "created_at",
+  ],
+  searchColumns: ["certificate_number", "categories"],
+  sortableColumns: ["created_at", "expiry_date", "certificate_number"],
+};
+
+// Get all competency certificates for user
+router.get(
+  "/",
+  authMiddleware,
+  listQueryValidation(listOptions.sortableColumns),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const {
+        rows: competencies,
+        total,
+        nextCursor,
+      } = await findList({
+        ...listOptions,
+        userId: req.user.userId,
+        params: req.query,
+      });
+
+      res.json({ competencies, total, next_cursor: nextCursor });
+    } catch (error) {
+      console.error("Fetch competencies error:", error);
+      res.status(500).json({
+        message: "Failed to fetch competency certificates",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Get single competency certificate with the firearms relying on it
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const competency = await findCompetency(req.params.id, userId);
+
+    if (!competency) {
+      return res.status(404).json({
+        message: "Competency certificate not found",
+      });
+    }
+
+    res.json({
+      competency: {
+        ...competency,
+        firearms: await getLinkedFirearms(competency.id, userId),
+      },
+    });
+  } catch (error) {
+    console.error("Fetch competency error:", error);
+    res.status(500).json({
+      message: "Failed to fetch competency certificate",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// Update competency certificate
+router.put("/:id", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const competencyId = req.params.id;
+    const { certificate_number, categories, issue_date, expiry_date } =
+      req.body;
+
+    // Verify access; viewers can only read the organisation's records
+    const access = await findRecordAccess("competency", competencyId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        message: "Competency certificate not found",
+      });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
+
+    if (!certificate_number || !certificate_number.trim()) {
+      return res.status(400).json({
+        message: "certificate number is required",
+        field: "certificate_number",
+      });
+    }
+
+    const validationError = validateCompetency(req.body);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+
+    // Check if new certificate number conflicts with existing ones
+    const [conflictingCompetencies] = await db.query(
+      "SELECT id, user_id, deleted_at FROM competencies WHERE certificate_number = ? AND id != ?",
+      [certificate_number, competencyId]
+    );
+
+    if (conflictingCompetencies.length > 0) {
+      return res
+        .status(409)
+        .json(
+          duplicateResponse(
+            conflictingCompetencies[0],
+            userId,
+            "Certificate number already exists"
+          )
+        );
+    }
+
+    await db.withTransaction(async (connection) => {
+      await connection.query(
+        `UPDATE competencies
+       SET certificate_number = ?,
+           categories = ?,
+           issue_date = ?,
+           expiry_date = ?
+       WHERE id = ?`,
+        [
+          certificate_number,
+          normalizeCategories(categories).join(","),
+          issue_date || null,
+          expiry_date,
+          competencyId,
+        ]
+      );
+
+      await recordChange(connection, req, {
+        type: "competency",
+        action: "update",
+        before: access.record,
+        after: await getSnapshot("competency", competencyId, connection),
+      });
+    });
+
+    res.json({
+      message: "Competency certificate updated successfully",
+    });
+  } catch (error) {
+    console.error("Update competency error:", error);
+    res.status(500).json({
+      message: "Failed to update competency certificate",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// Delete competency certificate. Firearms linked to it are flagged as having
+// no competency until it is restored or they are linked to another one.
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const competencyId = req.params.id;
+
+    const access = await findRecordAccess("competency", competencyId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        message: "Competency certificate not found",
+      });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
+
+    // Snapshot for the audit trail
+    const competency = await getSnapshot("competency", competencyId);
+
+    const trashed = await db.withTransaction(async (connection) => {
+      if (
+        !(await trashRecord("competency", competencyId, userId, connection))
+      ) {
+        return false;
+      }
+
+      await recordChange(connection, req, {
+        type: "competency",
+        action: "delete",
+        before: competency,
+        after: await getSnapshot("competency", competencyId, connection),
+      });
+      return true;
+    });
+
+    if (!trashed) {
+      return res.status(404).json({
+        message: "Competency certificate not found",
+      });
+    }
+
+    res.json({
+      message: "Competency certificate deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete competency error:", error);
+    res.status(500).json({
+      message: "Failed to delete competency certificate",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// Files attached to a competency certificate
+router.use("/:id/attachments", createAttachmentsRouter("competency"));
+
+// Audit history of a competency certificate
+router.use("/:id/history", createHistoryRouter("competency"));
+
+// Take a competency certificate back out of the trash
+router.use("/:id/restore", createRestoreRouter("competency"));
+
+// Renewal applications of a competency certificate
+router.use("/:id/renewals", createRenewalsRouter("competency"));
+
+module.exports = router;
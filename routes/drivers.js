@@ -2,12 +2,353 @@ const express = require("express");
 const router = express.Router();
 const db = require("../config/database");
 const authMiddleware = require("../middleware/auth");
+const requireSubscription = require("../middleware/subscription");
+const resolveRecordOrganisation = require("../middleware/organisation");
+const { validationResult } = require("express-validator");
+const { listQueryValidation, findList } = require("../utils/listQuery");
+const { csvUpload, importCsv } = require("../utils/csvImport");
+const createAttachmentsRouter = require("./attachments");
+const createHistoryRouter = require("./history");
+const createRestoreRouter = require("./restore");
+const createRenewalsRouter = require("./renewals");
+const { trashRecord, duplicateResponse } = require("../services/trashService");
+const { getSnapshot, recordChange } = require("../services/auditService");
+const {
+  canEdit,
+  recordAccessSql,
+  findRecordAccess,
+  readOnlyResponse,
+} = require("../services/organisationService");
+const { validateIdNumber, withIdDetails } = require("../utils/saIdNumber");
+
+// South African driver license codes
+const LICENSE_CODES = ["A1", "A", "B", "EB", "C1", "C", "EC1", "EC"];
+
+const isValidDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// License codes may be sent as ["B", "EB"] or "B,EB"; stored as "B,EB"
+const normalizeLicenseCodes = (value) =>
+  []
+    .concat(value)
+    .flatMap((code) => code.toString().split(","))
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean);
+
+// Validate the driver license specifics. The expiry date is the expiry of the
+// license card, which is renewed every five years; the license itself can
+// have a separate validity end date (usually none).
+const validateLicenseDetails = ({
+  licenseCode,
+  restrictions,
+  issueDate,
+  expiryDate,
+  licenseValidUntil,
+}) => {
+  if (licenseCode) {
+    const invalidCodes = normalizeLicenseCodes(licenseCode).filter(
+      (code) => !LICENSE_CODES.includes(code)
+    );
+    if (invalidCodes.length > 0) {
+      return `Invalid license code: ${invalidCodes.join(
+        ", "
+      )}. Must be one of ${LICENSE_CODES.join(", ")}`;
+    }
+  }
+
+  if (restrictions && restrictions.length > 100) {
+    return "Restrictions must be at most 100 characters";
+  }
+
+  for (const [field, value] of Object.entries({
+    issueDate,
+    expiryDate,
+    licenseValidUntil,
+  })) {
+    if (value && !isValidDate(value)) {
+      return `${field
+        .replace(/([A-Z])/g, " $1")
+        .trim()} must be a valid date (YYYY-MM-DD)`;
+    }
+  }
+
+  if (issueDate && expiryDate && new Date(issueDate) > new Date(expiryDate)) {
+    return "Issue date must be before the expiry date";
+  }
+
+  return null;
+};
 
 // Create driver license
-router.post("/", authMiddleware, async (req, res) => {
+router.post(
+  "/",
+  authMiddleware,
+  resolveRecordOrganisation,
+  requireSubscription("records"),
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const {
+        firstName,
+        lastName,
+        idNumber,
+        expiryDate,
+        licenseCode,
+        restrictions,
+        issueDate,
+        licenseValidUntil,
+      } = req.body;
+
+      // Validate required fields
+      if (!firstName || !lastName || !idNumber || !expiryDate) {
+        return res.status(400).json({
+          message: "All fields are required",
+        });
+      }
+
+      const idNumberError = validateIdNumber(idNumber);
+      if (idNumberError) {
+        return res
+          .status(400)
+          .json({ message: idNumberError, field: "idNumber" });
+      }
+
+      const validationError = validateLicenseDetails(req.body);
+      if (validationError) {
+        return res.status(400).json({ message: validationError });
+      }
+
+      // Check if ID number already exists
+      const [existingDrivers] = await db.query(
+        "SELECT id, user_id, deleted_at FROM drivers WHERE id_number = ?",
+        [idNumber]
+      );
+
+      if (existingDrivers.length > 0) {
+        return res
+          .status(409)
+          .json(
+            duplicateResponse(
+              existingDrivers[0],
+              userId,
+              "Driver with this ID number already exists"
+            )
+          );
+      }
+
+      const licenseCodes = licenseCode
+        ? normalizeLicenseCodes(licenseCode).join(",")
+        : null;
+
+      // Insert new driver
+      const result = await db.withTransaction(async (connection) => {
+        const [inserted] = await connection.query(
+          `INSERT INTO drivers (
+          user_id,
+          first_name,
+          last_name,
+          id_number,
+          expiry_date,
+          license_code,
+          restrictions,
+          issue_date,
+          license_valid_until,
+          organisation_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            firstName,
+            lastName,
+            idNumber,
+            expiryDate,
+            licenseCodes,
+            restrictions || null,
+            issueDate || null,
+            licenseValidUntil || null,
+            req.organisationId,
+          ]
+        );
+
+        await recordChange(connection, req, {
+          type: "driver",
+          action: "create",
+          after: await getSnapshot("driver", inserted.insertId, connection),
+        });
+        return inserted;
+      });
+
+      res.status(201).json({
+        message: "Driver license added successfully",
+        driver: {
+          id: result.insertId,
+          firstName,
+          lastName,
+          idNumber,
+          expiryDate,
+          licenseCode: licenseCodes,
+          restrictions: restrictions || null,
+          issueDate: issueDate || null,
+          licenseValidUntil: licenseValidUntil || null,
+          organisationId: req.organisationId,
+        },
+      });
+    } catch (error) {
+      console.error("Driver creation error:", error);
+      res.status(500).json({
+        message: "Failed to add driver license",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Columns accepted by the CSV import
+const importOptions = {
+  type: "driver",
+  table: "drivers",
+  columns: [
+    "first_name",
+    "last_name",
+    "id_number",
+    "expiry_date",
+    "license_code",
+    "restrictions",
+    "issue_date",
+    "license_valid_until",
+  ],
+  requiredColumns: ["first_name", "last_name", "id_number", "expiry_date"],
+  dateColumns: ["expiry_date", "issue_date", "license_valid_until"],
+  uniqueColumn: "id_number",
+  validate: (record) =>
+    validateIdNumber(record.id_number) ||
+    validateLicenseDetails({
+      licenseCode: record.license_code,
+      restrictions: record.restrictions,
+      issueDate: record.issue_date,
+      expiryDate: record.expiry_date,
+    }),
+  normalize: (record) => ({
+    ...record,
+    license_code: record.license_code
+      ? normalizeLicenseCodes(record.license_code).join(",")
+      : null,
+  }),
+};
+
+// Import driver licenses from a CSV file
+router.post(
+  "/import",
+  authMiddleware,
+  requireSubscription("records"),
+  csvUpload,
+  resolveRecordOrganisation,
+  importCsv(importOptions)
+);
+
+// Search, filter and sort options for the list endpoint
+const listOptions = {
+  type: "driver",
+  table: "drivers",
+  columns: [
+    "id",
+    "first_name",
+    "last_name",
+    "id_number",
+    "expiry_date",
+    "license_code",
+    "restrictions",
+    "issue_date",
+    "license_valid_until",
+    "created_at",
+  ],
+  searchColumns: ["first_name", "last_name", "id_number", "license_code"],
+  sortableColumns: ["created_at", "expiry_date", "first_name", "last_name"],
+};
+
+// Get all drivers for user
+router.get(
+  "/",
+  authMiddleware,
+  listQueryValidation(listOptions.sortableColumns),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const {
+        rows: drivers,
+        total,
+        nextCursor,
+      } = await findList({
+        ...listOptions,
+        userId: req.user.userId,
+        params: req.query,
+      });
+
+      res.json({
+        drivers: drivers.map(withIdDetails),
+        total,
+        next_cursor: nextCursor,
+      });
+    } catch (error) {
+      console.error("Fetch drivers error:", error);
+      res.status(500).json({
+        message: "Failed to fetch drivers",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Get single driver license
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const driverId = req.params.id;
+
+    const access = recordAccessSql(userId);
+
+    const [drivers] = await db.query(
+      `SELECT * FROM drivers
+       WHERE id = ? AND ${access.sql} AND deleted_at IS NULL`,
+      [driverId, ...access.params]
+    );
+
+    if (drivers.length === 0) {
+      return res.status(404).json({
+        message: "Driver license not found",
+      });
+    }
+
+    res.json({ driver: withIdDetails(drivers[0]) });
+  } catch (error) {
+    console.error("Fetch driver error:", error);
+    res.status(500).json({
+      message: "Failed to fetch driver license",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// Update driver license
+router.put("/:id", authMiddleware, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { firstName, lastName, idNumber, expiryDate } = req.body;
+    const driverId = req.params.id;
+    const {
+      firstName,
+      lastName,
+      idNumber,
+      expiryDate,
+      licenseCode,
+      restrictions,
+      issueDate,
+      licenseValidUntil,
+    } = req.body;
 
     // Validate required fields
     if (!firstName || !lastName || !idNumber || !expiryDate) {
@@ -16,65 +357,156 @@ router.post("/", authMiddleware, async (req, res) => {
       });
     }
 
-    // Check if ID number already exists
-    const [existingDrivers] = await db.query(
-      "SELECT id FROM drivers WHERE id_number = ?",
-      [idNumber]
-    );
+    const idNumberError = validateIdNumber(idNumber);
+    if (idNumberError) {
+      return res
+        .status(400)
+        .json({ message: idNumberError, field: "idNumber" });
+    }
+
+    const validationError = validateLicenseDetails(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    // Verify access; viewers can only read the organisation's records
+    const access = await findRecordAccess("driver", driverId, userId);
 
-    if (existingDrivers.length > 0) {
-      return res.status(409).json({
-        message: "Driver with this ID number already exists",
+    if (!access) {
+      return res.status(404).json({
+        message: "Driver license not found",
       });
     }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
 
-    // Insert new driver
-    const [result] = await db.query(
-      `INSERT INTO drivers (user_id, first_name, last_name, id_number, expiry_date)
-       VALUES (?, ?, ?, ?, ?)`,
-      [userId, firstName, lastName, idNumber, expiryDate]
+    // Check if new ID number conflicts with existing ones
+    const [conflictingDrivers] = await db.query(
+      "SELECT id, user_id, deleted_at FROM drivers WHERE id_number = ? AND id != ?",
+      [idNumber, driverId]
     );
 
-    res.status(201).json({
-      message: "Driver license added successfully",
-      driver: {
-        id: result.insertId,
-        firstName,
-        lastName,
-        idNumber,
-        expiryDate,
-      },
+    if (conflictingDrivers.length > 0) {
+      return res
+        .status(409)
+        .json(
+          duplicateResponse(
+            conflictingDrivers[0],
+            userId,
+            "ID number already exists"
+          )
+        );
+    }
+
+    // Update driver license
+    await db.withTransaction(async (connection) => {
+      await connection.query(
+        `UPDATE drivers
+       SET first_name = ?,
+           last_name = ?,
+           id_number = ?,
+           expiry_date = ?,
+           license_code = ?,
+           restrictions = ?,
+           issue_date = ?,
+           license_valid_until = ?
+       WHERE id = ?`,
+        [
+          firstName,
+          lastName,
+          idNumber,
+          expiryDate,
+          licenseCode ? normalizeLicenseCodes(licenseCode).join(",") : null,
+          restrictions || null,
+          issueDate || null,
+          licenseValidUntil || null,
+          driverId,
+        ]
+      );
+
+      await recordChange(connection, req, {
+        type: "driver",
+        action: "update",
+        before: access.record,
+        after: await getSnapshot("driver", driverId, connection),
+      });
+    });
+
+    res.json({
+      message: "Driver license updated successfully",
     });
   } catch (error) {
-    console.error("Driver creation error:", error);
+    console.error("Update driver error:", error);
     res.status(500).json({
-      message: "Failed to add driver license",
+      message: "Failed to update driver license",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
 });
 
-// Get all drivers for user
-router.get("/", authMiddleware, async (req, res) => {
+// Delete driver license
+router.delete("/:id", authMiddleware, async (req, res) => {
   try {
     const userId = req.user.userId;
+    const driverId = req.params.id;
 
-    const [drivers] = await db.query(
-      `SELECT id, first_name, last_name, id_number, expiry_date, created_at
-       FROM drivers 
-       WHERE user_id = ?
-       ORDER BY created_at DESC`,
-      [userId]
-    );
+    const access = await findRecordAccess("driver", driverId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        message: "Driver license not found",
+      });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
+
+    // Snapshot for the audit trail
+    const driver = await getSnapshot("driver", driverId);
 
-    res.json({ drivers });
+    const trashed = await db.withTransaction(async (connection) => {
+      if (!(await trashRecord("driver", driverId, userId, connection))) {
+        return false;
+      }
+
+      await recordChange(connection, req, {
+        type: "driver",
+        action: "delete",
+        before: driver,
+        after: await getSnapshot("driver", driverId, connection),
+      });
+      return true;
+    });
+
+    if (!trashed) {
+      return res.status(404).json({
+        message: "Driver license not found",
+      });
+    }
+
+    res.json({
+      message: "Driver license deleted successfully",
+    });
   } catch (error) {
-    console.error("Fetch drivers error:", error);
+    console.error("Delete driver error:", error);
     res.status(500).json({
-      message: "Failed to fetch drivers",
+      message: "Failed to delete driver license",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
 });
 
+// Files attached to a driver
+router.use("/:id/attachments", createAttachmentsRouter("driver"));
+
+// Audit history of a driver
+router.use("/:id/history", createHistoryRouter("driver"));
+
+// Take a driver back out of the trash
+router.use("/:id/restore", createRestoreRouter("driver"));
+
+// Renewal applications of a driver and the periods they replaced
+router.use("/:id/renewals", createRenewalsRouter("driver"));
+
 module.exports = router;
@@ -2,123 +2,349 @@ const express = require("express");
 const router = express.Router();
 const db = require("../config/database");
 const authMiddleware = require("../middleware/auth");
+const requireSubscription = require("../middleware/subscription");
+const resolveRecordOrganisation = require("../middleware/organisation");
+const { validationResult } = require("express-validator");
+const { listQueryValidation, findList } = require("../utils/listQuery");
+const { csvUpload, importCsv } = require("../utils/csvImport");
+const createAttachmentsRouter = require("./attachments");
+const createHistoryRouter = require("./history");
+const createRestoreRouter = require("./restore");
+const createRenewalsRouter = require("./renewals");
+const { trashRecord, duplicateResponse } = require("../services/trashService");
+const { getSnapshot, recordChange } = require("../services/auditService");
+const {
+  canEdit,
+  recordAccessSql,
+  findRecordAccess,
+  readOnlyResponse,
+} = require("../services/organisationService");
+const {
+  getRenewalDeadline,
+  resolveFirearmLicense,
+} = require("../utils/firearmLicense");
+const {
+  competencyStatusSql,
+  findCompetency,
+} = require("../services/competencyService");
 
-// Create firearm license
-router.post("/", authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-    const {
-      first_name,
-      last_name,
-      make_model,
-      caliber,
-      registration_number,
-      expiry_date,
-    } = req.body;
+// Check the licence type and dates of a request, working out the expiry date
+// from the type and issue date if none was sent. Returns { error } with the
+// 400 response body, or { expiryDate }.
+const resolveLicenseDates = ({ license_type, issue_date, expiry_date }) => {
+  const { error, expiryDate } = resolveFirearmLicense({
+    licenseType: license_type,
+    issueDate: issue_date,
+    expiryDate: expiry_date,
+  });
 
-    // Validate required fields
-    const requiredFields = {
-      first_name,
-      last_name,
-      make_model,
-      caliber,
-      registration_number,
-      expiry_date,
+  if (error) {
+    return { error };
+  }
+  if (!expiryDate) {
+    return {
+      error: {
+        message:
+          "expiry date is required, unless a license type and issue date are given",
+        field: "expiry_date",
+      },
     };
+  }
+  return { expiryDate };
+};
 
-    for (const [field, value] of Object.entries(requiredFields)) {
-      if (!value || !value.trim()) {
-        return res.status(400).json({
-          message: `${field.replace(/_/g, " ")} is required`,
-        });
-      }
-    }
+// Check that the competency certificate a firearm relies on is one the user
+// can see, held by the same organisation as the firearm (or, for personal
+// firearms, also personal). Returns the 400 response body, or null.
+const checkCompetency = async (competencyId, userId, organisationId) => {
+  if (!competencyId) {
+    return null;
+  }
 
-    // Check if registration number already exists
-    const [existingFirearms] = await db.query(
-      "SELECT id FROM firearms WHERE registration_number = ?",
-      [registration_number]
-    );
+  const competency = await findCompetency(competencyId, userId);
+  if (!competency) {
+    return {
+      message: "competency certificate not found",
+      field: "competency_id",
+    };
+  }
+  if ((competency.organisation_id || null) !== (organisationId || null)) {
+    return {
+      message: organisationId
+        ? "competency certificate must belong to the firearm's organisation"
+        : "competency certificate must be a personal one",
+      field: "competency_id",
+    };
+  }
+  return null;
+};
 
-    if (existingFirearms.length > 0) {
-      return res.status(409).json({
-        message: "Firearm with this registration number already exists",
-      });
-    }
+// Whether the firearm's competency certificate is valid, expired or missing
+const getCompetencyStatus = async (firearmId) => {
+  const [firearms] = await db.query(
+    `SELECT ${competencyStatusSql()} AS competency_status
+     FROM firearms WHERE id = ?`,
+    [firearmId]
+  );
+  return firearms[0].competency_status;
+};
 
-    // Insert new firearm
-    const [result] = await db.query(
-      `INSERT INTO firearms (
-        user_id, 
-        first_name, 
-        last_name, 
-        make_model, 
-        caliber, 
-        registration_number, 
-        expiry_date
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
-      [
-        userId,
+// A firearm row with the last day to lodge its renewal application
+const withRenewalDeadline = (firearm) => ({
+  ...firearm,
+  renewal_deadline: getRenewalDeadline(
+    firearm.license_type,
+    firearm.expiry_date
+  ),
+});
+
+// Create firearm license
+router.post(
+  "/",
+  authMiddleware,
+  resolveRecordOrganisation,
+  requireSubscription("records"),
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const {
         first_name,
         last_name,
         make_model,
         caliber,
         registration_number,
-        expiry_date,
-      ]
-    );
+        license_type,
+        issue_date,
+        competency_id,
+      } = req.body;
 
-    res.status(201).json({
-      message: "Firearm license added successfully",
-      firearm: {
-        id: result.insertId,
+      // Validate required fields
+      const requiredFields = {
         first_name,
         last_name,
         make_model,
         caliber,
         registration_number,
+      };
+
+      for (const [field, value] of Object.entries(requiredFields)) {
+        if (!value || !value.trim()) {
+          return res.status(400).json({
+            message: `${field.replace(/_/g, " ")} is required`,
+          });
+        }
+      }
+
+      const { error: dateError, expiryDate: expiry_date } = resolveLicenseDates(
+        req.body
+      );
+      if (dateError) {
+        return res.status(400).json(dateError);
+      }
+
+      const competencyError = await checkCompetency(
+        competency_id,
+        userId,
+        req.organisationId
+      );
+      if (competencyError) {
+        return res.status(400).json(competencyError);
+      }
+
+      // Check if registration number already exists
+      const [existingFirearms] = await db.query(
+        "SELECT id, user_id, deleted_at FROM firearms WHERE registration_number = ?",
+        [registration_number]
+      );
+
+      if (existingFirearms.length > 0) {
+        return res
+          .status(409)
+          .json(
+            duplicateResponse(
+              existingFirearms[0],
+              userId,
+              "Firearm with this registration number already exists"
+            )
+          );
+      }
+
+      // Insert new firearm
+      const result = await db.withTransaction(async (connection) => {
+        const [inserted] = await connection.query(
+          `INSERT INTO firearms (
+        user_id, 
+        first_name, 
+        last_name, 
+        make_model, 
+        caliber, 
+        registration_number, 
         expiry_date,
-      },
-    });
-  } catch (error) {
-    console.error("Firearm creation error:", error);
-    res.status(500).json({
-      message: "Failed to add firearm license",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+        license_type,
+        issue_date,
+        competency_id,
+        organisation_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            first_name,
+            last_name,
+            make_model,
+            caliber,
+            registration_number,
+            expiry_date,
+            license_type || null,
+            issue_date || null,
+            competency_id || null,
+            req.organisationId,
+          ]
+        );
+
+        await recordChange(connection, req, {
+          type: "firearm",
+          action: "create",
+          after: await getSnapshot("firearm", inserted.insertId, connection),
+        });
+        return inserted;
+      });
+
+      res.status(201).json({
+        message: "Firearm license added successfully",
+        firearm: {
+          id: result.insertId,
+          first_name,
+          last_name,
+          make_model,
+          caliber,
+          registration_number,
+          expiry_date,
+          license_type: license_type || null,
+          issue_date: issue_date || null,
+          renewal_deadline: getRenewalDeadline(license_type, expiry_date),
+          competency_id: competency_id || null,
+          competency_status: await getCompetencyStatus(result.insertId),
+          organisation_id: req.organisationId,
+        },
+      });
+    } catch (error) {
+      console.error("Firearm creation error:", error);
+      res.status(500).json({
+        message: "Failed to add firearm license",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
   }
-});
+);
+
+// Columns accepted by the CSV import
+const importOptions = {
+  type: "firearm",
+  table: "firearms",
+  columns: [
+    "first_name",
+    "last_name",
+    "make_model",
+    "caliber",
+    "registration_number",
+    "expiry_date",
+    "license_type",
+    "issue_date",
+  ],
+  requiredColumns: [
+    "first_name",
+    "last_name",
+    "make_model",
+    "caliber",
+    "registration_number",
+    "expiry_date",
+  ],
+  dateColumns: ["expiry_date", "issue_date"],
+  uniqueColumn: "registration_number",
+  validate: (record) => {
+    const { error } = resolveLicenseDates(record);
+    return error ? error.message : null;
+  },
+};
+
+// Import firearm licenses from a CSV file
+router.post(
+  "/import",
+  authMiddleware,
+  requireSubscription("records"),
+  csvUpload,
+  resolveRecordOrganisation,
+  importCsv(importOptions)
+);
+
+// Search, filter and sort options for the list endpoint
+const listOptions = {
+  type: "firearm",
+  table: "firearms",
+  columns: [
+    "id",
+    "first_name",
+    "last_name",
+    "make_model",
+    "caliber",
+    "registration_number",
+    "expiry_date",
+    "license_type",
+    "issue_date",
+    "competency_id",
+    `${competencyStatusSql()} AS competency_status`,
+    "created_at",
+  ],
+  searchColumns: [
+    "first_name",
+    "last_name",
+    "make_model",
+    "caliber",
+    "registration_number",
+  ],
+  sortableColumns: [
+    "created_at",
+    "expiry_date",
+    "first_name",
+    "last_name",
+    "make_model",
+    "registration_number",
+  ],
+};
 
 // Get all firearms for user
-router.get("/", authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.userId;
+router.get(
+  "/",
+  authMiddleware,
+  listQueryValidation(listOptions.sortableColumns),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const [firearms] = await db.query(
-      `SELECT 
-        id,
-        first_name,
-        last_name,
-        make_model,
-        caliber,
-        registration_number,
-        expiry_date,
-        created_at
-       FROM firearms 
-       WHERE user_id = ?
-       ORDER BY created_at DESC`,
-      [userId]
-    );
+    try {
+      const {
+        rows: firearms,
+        total,
+        nextCursor,
+      } = await findList({
+        ...listOptions,
+        userId: req.user.userId,
+        params: req.query,
+      });
 
-    res.json({ firearms });
-  } catch (error) {
-    console.error("Fetch firearms error:", error);
-    res.status(500).json({
-      message: "Failed to fetch firearms",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+      res.json({ firearms, total, next_cursor: nextCursor });
+    } catch (error) {
+      console.error("Fetch firearms error:", error);
+      res.status(500).json({
+        message: "Failed to fetch firearms",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
   }
-});
+);
 
 // Get single firearm
 router.get("/:id", authMiddleware, async (req, res) => {
@@ -126,10 +352,13 @@ router.get("/:id", authMiddleware, async (req, res) => {
     const userId = req.user.userId;
     const firearmId = req.params.id;
 
+    const access = recordAccessSql(userId);
+
     const [firearms] = await db.query(
-      `SELECT * FROM firearms 
-       WHERE id = ? AND user_id = ?`,
-      [firearmId, userId]
+      `SELECT *, ${competencyStatusSql()} AS competency_status
+       FROM firearms
+       WHERE id = ? AND ${access.sql} AND deleted_at IS NULL`,
+      [firearmId, ...access.params]
     );
 
     if (firearms.length === 0) {
@@ -138,7 +367,7 @@ router.get("/:id", authMiddleware, async (req, res) => {
       });
     }
 
-    res.json({ firearm: firearms[0] });
+    res.json({ firearm: withRenewalDeadline(firearms[0]) });
   } catch (error) {
     console.error("Fetch firearm error:", error);
     res.status(500).json({
@@ -159,56 +388,94 @@ router.put("/:id", authMiddleware, async (req, res) => {
       make_model,
       caliber,
       registration_number,
-      expiry_date,
+      license_type,
+      issue_date,
+      competency_id,
     } = req.body;
 
-    // Verify ownership
-    const [existingFirearm] = await db.query(
-      "SELECT id FROM firearms WHERE id = ? AND user_id = ?",
-      [firearmId, userId]
-    );
+    // Verify access; viewers can only read the organisation's records
+    const access = await findRecordAccess("firearm", firearmId, userId);
 
-    if (existingFirearm.length === 0) {
+    if (!access) {
       return res.status(404).json({
         message: "Firearm not found",
       });
     }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
+
+    const { error: dateError, expiryDate: expiry_date } = resolveLicenseDates(
+      req.body
+    );
+    if (dateError) {
+      return res.status(400).json(dateError);
+    }
+
+    const competencyError = await checkCompetency(
+      competency_id,
+      userId,
+      access.record.organisation_id
+    );
+    if (competencyError) {
+      return res.status(400).json(competencyError);
+    }
 
     // Check if new registration number conflicts with existing ones
     if (registration_number) {
       const [conflictingFirearms] = await db.query(
-        "SELECT id FROM firearms WHERE registration_number = ? AND id != ?",
+        "SELECT id, user_id, deleted_at FROM firearms WHERE registration_number = ? AND id != ?",
         [registration_number, firearmId]
       );
 
       if (conflictingFirearms.length > 0) {
-        return res.status(409).json({
-          message: "Registration number already exists",
-        });
+        return res
+          .status(409)
+          .json(
+            duplicateResponse(
+              conflictingFirearms[0],
+              userId,
+              "Registration number already exists"
+            )
+          );
       }
     }
 
     // Update firearm
-    await db.query(
-      `UPDATE firearms 
+    await db.withTransaction(async (connection) => {
+      await connection.query(
+        `UPDATE firearms 
        SET first_name = ?,
            last_name = ?,
            make_model = ?,
            caliber = ?,
            registration_number = ?,
-           expiry_date = ?
-       WHERE id = ? AND user_id = ?`,
-      [
-        first_name,
-        last_name,
-        make_model,
-        caliber,
-        registration_number,
-        expiry_date,
-        firearmId,
-        userId,
-      ]
-    );
+           expiry_date = ?,
+           license_type = ?,
+           issue_date = ?,
+           competency_id = ?
+       WHERE id = ?`,
+        [
+          first_name,
+          last_name,
+          make_model,
+          caliber,
+          registration_number,
+          expiry_date,
+          license_type || null,
+          issue_date || null,
+          competency_id || null,
+          firearmId,
+        ]
+      );
+
+      await recordChange(connection, req, {
+        type: "firearm",
+        action: "update",
+        before: access.record,
+        after: await getSnapshot("firearm", firearmId, connection),
+      });
+    });
 
     res.json({
       message: "Firearm updated successfully",
@@ -228,12 +495,35 @@ router.delete("/:id", authMiddleware, async (req, res) => {
     const userId = req.user.userId;
     const firearmId = req.params.id;
 
-    const [result] = await db.query(
-      "DELETE FROM firearms WHERE id = ? AND user_id = ?",
-      [firearmId, userId]
-    );
+    const access = await findRecordAccess("firearm", firearmId, userId);
 
-    if (result.affectedRows === 0) {
+    if (!access) {
+      return res.status(404).json({
+        message: "Firearm not found",
+      });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
+
+    // Snapshot for the audit trail
+    const firearm = await getSnapshot("firearm", firearmId);
+
+    const trashed = await db.withTransaction(async (connection) => {
+      if (!(await trashRecord("firearm", firearmId, userId, connection))) {
+        return false;
+      }
+
+      await recordChange(connection, req, {
+        type: "firearm",
+        action: "delete",
+        before: firearm,
+        after: await getSnapshot("firearm", firearmId, connection),
+      });
+      return true;
+    });
+
+    if (!trashed) {
       return res.status(404).json({
         message: "Firearm not found",
       });
@@ -251,4 +541,16 @@ router.delete("/:id", authMiddleware, async (req, res) => {
   }
 });
 
+// Files attached to a firearm
+router.use("/:id/attachments", createAttachmentsRouter("firearm"));
+
+// Audit history of a firearm
+router.use("/:id/history", createHistoryRouter("firearm"));
+
+// Take a firearm back out of the trash
+router.use("/:id/restore", createRestoreRouter("firearm"));
+
+// Renewal applications of a firearm and the periods they replaced
+router.use("/:id/renewals", createRenewalsRouter("firearm"));
+
 module.exports = router;
@@ -0,0 +1,38 @@
+const express = require("express");
+const authMiddleware = require("../middleware/auth");
+const { getRecordHistory } = require("../services/auditService");
+
+// Audit history of a licence record, mounted by each licence router under
+// /:id/history. `type` is the licence category key (firearm, vehicle, ...)
+// from config/licenseTypes.js. It can be read by whoever can currently read
+// the record, including while it is in the trash.
+const createHistoryRouter = (type) => {
+  const router = express.Router({ mergeParams: true });
+
+  router.get("/", authMiddleware, async (req, res) => {
+    try {
+      const history = await getRecordHistory(
+        type,
+        req.params.id,
+        req.user.userId
+      );
+
+      if (history.length === 0) {
+        return res.status(404).json({ message: "Record not found" });
+      }
+
+      res.json({ history });
+    } catch (error) {
+      console.error("Fetch record history error:", error);
+      res.status(500).json({
+        message: "Failed to fetch record history",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createHistoryRouter;
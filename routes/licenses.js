@@ -0,0 +1,156 @@
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+const authMiddleware = require("../middleware/auth");
+const licenseTypes = require("../config/licenseTypes");
+const {
+  LICENSE_STATUSES,
+  SORTABLE_COLUMNS,
+  findUpcoming,
+  streamRecords,
+  summarize,
+} = require("../services/licenseService");
+const { EXPORT_FORMATS } = require("../services/exportService");
+
+// Licence categories can be given as type=firearm,vehicle or repeated type=
+const parseTypes = (value) =>
+  []
+    .concat(value)
+    .flatMap((type) => type.toString().split(","))
+    .filter(Boolean);
+
+const upcomingValidation = [
+  query("within")
+    .optional()
+    .isInt({ min: 0, max: 3650 })
+    .withMessage("Within must be a number of days from 0 to 3650")
+    .toInt(),
+  query("type")
+    .optional()
+    .customSanitizer(parseTypes)
+    .custom((types) => types.every((type) => licenseTypes[type]))
+    .withMessage(
+      `Type must be one of: ${Object.keys(licenseTypes).join(", ")}`
+    ),
+  query("status")
+    .optional()
+    .isIn(LICENSE_STATUSES)
+    .withMessage(`Status must be one of: ${LICENSE_STATUSES.join(", ")}`),
+  query("sort")
+    .optional()
+    .isIn(SORTABLE_COLUMNS)
+    .withMessage(`Sort must be one of: ${SORTABLE_COLUMNS.join(", ")}`),
+  query("order")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("Order must be asc or desc"),
+];
+
+// Upcoming expiries across every category in config/licenseTypes.js
+// (firearms, vehicles, ..., competency certificates) as a single list
+router.get(
+  "/upcoming",
+  authMiddleware,
+  upcomingValidation,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { within, type, status, sort, order } = req.query;
+
+      const licenses = await findUpcoming(req.user.userId, {
+        types: type && type.length > 0 ? type : undefined,
+        within: within !== undefined ? within : null,
+        status,
+        sort,
+        order,
+      });
+
+      res.json({ licenses });
+    } catch (error) {
+      console.error("Fetch upcoming licenses error:", error);
+      res.status(500).json({
+        message: "Failed to fetch upcoming licenses",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Counts per licence category and status
+router.get("/summary", authMiddleware, async (req, res) => {
+  try {
+    const { summary, totals } = await summarize(req.user.userId);
+    res.json({ summary, totals });
+  } catch (error) {
+    console.error("Fetch license summary error:", error);
+    res.status(500).json({
+      message: "Failed to fetch license summary",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+const exportValidation = [
+  query("format")
+    .optional()
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(
+      `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`
+    ),
+  query("type")
+    .optional()
+    .customSanitizer(parseTypes)
+    .custom((types) => types.every((type) => licenseTypes[type]))
+    .withMessage(
+      `Type must be one of: ${Object.keys(licenseTypes).join(", ")}`
+    ),
+];
+
+// Download the user's records as CSV, XLSX or a PDF compliance report.
+// Records are streamed to the client as they are read.
+router.get("/export", authMiddleware, exportValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const format = req.query.format || "csv";
+    const { type } = req.query;
+    const { contentType, write } = EXPORT_FORMATS[format];
+    const generatedAt = new Date();
+
+    const records = await streamRecords(
+      req.user.userId,
+      type && type.length > 0 ? type : undefined
+    );
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="licenses-${generatedAt
+        .toISOString()
+        .slice(0, 10)}.${format}"`
+    );
+
+    await write(records, res, { generatedAt });
+  } catch (error) {
+    console.error("Export licenses error:", error);
+
+    // Once the download has started the only option is to cut it short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      message: "Failed to export licenses",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,514 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const db = require("../config/database");
+const emailService = require("../config/email");
+const authMiddleware = require("../middleware/auth");
+const getOrganisationInvitationEmailTemplate = require("../templates/organisationInvitationEmail");
+const {
+  ORGANISATION_ROLES,
+  INVITATION_ROLES,
+  INVITATION_DAYS,
+  getMemberRole,
+  createOrganisation,
+  listOrganisations,
+  getOrganisation,
+  renameOrganisation,
+  deleteOrganisation,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  findInvitation,
+  acceptInvitation,
+  declineInvitation,
+} = require("../services/organisationService");
+
+// Organisations, their members and invitations. Licence records are added to
+// an organisation by sending its id with the new record; see
+// middleware/organisation.js.
+
+const nameValidation = body("name")
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage("Name must be between 1 and 100 characters");
+
+const tokenValidation = body("token")
+  .isString()
+  .notEmpty()
+  .withMessage("Invitation token is required");
+
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+// Only let members with one of the roles through. Non-members get a 404 so
+// organisation ids can't be probed. The role is made available as
+// req.memberRole.
+const requireRole =
+  (roles = ORGANISATION_ROLES) =>
+  async (req, res, next) => {
+    try {
+      const role = await getMemberRole(req.params.id, req.user.userId);
+      if (!role) {
+        return res.status(404).json({ message: "Organisation not found" });
+      }
+      if (!roles.includes(role)) {
+        return res.status(403).json({
+          message: `Only ${roles
+            .map((role) => `${role}s`)
+            .join(" and ")} can do this`,
+        });
+      }
+
+      req.memberRole = role;
+      next();
+    } catch (error) {
+      console.error("Organisation role check error:", error);
+      res.status(500).json({
+        message: "Failed to check organisation membership",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  };
+
+const invitationUrl = (action, token) =>
+  `${process.env.FRONTEND_URL}/invitations/${action}?token=${token}`;
+
+// Create an organisation; the user becomes its owner
+router.post(
+  "/",
+  authMiddleware,
+  nameValidation,
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const organisationId = await createOrganisation(
+        req.body.name,
+        req.user.userId
+      );
+
+      res.status(201).json({
+        message: "Organisation created successfully",
+        organisation: {
+          id: organisationId,
+          name: req.body.name,
+          role: "owner",
+        },
+      });
+    } catch (error) {
+      console.error("Organisation creation error:", error);
+      res.status(500).json({
+        message: "Failed to create organisation",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// The organisations the user belongs to
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const organisations = await listOrganisations(req.user.userId);
+    res.json({ organisations });
+  } catch (error) {
+    console.error("Fetch organisations error:", error);
+    res.status(500).json({
+      message: "Failed to fetch organisations",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// What an invitation is for, so it can be shown before it is answered
+router.get("/invitations/:token", async (req, res) => {
+  try {
+    const invitation = await findInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: "Invalid or expired invitation" });
+    }
+
+    res.json({
+      invitation: {
+        organisation_name: invitation.organisation_name,
+        email: invitation.email,
+        role: invitation.role,
+        expires_at: invitation.expires_at,
+      },
+    });
+  } catch (error) {
+    console.error("Fetch invitation error:", error);
+    res.status(500).json({
+      message: "Failed to fetch invitation",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// Accept an invitation. The signed-in user must have the address it was sent
+// to.
+router.post(
+  "/invitations/accept",
+  authMiddleware,
+  tokenValidation,
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const invitation = await findInvitation(req.body.token);
+      if (!invitation) {
+        return res
+          .status(404)
+          .json({ message: "Invalid or expired invitation" });
+      }
+
+      const [users] = await db.query("SELECT email FROM users WHERE id = ?", [
+        req.user.userId,
+      ]);
+      if (
+        users.length === 0 ||
+        users[0].email.toLowerCase() !== invitation.email.toLowerCase()
+      ) {
+        return res.status(403).json({
+          message: "This invitation was sent to a different email address",
+        });
+      }
+
+      if (!(await acceptInvitation(invitation, req.user.userId))) {
+        return res
+          .status(404)
+          .json({ message: "Invalid or expired invitation" });
+      }
+
+      res.json({
+        message: `You have joined ${invitation.organisation_name}`,
+        organisation: {
+          id: invitation.organisation_id,
+          name: invitation.organisation_name,
+          role: await getMemberRole(
+            invitation.organisation_id,
+            req.user.userId
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Accept invitation error:", error);
+      res.status(500).json({
+        message: "Failed to accept invitation",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Decline an invitation. The token from the email is enough, so people
+// without an account can decline too.
+router.post(
+  "/invitations/decline",
+  tokenValidation,
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const invitation = await findInvitation(req.body.token);
+      if (!invitation || !(await declineInvitation(invitation))) {
+        return res
+          .status(404)
+          .json({ message: "Invalid or expired invitation" });
+      }
+
+      res.json({ message: "Invitation declined" });
+    } catch (error) {
+      console.error("Decline invitation error:", error);
+      res.status(500).json({
+        message: "Failed to decline invitation",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// An organisation with its members
+router.get("/:id", authMiddleware, requireRole(), async (req, res) => {
+  try {
+    const organisation = await getOrganisation(req.params.id);
+
+    res.json({
+      organisation: {
+        ...organisation,
+        role: req.memberRole,
+        members: await listMembers(req.params.id),
+      },
+    });
+  } catch (error) {
+    console.error("Fetch organisation error:", error);
+    res.status(500).json({
+      message: "Failed to fetch organisation",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// Rename an organisation
+router.put(
+  "/:id",
+  authMiddleware,
+  requireRole(["owner"]),
+  nameValidation,
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      await renameOrganisation(req.params.id, req.body.name);
+      res.json({ message: "Organisation updated successfully" });
+    } catch (error) {
+      console.error("Update organisation error:", error);
+      res.status(500).json({
+        message: "Failed to update organisation",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Delete an organisation. Its licence records go back to the members who
+// added them.
+router.delete(
+  "/:id",
+  authMiddleware,
+  requireRole(["owner"]),
+  async (req, res) => {
+    try {
+      await deleteOrganisation(req.params.id);
+      res.json({ message: "Organisation deleted successfully" });
+    } catch (error) {
+      console.error("Delete organisation error:", error);
+      res.status(500).json({
+        message: "Failed to delete organisation",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Invite someone by email
+router.post(
+  "/:id/invitations",
+  authMiddleware,
+  requireRole(["owner", "admin"]),
+  body("email")
+    .isEmail()
+    .withMessage("A valid email address is required")
+    .normalizeEmail(),
+  body("role")
+    .optional()
+    .isIn(INVITATION_ROLES)
+    .withMessage(`Role must be one of: ${INVITATION_ROLES.join(", ")}`),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const organisationId = req.params.id;
+      const { email, role = "viewer" } = req.body;
+
+      const [members] = await db.query(
+        `SELECT m.id FROM organisation_members m
+         JOIN users u ON u.id = m.user_id
+         WHERE m.organisation_id = ? AND u.email = ?`,
+        [organisationId, email]
+      );
+      if (members.length > 0) {
+        return res.status(409).json({
+          message: "This person is already a member of the organisation",
+        });
+      }
+
+      const organisation = await getOrganisation(organisationId);
+      const [inviters] = await db.query(
+        "SELECT email, first_name, last_name FROM users WHERE id = ?",
+        [req.user.userId]
+      );
+      const inviter = inviters[0];
+
+      const invitation = await createInvitation({
+        organisationId,
+        email,
+        role,
+        invitedBy: req.user.userId,
+      });
+
+      await emailService.sendMail({
+        to: email,
+        subject: `You're invited to join ${organisation.name}`,
+        html: getOrganisationInvitationEmailTemplate({
+          organisationName: organisation.name,
+          inviterName:
+            [inviter.first_name, inviter.last_name].filter(Boolean).join(" ") ||
+            inviter.email,
+          role,
+          acceptUrl: invitationUrl("accept", invitation.token),
+          declineUrl: invitationUrl("decline", invitation.token),
+          expiresInDays: INVITATION_DAYS,
+        }),
+      });
+
+      res.status(201).json({
+        message: "Invitation sent successfully",
+        invitation: {
+          id: invitation.id,
+          email,
+          role,
+          expires_at: invitation.expiresAt,
+        },
+      });
+    } catch (error) {
+      console.error("Send invitation error:", error);
+      res.status(500).json({
+        message: "Failed to send invitation",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Pending invitations
+router.get(
+  "/:id/invitations",
+  authMiddleware,
+  requireRole(["owner", "admin"]),
+  async (req, res) => {
+    try {
+      const invitations = await listInvitations(req.params.id);
+      res.json({ invitations });
+    } catch (error) {
+      console.error("Fetch invitations error:", error);
+      res.status(500).json({
+        message: "Failed to fetch invitations",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Withdraw a pending invitation
+router.delete(
+  "/:id/invitations/:invitationId",
+  authMiddleware,
+  requireRole(["owner", "admin"]),
+  async (req, res) => {
+    try {
+      const revoked = await revokeInvitation(
+        req.params.id,
+        req.params.invitationId
+      );
+      if (!revoked) {
+        return res.status(404).json({ message: "Invitation not found" });
+      }
+
+      res.json({ message: "Invitation revoked successfully" });
+    } catch (error) {
+      console.error("Revoke invitation error:", error);
+      res.status(500).json({
+        message: "Failed to revoke invitation",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Change a member's role
+router.put(
+  "/:id/members/:userId",
+  authMiddleware,
+  requireRole(["owner"]),
+  body("role")
+    .isIn(ORGANISATION_ROLES)
+    .withMessage(`Role must be one of: ${ORGANISATION_ROLES.join(", ")}`),
+  rejectInvalid,
+  async (req, res) => {
+    try {
+      const result = await updateMemberRole(
+        req.params.id,
+        req.params.userId,
+        req.body.role
+      );
+
+      if (result.error) {
+        return res.status(409).json({ message: result.error });
+      }
+      if (!result.updated) {
+        return res.status(404).json({ message: "Member not found" });
+      }
+
+      res.json({ message: "Member updated successfully" });
+    } catch (error) {
+      console.error("Update member error:", error);
+      res.status(500).json({
+        message: "Failed to update member",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Remove a member. Members can always leave; admins can remove viewers and
+// owners anyone.
+router.delete(
+  "/:id/members/:userId",
+  authMiddleware,
+  requireRole(),
+  async (req, res) => {
+    try {
+      const organisationId = req.params.id;
+      const memberId = Number(req.params.userId);
+
+      if (memberId !== Number(req.user.userId)) {
+        const memberRole = await getMemberRole(organisationId, memberId);
+        if (!memberRole) {
+          return res.status(404).json({ message: "Member not found" });
+        }
+
+        const allowed =
+          req.memberRole === "owner" ||
+          (req.memberRole === "admin" && memberRole === "viewer");
+        if (!allowed) {
+          return res.status(403).json({
+            message: "Your role doesn't allow removing this member",
+          });
+        }
+      }
+
+      const result = await removeMember(organisationId, memberId);
+      if (result.error) {
+        return res.status(409).json({ message: result.error });
+      }
+      if (!result.removed) {
+        return res.status(404).json({ message: "Member not found" });
+      }
+
+      res.json({ message: "Member removed successfully" });
+    } catch (error) {
+      console.error("Remove member error:", error);
+      res.status(500).json({
+        message: "Failed to remove member",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const { getPaymentProvider } = require("../services/payments");
+const { processPayment } = require("../services/subscriptionService");
+
+// Payment provider webhook. Mounted before the JSON body parser because the
+// signature is computed over the raw request body.
+router.post(
+  "/webhook",
+  express.raw({ type: "application/json", limit: "100kb" }),
+  async (req, res) => {
+    try {
+      const provider = getPaymentProvider();
+
+      if (!provider.verifyWebhookSignature(req.body, req.headers)) {
+        return res.status(401).json({ message: "Invalid signature" });
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(req.body.toString("utf8"));
+      } catch (parseError) {
+        return res.status(400).json({ message: "Invalid payload" });
+      }
+
+      const event = provider.parseWebhookEvent(payload);
+      if (event && event.type === "payment.success") {
+        const result = await processPayment(provider, event.transaction);
+        console.log("Payment webhook processed:", {
+          reference: event.transaction.reference,
+          status: result.status,
+          userId: result.userId,
+        });
+      }
+
+      // Acknowledge everything that was genuine so the provider stops retrying
+      res.json({ received: true });
+    } catch (error) {
+      console.error("Payment webhook error:", error);
+      res.status(500).json({
+        message: "Failed to process webhook",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,100 +2,202 @@ const express = require("express");
 const router = express.Router();
 const db = require("../config/database");
 const authMiddleware = require("../middleware/auth");
+const requireSubscription = require("../middleware/subscription");
+const resolveRecordOrganisation = require("../middleware/organisation");
+const { validationResult } = require("express-validator");
+const { listQueryValidation, findList } = require("../utils/listQuery");
+const { csvUpload, importCsv } = require("../utils/csvImport");
+const createAttachmentsRouter = require("./attachments");
+const createHistoryRouter = require("./history");
+const createRestoreRouter = require("./restore");
+const createRenewalsRouter = require("./renewals");
+const { trashRecord, duplicateResponse } = require("../services/trashService");
+const { getSnapshot, recordChange } = require("../services/auditService");
+const {
+  canEdit,
+  recordAccessSql,
+  findRecordAccess,
+  readOnlyResponse,
+} = require("../services/organisationService");
+const { validateIdNumber, withIdDetails } = require("../utils/saIdNumber");
 
 // Create PRPD license
-router.post("/", authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-    const { firstName, lastName, idNumber, expiryDate } = req.body;
+router.post(
+  "/",
+  authMiddleware,
+  resolveRecordOrganisation,
+  requireSubscription("records"),
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { firstName, lastName, idNumber, expiryDate } = req.body;
 
-    // Validate required fields
-    const requiredFields = {
-      firstName,
-      lastName,
-      idNumber,
-      expiryDate,
-    };
-
-    for (const [field, value] of Object.entries(requiredFields)) {
-      if (!value || !value.trim()) {
-        return res.status(400).json({
-          message: `${field.replace(/([A-Z])/g, " $1").trim()} is required`,
-        });
+      // Validate required fields
+      const requiredFields = {
+        firstName,
+        lastName,
+        idNumber,
+        expiryDate,
+      };
+
+      for (const [field, value] of Object.entries(requiredFields)) {
+        if (!value || !value.trim()) {
+          return res.status(400).json({
+            message: `${field.replace(/([A-Z])/g, " $1").trim()} is required`,
+          });
+        }
       }
-    }
 
-    // Check if ID number already exists
-    const [existingPrpd] = await db.query(
-      "SELECT id FROM prpd WHERE id_number = ?",
-      [idNumber]
-    );
+      const idNumberError = validateIdNumber(idNumber);
+      if (idNumberError) {
+        return res
+          .status(400)
+          .json({ message: idNumberError, field: "idNumber" });
+      }
 
-    if (existingPrpd.length > 0) {
-      return res.status(409).json({
-        message: "PRPD license with this ID number already exists",
-      });
-    }
+      // Check if ID number already exists
+      const [existingPrpd] = await db.query(
+        "SELECT id, user_id, deleted_at FROM prpd WHERE id_number = ?",
+        [idNumber]
+      );
+
+      if (existingPrpd.length > 0) {
+        return res
+          .status(409)
+          .json(
+            duplicateResponse(
+              existingPrpd[0],
+              userId,
+              "PRPD license with this ID number already exists"
+            )
+          );
+      }
 
-    // Insert new PRPD license
-    const [result] = await db.query(
-      `INSERT INTO prpd (
+      // Insert new PRPD license
+      const result = await db.withTransaction(async (connection) => {
+        const [inserted] = await connection.query(
+          `INSERT INTO prpd (
         user_id, 
         first_name, 
         last_name, 
         id_number, 
-        expiry_date
-      ) VALUES (?, ?, ?, ?, ?)`,
-      [userId, firstName, lastName, idNumber, expiryDate]
-    );
+        expiry_date,
+        organisation_id
+      ) VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            firstName,
+            lastName,
+            idNumber,
+            expiryDate,
+            req.organisationId,
+          ]
+        );
 
-    res.status(201).json({
-      message: "PRPD license added successfully",
-      prpd: {
-        id: result.insertId,
-        firstName,
-        lastName,
-        idNumber,
-        expiryDate,
-      },
-    });
-  } catch (error) {
-    console.error("PRPD creation error:", error);
-    res.status(500).json({
-      message: "Failed to add PRPD license",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+        await recordChange(connection, req, {
+          type: "prpd",
+          action: "create",
+          after: await getSnapshot("prpd", inserted.insertId, connection),
+        });
+        return inserted;
+      });
+
+      res.status(201).json({
+        message: "PRPD license added successfully",
+        prpd: {
+          id: result.insertId,
+          firstName,
+          lastName,
+          idNumber,
+          expiryDate,
+          organisationId: req.organisationId,
+        },
+      });
+    } catch (error) {
+      console.error("PRPD creation error:", error);
+      res.status(500).json({
+        message: "Failed to add PRPD license",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
   }
-});
+);
+
+// Columns accepted by the CSV import
+const importOptions = {
+  type: "prpd",
+  table: "prpd",
+  columns: ["first_name", "last_name", "id_number", "expiry_date"],
+  requiredColumns: ["first_name", "last_name", "id_number", "expiry_date"],
+  dateColumns: ["expiry_date"],
+  uniqueColumn: "id_number",
+  validate: (record) => validateIdNumber(record.id_number),
+};
+
+// Import PRPD licenses from a CSV file
+router.post(
+  "/import",
+  authMiddleware,
+  requireSubscription("records"),
+  csvUpload,
+  resolveRecordOrganisation,
+  importCsv(importOptions)
+);
+
+// Search, filter and sort options for the list endpoint
+const listOptions = {
+  type: "prpd",
+  table: "prpd",
+  columns: [
+    "id",
+    "first_name",
+    "last_name",
+    "id_number",
+    "expiry_date",
+    "created_at",
+  ],
+  searchColumns: ["first_name", "last_name", "id_number"],
+  sortableColumns: ["created_at", "expiry_date", "first_name", "last_name"],
+};
 
 // Get all PRPD licenses for user
-router.get("/", authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.userId;
+router.get(
+  "/",
+  authMiddleware,
+  listQueryValidation(listOptions.sortableColumns),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const [prpdLicenses] = await db.query(
-      `SELECT 
-        id,
-        first_name,
-        last_name,
-        id_number,
-        expiry_date,
-        created_at
-       FROM prpd 
-       WHERE user_id = ?
-       ORDER BY created_at DESC`,
-      [userId]
-    );
+    try {
+      const {
+        rows: prpdLicenses,
+        total,
+        nextCursor,
+      } = await findList({
+        ...listOptions,
+        userId: req.user.userId,
+        params: req.query,
+      });
 
-    res.json({ prpdLicenses });
-  } catch (error) {
-    console.error("Fetch PRPD licenses error:", error);
-    res.status(500).json({
-      message: "Failed to fetch PRPD licenses",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+      res.json({
+        prpdLicenses: prpdLicenses.map(withIdDetails),
+        total,
+        next_cursor: nextCursor,
+      });
+    } catch (error) {
+      console.error("Fetch PRPD licenses error:", error);
+      res.status(500).json({
+        message: "Failed to fetch PRPD licenses",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
   }
-});
+);
 
 // Get single PRPD license
 router.get("/:id", authMiddleware, async (req, res) => {
@@ -103,10 +205,12 @@ router.get("/:id", authMiddleware, async (req, res) => {
     const userId = req.user.userId;
     const prpdId = req.params.id;
 
+    const access = recordAccessSql(userId);
+
     const [prpdLicenses] = await db.query(
       `SELECT * FROM prpd 
-       WHERE id = ? AND user_id = ?`,
-      [prpdId, userId]
+       WHERE id = ? AND ${access.sql} AND deleted_at IS NULL`,
+      [prpdId, ...access.params]
     );
 
     if (prpdLicenses.length === 0) {
@@ -115,7 +219,7 @@ router.get("/:id", authMiddleware, async (req, res) => {
       });
     }
 
-    res.json({ prpd: prpdLicenses[0] });
+    res.json({ prpd: withIdDetails(prpdLicenses[0]) });
   } catch (error) {
     console.error("Fetch PRPD license error:", error);
     res.status(500).json({
@@ -132,42 +236,64 @@ router.put("/:id", authMiddleware, async (req, res) => {
     const prpdId = req.params.id;
     const { firstName, lastName, idNumber, expiryDate } = req.body;
 
-    // Verify ownership
-    const [existingPrpd] = await db.query(
-      "SELECT id FROM prpd WHERE id = ? AND user_id = ?",
-      [prpdId, userId]
-    );
+    // Verify access; viewers can only read the organisation's records
+    const access = await findRecordAccess("prpd", prpdId, userId);
 
-    if (existingPrpd.length === 0) {
+    if (!access) {
       return res.status(404).json({
         message: "PRPD license not found",
       });
     }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
 
     // Check if new ID number conflicts with existing ones
     if (idNumber) {
+      const idNumberError = validateIdNumber(idNumber);
+      if (idNumberError) {
+        return res
+          .status(400)
+          .json({ message: idNumberError, field: "idNumber" });
+      }
+
       const [conflictingPrpd] = await db.query(
-        "SELECT id FROM prpd WHERE id_number = ? AND id != ?",
+        "SELECT id, user_id, deleted_at FROM prpd WHERE id_number = ? AND id != ?",
         [idNumber, prpdId]
       );
 
       if (conflictingPrpd.length > 0) {
-        return res.status(409).json({
-          message: "ID number already exists",
-        });
+        return res
+          .status(409)
+          .json(
+            duplicateResponse(
+              conflictingPrpd[0],
+              userId,
+              "ID number already exists"
+            )
+          );
       }
     }
 
     // Update PRPD license
-    await db.query(
-      `UPDATE prpd 
+    await db.withTransaction(async (connection) => {
+      await connection.query(
+        `UPDATE prpd 
        SET first_name = ?,
            last_name = ?,
            id_number = ?,
            expiry_date = ?
-       WHERE id = ? AND user_id = ?`,
-      [firstName, lastName, idNumber, expiryDate, prpdId, userId]
-    );
+       WHERE id = ?`,
+        [firstName, lastName, idNumber, expiryDate, prpdId]
+      );
+
+      await recordChange(connection, req, {
+        type: "prpd",
+        action: "update",
+        before: access.record,
+        after: await getSnapshot("prpd", prpdId, connection),
+      });
+    });
 
     res.json({
       message: "PRPD license updated successfully",
@@ -187,12 +313,35 @@ router.delete("/:id", authMiddleware, async (req, res) => {
     const userId = req.user.userId;
     const prpdId = req.params.id;
 
-    const [result] = await db.query(
-      "DELETE FROM prpd WHERE id = ? AND user_id = ?",
-      [prpdId, userId]
-    );
+    const access = await findRecordAccess("prpd", prpdId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        message: "PRPD license not found",
+      });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
 
-    if (result.affectedRows === 0) {
+    // Snapshot for the audit trail
+    const prpd = await getSnapshot("prpd", prpdId);
+
+    const trashed = await db.withTransaction(async (connection) => {
+      if (!(await trashRecord("prpd", prpdId, userId, connection))) {
+        return false;
+      }
+
+      await recordChange(connection, req, {
+        type: "prpd",
+        action: "delete",
+        before: prpd,
+        after: await getSnapshot("prpd", prpdId, connection),
+      });
+      return true;
+    });
+
+    if (!trashed) {
       return res.status(404).json({
         message: "PRPD license not found",
       });
@@ -210,4 +359,16 @@ router.delete("/:id", authMiddleware, async (req, res) => {
   }
 });
 
+// Files attached to a prpd
+router.use("/:id/attachments", createAttachmentsRouter("prpd"));
+
+// Audit history of a prpd
+router.use("/:id/history", createHistoryRouter("prpd"));
+
+// Take a prpd back out of the trash
+router.use("/:id/restore", createRestoreRouter("prpd"));
+
+// Renewal applications of a prpd and the periods they replaced
+router.use("/:id/renewals", createRenewalsRouter("prpd"));
+
 module.exports = router;
@@ -0,0 +1,129 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const authMiddleware = require("../middleware/auth");
+const {
+  RENEWAL_EVENTS,
+  getRenewalHistory,
+  recordEvent,
+} = require("../services/renewalService");
+const {
+  canEdit,
+  findRecordAccess,
+  readOnlyResponse,
+} = require("../services/organisationService");
+
+// Renewal applications of a licence record, mounted by each licence router
+// under /:id/renewals. `type` is the licence category key (firearm, vehicle,
+// ...) from config/licenseTypes.js.
+
+const eventValidation = [
+  body("event")
+    .isIn(RENEWAL_EVENTS)
+    .withMessage(`Event must be one of: ${RENEWAL_EVENTS.join(", ")}`),
+  body(["date", "expiry_date"])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage("Dates must be valid dates (YYYY-MM-DD)"),
+  body("notes")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Notes must be at most 2000 characters"),
+  body("reference")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Reference must be between 1 and 100 characters"),
+  body("reference")
+    .if(body("event").equals("submitted"))
+    .exists()
+    .withMessage("A reference number is required when submitting"),
+  body("expiry_date")
+    .if(body("event").equals("approved"))
+    .exists()
+    .withMessage("The new expiry date is required when approving"),
+];
+
+const createRenewalsRouter = (type) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Renewals of the record with their events, and its earlier periods
+  router.get("/", authMiddleware, async (req, res) => {
+    try {
+      const access = await findRecordAccess(
+        type,
+        req.params.id,
+        req.user.userId
+      );
+      if (!access) {
+        return res.status(404).json({ message: "Record not found" });
+      }
+
+      res.json(await getRenewalHistory(type, access.record.id));
+    } catch (error) {
+      console.error("Fetch renewals error:", error);
+      res.status(500).json({
+        message: "Failed to fetch renewals",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  });
+
+  // Record the next step of the record's renewal
+  router.post("/", authMiddleware, eventValidation, async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const access = await findRecordAccess(
+        type,
+        req.params.id,
+        req.user.userId
+      );
+      if (!access) {
+        return res.status(404).json({ message: "Record not found" });
+      }
+      if (!canEdit(access.role)) {
+        return res.status(403).json(readOnlyResponse());
+      }
+      const { record } = access;
+
+      const result = await recordEvent(req, type, record, {
+        event: req.body.event,
+        date: req.body.date,
+        notes: req.body.notes,
+        reference: req.body.reference,
+        expiryDate: req.body.expiry_date,
+      });
+
+      if (result.error) {
+        return res.status(409).json({
+          message: result.error,
+          code: "INVALID_RENEWAL_TRANSITION",
+        });
+      }
+
+      const { renewals } = await getRenewalHistory(type, record.id);
+      res.status(201).json({
+        message: "Renewal updated successfully",
+        renewal: renewals.find((renewal) => renewal.id === result.renewalId),
+      });
+    } catch (error) {
+      console.error("Record renewal event error:", error);
+      res.status(500).json({
+        message: "Failed to update renewal",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createRenewalsRouter;
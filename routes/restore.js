@@ -0,0 +1,67 @@
+const express = require("express");
+const db = require("../config/database");
+const licenseTypes = require("../config/licenseTypes");
+const authMiddleware = require("../middleware/auth");
+const requireSubscription = require("../middleware/subscription");
+const { restoreRecord } = require("../services/trashService");
+const { getSnapshot, recordChange } = require("../services/auditService");
+
+// Restores a licence record from the trash, mounted by each licence router
+// under /:id/restore. `type` is the licence category key (firearm, vehicle,
+// ...) from config/licenseTypes.js. Restored records count towards the plan's
+// record limit again, for the types that count towards it.
+const createRestoreRouter = (type) => {
+  const router = express.Router({ mergeParams: true });
+
+  router.post(
+    "/",
+    authMiddleware,
+    ...(licenseTypes[type].countsTowardsLimit === false
+      ? []
+      : [requireSubscription("records")]),
+    async (req, res) => {
+      try {
+        // Snapshot for the audit trail
+        const before = await getSnapshot(type, req.params.id);
+
+        const record = await db.withTransaction(async (connection) => {
+          const restored = await restoreRecord(
+            type,
+            req.params.id,
+            req.user.userId,
+            connection
+          );
+          if (!restored) {
+            return null;
+          }
+
+          const after = await getSnapshot(type, req.params.id, connection);
+          await recordChange(connection, req, {
+            type,
+            action: "restore",
+            before,
+            after,
+          });
+          return after;
+        });
+
+        if (!record) {
+          return res.status(404).json({ message: "Record not found in trash" });
+        }
+
+        res.json({ message: "Record restored successfully", record });
+      } catch (error) {
+        console.error("Restore record error:", error);
+        res.status(500).json({
+          message: "Failed to restore record",
+          error:
+            process.env.NODE_ENV === "development" ? error.message : undefined,
+        });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = createRestoreRouter;
@@ -2,36 +2,59 @@ const express = require("express");
 const router = express.Router();
 const db = require("../config/database");
 const authMiddleware = require("../middleware/auth");
+const { getPaymentProvider } = require("../services/payments");
+const {
+  getPlans,
+  getCurrentPlan,
+  getHistory,
+  processPayment,
+} = require("../services/subscriptionService");
 
-// Update user subscription after successful payment
+// Update user subscription after a payment, verifying it with the payment
+// provider instead of trusting the client
 router.post("/subscription", authMiddleware, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { reference, trans, status } = req.body;
+    const { reference, plan } = req.body;
 
-    // Verify payment details are present
-    if (!reference || !trans || status !== "success") {
+    if (!reference || typeof reference !== "string") {
       return res.status(400).json({
-        message: "Invalid payment details",
+        message: "Payment reference is required",
       });
     }
 
-    // Calculate subscription end date (1 year from now)
-    const subscriptionEndDate = new Date();
-    subscriptionEndDate.setFullYear(subscriptionEndDate.getFullYear() + 1);
+    const provider = getPaymentProvider();
+    const transaction = await provider.verifyTransaction(reference);
+    const result = await processPayment(provider, transaction, {
+      userId,
+      planCode: plan,
+    });
 
-    // Update user subscription status
-    const [result] = await db.query(
-      `UPDATE users 
-       SET type_of_user = 'subscriber',
-           subscription_end_date = ?
-       WHERE id = ?`,
-      [subscriptionEndDate, userId]
-    );
+    if (result.status === "invalid_plan") {
+      return res.status(400).json({
+        message: "Invalid subscription plan",
+      });
+    }
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        message: "User not found",
+    if (result.status === "not_paid" || result.status === "invalid_amount") {
+      return res.status(402).json({
+        message: "Payment could not be verified",
+        code: "PAYMENT_NOT_VERIFIED",
+      });
+    }
+
+    if (result.status === "wrong_user") {
+      return res.status(403).json({
+        message: "Payment reference belongs to another user",
+        code: "PAYMENT_NOT_OWNED",
+      });
+    }
+
+    // Replaying a reference that was already applied to this user is a no-op
+    if (result.status === "duplicate" && result.userId !== userId) {
+      return res.status(409).json({
+        message: "Payment reference has already been used",
+        code: "PAYMENT_ALREADY_USED",
       });
     }
 
@@ -49,7 +72,6 @@ router.post("/subscription", authMiddleware, async (req, res) => {
         status: users[0].type_of_user,
         endDate: users[0].subscription_end_date,
         reference: reference,
-        transaction: trans,
       },
     });
   } catch (error) {
@@ -61,7 +83,22 @@ router.post("/subscription", authMiddleware, async (req, res) => {
   }
 });
 
-// Get user subscription status
+// List the available subscription plans
+router.get("/plans", authMiddleware, async (req, res) => {
+  try {
+    const plans = await getPlans();
+    res.json({ plans });
+  } catch (error) {
+    console.error("Fetch plans error:", error);
+    res.status(500).json({
+      message: "Failed to fetch plans",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+// Get user subscription status. Lapsed subscriptions are downgraded by the
+// scheduled subscription expiry job, not here.
 router.get("/subscription", authMiddleware, async (req, res) => {
   try {
     const [users] = await db.query(
@@ -78,37 +115,14 @@ router.get("/subscription", authMiddleware, async (req, res) => {
     }
 
     const user = users[0];
-    const now = new Date();
-    const subscriptionEnd = user.subscription_end_date
-      ? new Date(user.subscription_end_date)
-      : null;
-
-    // Check if subscription has expired
-    if (
-      user.type_of_user === "subscriber" &&
-      subscriptionEnd &&
-      subscriptionEnd < now
-    ) {
-      // Update user back to registered status if subscription expired
-      await db.query(
-        `UPDATE users 
-         SET type_of_user = 'registered',
-             subscription_end_date = NULL 
-         WHERE id = ?`,
-        [req.user.userId]
-      );
-
-      user.type_of_user = "registered";
-      user.subscription_end_date = null;
-    }
+    const plan = await getCurrentPlan(req.user.userId);
 
     res.json({
       subscription: {
         status: user.type_of_user,
         endDate: user.subscription_end_date,
-        isActive:
-          user.type_of_user === "subscriber" &&
-          (!subscriptionEnd || subscriptionEnd > now),
+        isActive: plan.end_date !== null,
+        plan,
       },
     });
   } catch (error) {
@@ -120,4 +134,18 @@ router.get("/subscription", authMiddleware, async (req, res) => {
   }
 });
 
+// Get the user's subscription history
+router.get("/subscription/history", authMiddleware, async (req, res) => {
+  try {
+    const subscriptions = await getHistory(req.user.userId);
+    res.json({ subscriptions });
+  } catch (error) {
+    console.error("Subscription history error:", error);
+    res.status(500).json({
+      message: "Failed to fetch subscription history",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const authMiddleware = require("../middleware/auth");
+const { getRetentionDays, listTrash } = require("../services/trashService");
+
+// Deleted licence records across all categories, with the date each one will
+// be purged. Restore them with POST /api/<type>/:id/restore.
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const trash = await listTrash(req.user.userId);
+    res.json({ trash, retention_days: getRetentionDays() });
+  } catch (error) {
+    console.error("Fetch trash error:", error);
+    res.status(500).json({
+      message: "Failed to fetch trash",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,100 +2,437 @@ const express = require("express");
 const router = express.Router();
 const db = require("../config/database");
 const authMiddleware = require("../middleware/auth");
+const requireSubscription = require("../middleware/subscription");
+const resolveRecordOrganisation = require("../middleware/organisation");
+const { validationResult } = require("express-validator");
+const { listQueryValidation, findList } = require("../utils/listQuery");
+const { csvUpload, importCsv } = require("../utils/csvImport");
+const createAttachmentsRouter = require("./attachments");
+const createHistoryRouter = require("./history");
+const createRestoreRouter = require("./restore");
+const createRenewalsRouter = require("./renewals");
+const { trashRecord, duplicateResponse } = require("../services/trashService");
+const { getSnapshot, recordChange } = require("../services/auditService");
+const {
+  canEdit,
+  recordAccessSql,
+  getRecordRole,
+  findRecordAccess,
+  readOnlyResponse,
+} = require("../services/organisationService");
+const {
+  normalizeRegistration,
+  validateVin,
+  parseLicenseDisc,
+} = require("../utils/vehicleIdentifiers");
 
-// Create vehicle
-router.post("/", authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-    const { make, model, registration, expiryDate } = req.body;
+// Optional vehicle details, their columns and maximum lengths. The VIN is
+// validated separately.
+const DETAIL_COLUMNS = {
+  engineNumber: { column: "engine_number", maxLength: 30 },
+  licenseNumber: { column: "license_number", maxLength: 20 },
+  vehicleCategory: { column: "vehicle_category", maxLength: 50 },
+  colour: { column: "colour", maxLength: 30 },
+};
 
-    // Validate required fields
-    const requiredFields = {
-      make,
-      model,
-      registration,
-      expiryDate,
-    };
+// Validate the optional details. Returns { message, field } or null.
+const validateVehicleDetails = (details) => {
+  if (details.vin) {
+    const vinError = validateVin(String(details.vin).toUpperCase());
+    if (vinError) {
+      return { message: vinError, field: "vin" };
+    }
+  }
 
-    for (const [field, value] of Object.entries(requiredFields)) {
-      if (!value || !value.trim()) {
-        return res.status(400).json({
-          message: `${field.replace(/([A-Z])/g, " $1").trim()} is required`,
-        });
-      }
+  for (const [field, { maxLength }] of Object.entries(DETAIL_COLUMNS)) {
+    if (details[field] && String(details[field]).length > maxLength) {
+      return {
+        message: `${field
+          .replace(/([A-Z])/g, " $1")
+          .toLowerCase()} must be at most ${maxLength} characters`,
+        field,
+      };
     }
+  }
 
-    // Check if registration number already exists
-    const [existingVehicles] = await db.query(
-      "SELECT id FROM vehicles WHERE registration = ?",
-      [registration]
-    );
+  return null;
+};
 
-    if (existingVehicles.length > 0) {
-      return res.status(409).json({
-        message: "Vehicle with this registration number already exists",
-      });
-    }
+// Column values of the optional details, in DETAIL_COLUMNS order after vin
+const detailValues = (details) => [
+  details.vin ? String(details.vin).toUpperCase() : null,
+  ...Object.keys(DETAIL_COLUMNS).map((field) => details[field] || null),
+];
+
+const detailColumns = [
+  "vin",
+  ...Object.values(DETAIL_COLUMNS).map(({ column }) => column),
+];
+
+// Vehicles matching the registration number (ignoring spaces, dashes and
+// case) or VIN, apart from the vehicle being updated
+const findMatchingVehicles = async ({ registration, vin }, excludeId = 0) => {
+  const [vehicles] = await db.query(
+    `SELECT * FROM vehicles
+     WHERE (registration_normalized = ? OR vin = ?) AND id != ?`,
+    [
+      normalizeRegistration(registration),
+      vin ? String(vin).toUpperCase() : null,
+      excludeId,
+    ]
+  );
+  return vehicles;
+};
+
+const duplicateMessage = (duplicate, registration) =>
+  duplicate.registration_normalized === normalizeRegistration(registration)
+    ? "Vehicle with this registration number already exists"
+    : "Vehicle with this VIN already exists";
 
-    // Insert new vehicle
-    const [result] = await db.query(
+// Add a vehicle for the user, or the organisation the request names, and
+// write its audit entry
+const insertVehicle = (req, vehicle) =>
+  db.withTransaction(async (connection) => {
+    const [result] = await connection.query(
       `INSERT INTO vehicles (
-        user_id, 
-        make, 
-        model, 
-        registration, 
-        expiry_date
-      ) VALUES (?, ?, ?, ?, ?)`,
-      [userId, make, model, registration, expiryDate]
+      user_id,
+      organisation_id,
+      make,
+      model,
+      registration,
+      registration_normalized,
+      expiry_date,
+      ${detailColumns.join(", ")}
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ${detailColumns.map(() => "?").join(", ")})`,
+      [
+        req.user.userId,
+        req.organisationId,
+        vehicle.make,
+        vehicle.model,
+        vehicle.registration,
+        normalizeRegistration(vehicle.registration),
+        vehicle.expiryDate,
+        ...detailValues(vehicle),
+      ]
     );
 
-    res.status(201).json({
-      message: "Vehicle added successfully",
-      vehicle: {
-        id: result.insertId,
+    const created = await getSnapshot("vehicle", result.insertId, connection);
+    await recordChange(connection, req, {
+      type: "vehicle",
+      action: "create",
+      after: created,
+    });
+    return created;
+  });
+
+// Create vehicle
+router.post(
+  "/",
+  authMiddleware,
+  resolveRecordOrganisation,
+  requireSubscription("records"),
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { make, model, registration, expiryDate } = req.body;
+
+      // Validate required fields
+      const requiredFields = {
         make,
         model,
         registration,
         expiryDate,
-      },
-    });
-  } catch (error) {
-    console.error("Vehicle creation error:", error);
-    res.status(500).json({
-      message: "Failed to add vehicle",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+      };
+
+      for (const [field, value] of Object.entries(requiredFields)) {
+        if (!value || !value.trim()) {
+          return res.status(400).json({
+            message: `${field.replace(/([A-Z])/g, " $1").trim()} is required`,
+          });
+        }
+      }
+
+      const detailsError = validateVehicleDetails(req.body);
+      if (detailsError) {
+        return res.status(400).json(detailsError);
+      }
+
+      // Check if the registration number or VIN already exists
+      const [existingVehicle] = await findMatchingVehicles(req.body);
+
+      if (existingVehicle) {
+        return res
+          .status(409)
+          .json(
+            duplicateResponse(
+              existingVehicle,
+              userId,
+              duplicateMessage(existingVehicle, registration)
+            )
+          );
+      }
+
+      const vehicle = await insertVehicle(req, req.body);
+
+      res.status(201).json({
+        message: "Vehicle added successfully",
+        vehicle: {
+          id: vehicle.id,
+          make,
+          model,
+          registration,
+          expiryDate,
+          vin: vehicle.vin,
+          engineNumber: vehicle.engine_number,
+          licenseNumber: vehicle.license_number,
+          vehicleCategory: vehicle.vehicle_category,
+          colour: vehicle.colour,
+          organisationId: vehicle.organisation_id,
+        },
+      });
+    } catch (error) {
+      console.error("Vehicle creation error:", error);
+      res.status(500).json({
+        message: "Failed to add vehicle",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
   }
-});
+);
 
-// Get all vehicles for user
-router.get("/", authMiddleware, async (req, res) => {
+// Columns accepted by the CSV import
+const importOptions = {
+  type: "vehicle",
+  table: "vehicles",
+  columns: ["make", "model", "registration", "expiry_date", ...detailColumns],
+  requiredColumns: ["make", "model", "registration", "expiry_date"],
+  dateColumns: ["expiry_date"],
+  computedColumns: {
+    registration_normalized: (record) =>
+      record.registration ? normalizeRegistration(record.registration) : null,
+  },
+  uniqueColumn: "registration_normalized",
+  uniqueLabel: "registration",
+  validate: (record) => {
+    const error = validateVehicleDetails({
+      vin: record.vin,
+      ...Object.fromEntries(
+        Object.entries(DETAIL_COLUMNS).map(([field, { column }]) => [
+          field,
+          record[column],
+        ])
+      ),
+    });
+    return error ? error.message : null;
+  },
+  normalize: (record) => ({
+    ...record,
+    vin: record.vin ? record.vin.toUpperCase() : null,
+  }),
+};
+
+// Import vehicles from a CSV file
+router.post(
+  "/import",
+  authMiddleware,
+  requireSubscription("records"),
+  csvUpload,
+  resolveRecordOrganisation,
+  importCsv(importOptions)
+);
+
+// Parse the licence disc barcode text sent as { data } into req.disc and
+// look up the vehicle it belongs to as req.existingVehicle, if the user can
+// change it. Discs of any other vehicle, or one in the trash, are rejected as
+// duplicates.
+const loadDisc = async (req, res, next) => {
   try {
-    const userId = req.user.userId;
+    const disc = parseLicenseDisc((req.body && req.body.data) || "");
+    if (!disc) {
+      return res.status(400).json({
+        message: "data must be the decoded text of a vehicle licence disc",
+        field: "data",
+      });
+    }
 
-    const [vehicles] = await db.query(
-      `SELECT 
-        id,
-        make,
-        model,
-        registration,
-        expiry_date,
-        created_at
-       FROM vehicles 
-       WHERE user_id = ?
-       ORDER BY created_at DESC`,
-      [userId]
+    const detailsError = validateVehicleDetails(disc);
+    if (detailsError) {
+      return res.status(400).json(detailsError);
+    }
+
+    const userId = Number(req.user.userId);
+    const matches = await findMatchingVehicles(disc);
+    let existingVehicle = null;
+    for (const vehicle of matches) {
+      if (
+        !vehicle.deleted_at &&
+        canEdit(await getRecordRole(vehicle, userId))
+      ) {
+        existingVehicle = vehicle;
+        break;
+      }
+    }
+    const [conflictingVehicle] = matches.filter(
+      (vehicle) => vehicle !== existingVehicle
     );
 
-    res.json({ vehicles });
+    if (conflictingVehicle) {
+      return res
+        .status(409)
+        .json(
+          duplicateResponse(
+            conflictingVehicle,
+            userId,
+            duplicateMessage(conflictingVehicle, disc.registration)
+          )
+        );
+    }
+
+    req.disc = disc;
+    req.existingVehicle = existingVehicle || null;
+    next();
   } catch (error) {
-    console.error("Fetch vehicles error:", error);
+    console.error("Read license disc error:", error);
     res.status(500).json({
-      message: "Failed to fetch vehicles",
+      message: "Failed to read license disc",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
-});
+};
+
+// Only new vehicles count towards the plan's record limit
+const requireRecordSlot = requireSubscription("records");
+const requireRecordForNewVehicle = (req, res, next) =>
+  req.existingVehicle ? next() : requireRecordSlot(req, res, next);
+
+// Add or update a vehicle from its scanned licence disc. Details missing
+// from the disc are kept as they are.
+router.post(
+  "/from-disc",
+  authMiddleware,
+  resolveRecordOrganisation,
+  loadDisc,
+  requireRecordForNewVehicle,
+  async (req, res) => {
+    try {
+      const { disc, existingVehicle } = req;
+
+      if (!existingVehicle) {
+        const vehicle = await insertVehicle(req, disc);
+        return res.status(201).json({
+          message: "Vehicle added from license disc",
+          vehicle,
+        });
+      }
+
+      const vehicle = await db.withTransaction(async (connection) => {
+        await connection.query(
+          `UPDATE vehicles
+         SET make = ?,
+             model = ?,
+             registration = ?,
+             registration_normalized = ?,
+             expiry_date = ?,
+             ${detailColumns
+               .map((column) => `${column} = COALESCE(?, ${column})`)
+               .join(", ")}
+         WHERE id = ?`,
+          [
+            disc.make,
+            disc.model,
+            disc.registration,
+            normalizeRegistration(disc.registration),
+            disc.expiryDate,
+            ...detailValues(disc),
+            existingVehicle.id,
+          ]
+        );
+
+        const updated = await getSnapshot(
+          "vehicle",
+          existingVehicle.id,
+          connection
+        );
+        await recordChange(connection, req, {
+          type: "vehicle",
+          action: "update",
+          before: existingVehicle,
+          after: updated,
+        });
+        return updated;
+      });
+
+      res.json({ message: "Vehicle updated from license disc", vehicle });
+    } catch (error) {
+      console.error("Vehicle from license disc error:", error);
+      res.status(500).json({
+        message: "Failed to save vehicle from license disc",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
+
+// Search, filter and sort options for the list endpoint
+const listOptions = {
+  type: "vehicle",
+  table: "vehicles",
+  columns: [
+    "id",
+    "make",
+    "model",
+    "registration",
+    "expiry_date",
+    "vin",
+    "vehicle_category",
+    "colour",
+    "created_at",
+  ],
+  searchColumns: ["make", "model", "registration", "vin"],
+  sortableColumns: [
+    "created_at",
+    "expiry_date",
+    "make",
+    "model",
+    "registration",
+  ],
+};
+
+// Get all vehicles for user
+router.get(
+  "/",
+  authMiddleware,
+  listQueryValidation(listOptions.sortableColumns),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const {
+        rows: vehicles,
+        total,
+        nextCursor,
+      } = await findList({
+        ...listOptions,
+        userId: req.user.userId,
+        params: req.query,
+      });
+
+      res.json({ vehicles, total, next_cursor: nextCursor });
+    } catch (error) {
+      console.error("Fetch vehicles error:", error);
+      res.status(500).json({
+        message: "Failed to fetch vehicles",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
 
 // Get single vehicle
 router.get("/:id", authMiddleware, async (req, res) => {
@@ -103,10 +440,12 @@ router.get("/:id", authMiddleware, async (req, res) => {
     const userId = req.user.userId;
     const vehicleId = req.params.id;
 
+    const access = recordAccessSql(userId);
+
     const [vehicles] = await db.query(
       `SELECT * FROM vehicles 
-       WHERE id = ? AND user_id = ?`,
-      [vehicleId, userId]
+       WHERE id = ? AND ${access.sql} AND deleted_at IS NULL`,
+      [vehicleId, ...access.params]
     );
 
     if (vehicles.length === 0) {
@@ -132,42 +471,72 @@ router.put("/:id", authMiddleware, async (req, res) => {
     const vehicleId = req.params.id;
     const { make, model, registration, expiryDate } = req.body;
 
-    // Verify ownership
-    const [existingVehicle] = await db.query(
-      "SELECT id FROM vehicles WHERE id = ? AND user_id = ?",
-      [vehicleId, userId]
-    );
+    // Verify access; viewers can only read the organisation's records
+    const access = await findRecordAccess("vehicle", vehicleId, userId);
 
-    if (existingVehicle.length === 0) {
+    if (!access) {
       return res.status(404).json({
         message: "Vehicle not found",
       });
     }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
 
-    // Check if new registration conflicts with existing ones
+    const detailsError = validateVehicleDetails(req.body);
+    if (detailsError) {
+      return res.status(400).json(detailsError);
+    }
+
+    // Check if new registration or VIN conflicts with existing ones
     if (registration) {
-      const [conflictingVehicles] = await db.query(
-        "SELECT id FROM vehicles WHERE registration = ? AND id != ?",
-        [registration, vehicleId]
+      const [conflictingVehicle] = await findMatchingVehicles(
+        req.body,
+        vehicleId
       );
 
-      if (conflictingVehicles.length > 0) {
-        return res.status(409).json({
-          message: "Registration number already exists",
-        });
+      if (conflictingVehicle) {
+        return res
+          .status(409)
+          .json(
+            duplicateResponse(
+              conflictingVehicle,
+              userId,
+              duplicateMessage(conflictingVehicle, registration)
+            )
+          );
       }
     }
 
     // Update vehicle
-    await db.query(
-      `UPDATE vehicles 
+    await db.withTransaction(async (connection) => {
+      await connection.query(
+        `UPDATE vehicles 
        SET make = ?,
            model = ?,
            registration = ?,
-           expiry_date = ?
-       WHERE id = ? AND user_id = ?`,
-      [make, model, registration, expiryDate, vehicleId, userId]
-    );
+           registration_normalized = ?,
+           expiry_date = ?,
+           ${detailColumns.map((column) => `${column} = ?`).join(", ")}
+       WHERE id = ?`,
+        [
+          make,
+          model,
+          registration,
+          registration ? normalizeRegistration(registration) : null,
+          expiryDate,
+          ...detailValues(req.body),
+          vehicleId,
+        ]
+      );
+
+      await recordChange(connection, req, {
+        type: "vehicle",
+        action: "update",
+        before: access.record,
+        after: await getSnapshot("vehicle", vehicleId, connection),
+      });
+    });
 
     res.json({
       message: "Vehicle updated successfully",
@@ -187,12 +556,35 @@ router.delete("/:id", authMiddleware, async (req, res) => {
     const userId = req.user.userId;
     const vehicleId = req.params.id;
 
-    const [result] = await db.query(
-      "DELETE FROM vehicles WHERE id = ? AND user_id = ?",
-      [vehicleId, userId]
-    );
+    const access = await findRecordAccess("vehicle", vehicleId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        message: "Vehicle not found",
+      });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
+
+    // Snapshot for the audit trail
+    const vehicle = await getSnapshot("vehicle", vehicleId);
+
+    const trashed = await db.withTransaction(async (connection) => {
+      if (!(await trashRecord("vehicle", vehicleId, userId, connection))) {
+        return false;
+      }
 
-    if (result.affectedRows === 0) {
+      await recordChange(connection, req, {
+        type: "vehicle",
+        action: "delete",
+        before: vehicle,
+        after: await getSnapshot("vehicle", vehicleId, connection),
+      });
+      return true;
+    });
+
+    if (!trashed) {
       return res.status(404).json({
         message: "Vehicle not found",
       });
@@ -210,4 +602,16 @@ router.delete("/:id", authMiddleware, async (req, res) => {
   }
 });
 
+// Files attached to a vehicle
+router.use("/:id/attachments", createAttachmentsRouter("vehicle"));
+
+// Audit history of a vehicle
+router.use("/:id/history", createHistoryRouter("vehicle"));
+
+// Take a vehicle back out of the trash
+router.use("/:id/restore", createRestoreRouter("vehicle"));
+
+// Renewal applications of a vehicle and the periods they replaced
+router.use("/:id/renewals", createRenewalsRouter("vehicle"));
+
 module.exports = router;
@@ -2,65 +2,34 @@ const express = require("express");
 const router = express.Router();
 const db = require("../config/database");
 const authMiddleware = require("../middleware/auth");
+const requireSubscription = require("../middleware/subscription");
+const resolveRecordOrganisation = require("../middleware/organisation");
+const { validationResult } = require("express-validator");
+const { listQueryValidation, findList } = require("../utils/listQuery");
+const { csvUpload, importCsv } = require("../utils/csvImport");
+const createAttachmentsRouter = require("./attachments");
+const createHistoryRouter = require("./history");
+const createRestoreRouter = require("./restore");
+const createRenewalsRouter = require("./renewals");
+const { trashRecord, duplicateResponse } = require("../services/trashService");
+const { getSnapshot, recordChange } = require("../services/auditService");
+const {
+  canEdit,
+  recordAccessSql,
+  findRecordAccess,
+  readOnlyResponse,
+} = require("../services/organisationService");
 
 // Create work contract
-router.post("/", authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.userId;
-    const {
-      contractName,
-      contractType,
-      companyName,
-      firstName,
-      lastName,
-      contactNumber,
-      emailAddress,
-      expiryDate,
-    } = req.body;
-
-    // Validate required fields
-    const requiredFields = {
-      contractName,
-      contractType,
-      companyName,
-      firstName,
-      lastName,
-      contactNumber,
-      emailAddress,
-      expiryDate,
-    };
-
-    for (const [field, value] of Object.entries(requiredFields)) {
-      if (!value || !value.trim()) {
-        return res.status(400).json({
-          message: `${field.replace(/([A-Z])/g, " $1").trim()} is required`,
-        });
-      }
-    }
-
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(emailAddress)) {
-      return res.status(400).json({
-        message: "Invalid email address format",
-      });
-    }
-
-    // Insert new work contract
-    const [result] = await db.query(
-      `INSERT INTO work_contracts (
-        user_id,
-        contract_name,
-        contract_type,
-        company_name,
-        first_name,
-        last_name,
-        contact_number,
-        email_address,
-        expiry_date
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        userId,
+router.post(
+  "/",
+  authMiddleware,
+  resolveRecordOrganisation,
+  requireSubscription("records"),
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const {
         contractName,
         contractType,
         companyName,
@@ -69,13 +38,10 @@ router.post("/", authMiddleware, async (req, res) => {
         contactNumber,
         emailAddress,
         expiryDate,
-      ]
-    );
+      } = req.body;
 
-    res.status(201).json({
-      message: "Work contract added successfully",
-      contract: {
-        id: result.insertId,
+      // Validate required fields
+      const requiredFields = {
         contractName,
         contractType,
         companyName,
@@ -84,25 +50,29 @@ router.post("/", authMiddleware, async (req, res) => {
         contactNumber,
         emailAddress,
         expiryDate,
-      },
-    });
-  } catch (error) {
-    console.error("Work contract creation error:", error);
-    res.status(500).json({
-      message: "Failed to add work contract",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
-  }
-});
+      };
 
-// Get all work contracts for user
-router.get("/", authMiddleware, async (req, res) => {
-  try {
-    const userId = req.user.userId;
+      for (const [field, value] of Object.entries(requiredFields)) {
+        if (!value || !value.trim()) {
+          return res.status(400).json({
+            message: `${field.replace(/([A-Z])/g, " $1").trim()} is required`,
+          });
+        }
+      }
 
-    const [contracts] = await db.query(
-      `SELECT 
-        id,
+      // Validate email format
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(emailAddress)) {
+        return res.status(400).json({
+          message: "Invalid email address format",
+        });
+      }
+
+      // Insert new work contract
+      const result = await db.withTransaction(async (connection) => {
+        const [inserted] = await connection.query(
+          `INSERT INTO work_contracts (
+        user_id,
         contract_name,
         contract_type,
         company_name,
@@ -111,22 +81,166 @@ router.get("/", authMiddleware, async (req, res) => {
         contact_number,
         email_address,
         expiry_date,
-        created_at
-       FROM work_contracts 
-       WHERE user_id = ?
-       ORDER BY created_at DESC`,
-      [userId]
-    );
+        organisation_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            contractName,
+            contractType,
+            companyName,
+            firstName,
+            lastName,
+            contactNumber,
+            emailAddress,
+            expiryDate,
+            req.organisationId,
+          ]
+        );
 
-    res.json({ contracts });
-  } catch (error) {
-    console.error("Fetch work contracts error:", error);
-    res.status(500).json({
-      message: "Failed to fetch work contracts",
-      error: process.env.NODE_ENV === "development" ? error.message : undefined,
-    });
+        await recordChange(connection, req, {
+          type: "work_contract",
+          action: "create",
+          after: await getSnapshot(
+            "work_contract",
+            inserted.insertId,
+            connection
+          ),
+        });
+        return inserted;
+      });
+
+      res.status(201).json({
+        message: "Work contract added successfully",
+        contract: {
+          id: result.insertId,
+          contractName,
+          contractType,
+          companyName,
+          firstName,
+          lastName,
+          contactNumber,
+          emailAddress,
+          expiryDate,
+          organisationId: req.organisationId,
+        },
+      });
+    } catch (error) {
+      console.error("Work contract creation error:", error);
+      res.status(500).json({
+        message: "Failed to add work contract",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
   }
-});
+);
+
+// Columns accepted by the CSV import
+const importOptions = {
+  type: "work_contract",
+  table: "work_contracts",
+  columns: [
+    "contract_name",
+    "contract_type",
+    "company_name",
+    "first_name",
+    "last_name",
+    "contact_number",
+    "email_address",
+    "expiry_date",
+  ],
+  requiredColumns: [
+    "contract_name",
+    "contract_type",
+    "company_name",
+    "first_name",
+    "last_name",
+    "contact_number",
+    "email_address",
+    "expiry_date",
+  ],
+  dateColumns: ["expiry_date"],
+  validate: (record) =>
+    /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(record.email_address)
+      ? null
+      : "Invalid email address format",
+};
+
+// Import work contracts from a CSV file
+router.post(
+  "/import",
+  authMiddleware,
+  requireSubscription("records"),
+  csvUpload,
+  resolveRecordOrganisation,
+  importCsv(importOptions)
+);
+
+// Search, filter and sort options for the list endpoint
+const listOptions = {
+  type: "work_contract",
+  table: "work_contracts",
+  columns: [
+    "id",
+    "contract_name",
+    "contract_type",
+    "company_name",
+    "first_name",
+    "last_name",
+    "contact_number",
+    "email_address",
+    "expiry_date",
+    "created_at",
+  ],
+  searchColumns: [
+    "contract_name",
+    "contract_type",
+    "company_name",
+    "first_name",
+    "last_name",
+    "email_address",
+  ],
+  sortableColumns: [
+    "created_at",
+    "expiry_date",
+    "contract_name",
+    "company_name",
+  ],
+};
+
+// Get all work contracts for user
+router.get(
+  "/",
+  authMiddleware,
+  listQueryValidation(listOptions.sortableColumns),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const {
+        rows: contracts,
+        total,
+        nextCursor,
+      } = await findList({
+        ...listOptions,
+        userId: req.user.userId,
+        params: req.query,
+      });
+
+      res.json({ contracts, total, next_cursor: nextCursor });
+    } catch (error) {
+      console.error("Fetch work contracts error:", error);
+      res.status(500).json({
+        message: "Failed to fetch work contracts",
+        error:
+          process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  }
+);
 
 // Get single work contract
 router.get("/:id", authMiddleware, async (req, res) => {
@@ -134,10 +248,12 @@ router.get("/:id", authMiddleware, async (req, res) => {
     const userId = req.user.userId;
     const contractId = req.params.id;
 
+    const access = recordAccessSql(userId);
+
     const [contracts] = await db.query(
       `SELECT * FROM work_contracts 
-       WHERE id = ? AND user_id = ?`,
-      [contractId, userId]
+       WHERE id = ? AND ${access.sql} AND deleted_at IS NULL`,
+      [contractId, ...access.params]
     );
 
     if (contracts.length === 0) {
@@ -172,17 +288,17 @@ router.put("/:id", authMiddleware, async (req, res) => {
       expiryDate,
     } = req.body;
 
-    // Verify ownership
-    const [existingContract] = await db.query(
-      "SELECT id FROM work_contracts WHERE id = ? AND user_id = ?",
-      [contractId, userId]
-    );
+    // Verify access; viewers can only read the organisation's records
+    const access = await findRecordAccess("work_contract", contractId, userId);
 
-    if (existingContract.length === 0) {
+    if (!access) {
       return res.status(404).json({
         message: "Work contract not found",
       });
     }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
 
     // Validate email format if provided
     if (emailAddress && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(emailAddress)) {
@@ -192,8 +308,9 @@ router.put("/:id", authMiddleware, async (req, res) => {
     }
 
     // Update work contract
-    await db.query(
-      `UPDATE work_contracts 
+    await db.withTransaction(async (connection) => {
+      await connection.query(
+        `UPDATE work_contracts 
        SET contract_name = ?,
            contract_type = ?,
            company_name = ?,
@@ -202,20 +319,28 @@ router.put("/:id", authMiddleware, async (req, res) => {
            contact_number = ?,
            email_address = ?,
            expiry_date = ?
-       WHERE id = ? AND user_id = ?`,
-      [
-        contractName,
-        contractType,
-        companyName,
-        firstName,
-        lastName,
-        contactNumber,
-        emailAddress,
-        expiryDate,
-        contractId,
-        userId,
-      ]
-    );
+       WHERE id = ?`,
+        [
+          contractName,
+          contractType,
+          companyName,
+          firstName,
+          lastName,
+          contactNumber,
+          emailAddress,
+          expiryDate,
+          contractId,
+          userId,
+        ]
+      );
+
+      await recordChange(connection, req, {
+        type: "work_contract",
+        action: "update",
+        before: access.record,
+        after: await getSnapshot("work_contract", contractId, connection),
+      });
+    });
 
     res.json({
       message: "Work contract updated successfully",
@@ -235,12 +360,37 @@ router.delete("/:id", authMiddleware, async (req, res) => {
     const userId = req.user.userId;
     const contractId = req.params.id;
 
-    const [result] = await db.query(
-      "DELETE FROM work_contracts WHERE id = ? AND user_id = ?",
-      [contractId, userId]
-    );
+    const access = await findRecordAccess("work_contract", contractId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        message: "Work contract not found",
+      });
+    }
+    if (!canEdit(access.role)) {
+      return res.status(403).json(readOnlyResponse());
+    }
+
+    // Snapshot for the audit trail
+    const contract = await getSnapshot("work_contract", contractId);
+
+    const trashed = await db.withTransaction(async (connection) => {
+      if (
+        !(await trashRecord("work_contract", contractId, userId, connection))
+      ) {
+        return false;
+      }
 
-    if (result.affectedRows === 0) {
+      await recordChange(connection, req, {
+        type: "work_contract",
+        action: "delete",
+        before: contract,
+        after: await getSnapshot("work_contract", contractId, connection),
+      });
+      return true;
+    });
+
+    if (!trashed) {
       return res.status(404).json({
         message: "Work contract not found",
       });
@@ -258,4 +408,16 @@ router.delete("/:id", authMiddleware, async (req, res) => {
   }
 });
 
+// Files attached to a work contract
+router.use("/:id/attachments", createAttachmentsRouter("work_contract"));
+
+// Audit history of a work contract
+router.use("/:id/history", createHistoryRouter("work_contract"));
+
+// Take a work contract back out of the trash
+router.use("/:id/restore", createRestoreRouter("work_contract"));
+
+// Renewal applications of a work contract and the periods they replaced
+router.use("/:id/renewals", createRenewalsRouter("work_contract"));
+
 module.exports = router;
@@ -0,0 +1,68 @@
+require("dotenv").config();
+
+const { createPool } = require("../config/database");
+const migrator = require("../database/migrator");
+
+const USAGE = `Usage: node scripts/migrate.js <command>
+
+Commands:
+  up [version]        apply pending migrations, optionally only up to version
+  down [steps]        roll back the last applied migration(s), default 1
+  status              list migrations and when they were applied
+  baseline <version>  mark migrations up to version as applied without
+                      running them (for databases created by hand)`;
+
+const commands = {
+  up: async ([to]) => {
+    const applied = await migrator.migrate({ to });
+    console.log(
+      applied.length > 0
+        ? `Applied ${applied.length} migration(s)`
+        : "Database is up to date"
+    );
+  },
+
+  down: async ([steps = "1"]) => {
+    const rolledBack = await migrator.rollback({ steps: parseInt(steps) });
+    console.log(`Rolled back ${rolledBack.length} migration(s)`);
+  },
+
+  status: async () => {
+    const migrations = await migrator.status();
+    console.table(
+      migrations.map(({ name, applied_at }) => ({
+        migration: name,
+        applied_at: applied_at || "pending",
+      }))
+    );
+  },
+
+  baseline: async ([version]) => {
+    if (!version) {
+      throw new Error("baseline needs the last version already in the schema");
+    }
+    const marked = await migrator.baseline(version);
+    console.log(`Marked ${marked.length} migration(s) as applied`);
+  },
+};
+
+const main = async () => {
+  const [command = "up", ...args] = process.argv.slice(2);
+  if (!commands[command]) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    await commands[command](args);
+  } catch (error) {
+    console.error("Migration failed:", error.message);
+    exitCode = 1;
+  } finally {
+    await createPool().end();
+  }
+  process.exit(exitCode);
+};
+
+main();
@@ -0,0 +1,105 @@
+require("dotenv").config();
+
+const bcrypt = require("bcryptjs");
+const db = require("../config/database");
+
+// Development data: a verified user with records in every licence table,
+// some expired, some expiring soon and some valid. Run after migrating:
+//   npm run migrate && npm run seed
+// Sign in as dev@example.com with SEED_PASSWORD (default "Password123!").
+
+const SEED_EMAIL = "dev@example.com";
+
+// YYYY-MM-DD for a date the given number of days from today
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const seed = async (connection) => {
+  const [existing] = await connection.query(
+    "SELECT id FROM users WHERE email = ?",
+    [SEED_EMAIL]
+  );
+  if (existing.length > 0) {
+    console.log(`${SEED_EMAIL} already exists, nothing to seed`);
+    return;
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const password = await bcrypt.hash(
+    process.env.SEED_PASSWORD || "Password123!",
+    salt
+  );
+
+  const [user] = await connection.query(
+    `INSERT INTO users (email, password, first_name, last_name, contact_number, is_verified)
+     VALUES (?, ?, 'Dev', 'User', '0821234567', 1)`,
+    [SEED_EMAIL, password]
+  );
+  const userId = user.insertId;
+
+  const [competency] = await connection.query(
+    `INSERT INTO competencies (user_id, certificate_number, categories, expiry_date)
+     VALUES (?, 'SEED-COMP-0001', 'handgun,rifle', ?)`,
+    [userId, daysFromNow(400)]
+  );
+
+  // The second firearm has no competency linked, so it is flagged
+  await connection.query(
+    `INSERT INTO firearms (user_id, first_name, last_name, make_model, caliber, registration_number, expiry_date, competency_id)
+     VALUES
+       (?, 'Dev', 'User', 'Glock 19', '9mm', 'SEED-FA-0001', ?, ?),
+       (?, 'Dev', 'User', 'Tikka T3x', '.308 Win', 'SEED-FA-0002', ?, NULL)`,
+    [userId, daysFromNow(20), competency.insertId, userId, daysFromNow(900)]
+  );
+
+  await connection.query(
+    `INSERT INTO vehicles (user_id, make, model, registration, registration_normalized, expiry_date)
+     VALUES
+       (?, 'Toyota', 'Hilux', 'SEED001GP', 'SEED001GP', ?),
+       (?, 'Volkswagen', 'Polo', 'SEED002GP', 'SEED002GP', ?)`,
+    [userId, daysFromNow(-10), userId, daysFromNow(200)]
+  );
+
+  await connection.query(
+    `INSERT INTO drivers (user_id, first_name, last_name, id_number, expiry_date, license_code, issue_date)
+     VALUES (?, 'Dev', 'User', '9001015009086', ?, 'B,EB', ?)`,
+    [userId, daysFromNow(60), daysFromNow(-1765)]
+  );
+
+  await connection.query(
+    `INSERT INTO prpd (user_id, first_name, last_name, id_number, expiry_date)
+     VALUES (?, 'Dev', 'User', '9001015009086', ?)`,
+    [userId, daysFromNow(5)]
+  );
+
+  await connection.query(
+    `INSERT INTO work_contracts (user_id, contract_name, contract_type, company_name, first_name, last_name, contact_number, email_address, expiry_date)
+     VALUES (?, 'Site security', 'Fixed term', 'Acme Security', 'Jane', 'Smith', '0831234567', 'jane@example.com', ?)`,
+    [userId, daysFromNow(45)]
+  );
+
+  console.log(`Seeded ${SEED_EMAIL} with sample licence records`);
+};
+
+const main = async () => {
+  if (process.env.NODE_ENV === "production") {
+    console.error("Refusing to seed a production database");
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    await db.withTransaction(seed);
+  } catch (error) {
+    console.error("Seeding failed:", error.message);
+    exitCode = 1;
+  } finally {
+    await db.createPool().end();
+  }
+  process.exit(exitCode);
+};
+
+main();
@@ -0,0 +1,31 @@
+require("dotenv").config();
+
+const { createPool } = require("../config/database");
+const { verifyChain } = require("../services/auditService");
+
+// Check the audit log hash chain. Exits non-zero if any entry was edited or
+// removed, so it can run from cron or CI:
+//   npm run audit:verify
+
+const main = async () => {
+  let exitCode = 0;
+  try {
+    const result = await verifyChain();
+    if (result.valid) {
+      console.log(`Audit log intact (${result.checked} entries checked)`);
+    } else {
+      console.error(
+        `Audit log tampered with at entry ${result.broken_at}: ${result.reason}`
+      );
+      exitCode = 2;
+    }
+  } catch (error) {
+    console.error("Audit log verification failed:", error.message);
+    exitCode = 1;
+  } finally {
+    await createPool().end();
+  }
+  process.exit(exitCode);
+};
+
+main();
@@ -0,0 +1,21 @@
+const app = require("./app");
+const { initializeDatabase } = require("./config/database");
+const { startScheduler } = require("./services/scheduler");
+
+const PORT = process.env.PORT || 3000;
+
+// Wrap server startup in async function
+const startServer = async () => {
+  try {
+    await initializeDatabase();
+    startScheduler();
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  } catch (error) {
+    console.error("Failed to start server:", error);
+    process.exit(1);
+  }
+};
+
+startServer();
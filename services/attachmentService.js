@@ -0,0 +1,157 @@
+const crypto = require("crypto");
+const path = require("path");
+const db = require("../config/database");
+const { getStorage } = require("./storage");
+
+// Files accepted as attachments. The type is taken from the file contents,
+// never from the name or the Content-Type the client sent.
+const FILE_SIGNATURES = [
+  {
+    mimeType: "application/pdf",
+    matches: (buffer) => buffer.subarray(0, 5).toString("latin1") === "%PDF-",
+  },
+  {
+    mimeType: "image/jpeg",
+    matches: (buffer) =>
+      buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  {
+    mimeType: "image/png",
+    matches: (buffer) =>
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mimeType: "image/webp",
+    matches: (buffer) =>
+      buffer.subarray(0, 4).toString("latin1") === "RIFF" &&
+      buffer.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+  {
+    // Photos taken on iPhones
+    mimeType: "image/heic",
+    matches: (buffer) =>
+      buffer.subarray(4, 8).toString("latin1") === "ftyp" &&
+      ["heic", "heix", "mif1"].includes(
+        buffer.subarray(8, 12).toString("latin1")
+      ),
+  },
+];
+
+const ALLOWED_MIME_TYPES = FILE_SIGNATURES.map(({ mimeType }) => mimeType);
+
+const sniffMimeType = (buffer) => {
+  const signature = FILE_SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? signature.mimeType : null;
+};
+
+// Access to the licence record itself is checked by the router; user_id is
+// whoever uploaded the file
+const listAttachments = async (type, recordId) => {
+  const [attachments] = await db.query(
+    `SELECT id, original_name, mime_type, size, created_at
+     FROM attachments
+     WHERE record_type = ? AND record_id = ?
+     ORDER BY created_at ASC, id ASC`,
+    [type, recordId]
+  );
+  return attachments;
+};
+
+const getAttachment = async (type, recordId, attachmentId) => {
+  const [attachments] = await db.query(
+    `SELECT * FROM attachments
+     WHERE id = ? AND record_type = ? AND record_id = ?`,
+    [attachmentId, type, recordId]
+  );
+  return attachments.length > 0 ? attachments[0] : null;
+};
+
+// Store an uploaded file and record it against the licence. Resolves to null
+// if the file is not one of the allowed types.
+const createAttachment = async ({ type, recordId, userId, file }) => {
+  const mimeType = sniffMimeType(file.buffer);
+  if (!mimeType) {
+    return null;
+  }
+
+  const storage = getStorage();
+  const storageKey = `${userId}/${type}/${recordId}/${crypto.randomUUID()}`;
+  const originalName = path.basename(file.originalname).slice(0, 255);
+
+  await storage.put(storageKey, file.buffer, { contentType: mimeType });
+
+  try {
+    const [result] = await db.query(
+      `INSERT INTO attachments (
+        user_id,
+        record_type,
+        record_id,
+        original_name,
+        mime_type,
+        size,
+        storage_key
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [userId, type, recordId, originalName, mimeType, file.size, storageKey]
+    );
+
+    return {
+      id: result.insertId,
+      original_name: originalName,
+      mime_type: mimeType,
+      size: file.size,
+    };
+  } catch (error) {
+    // Don't leave an orphaned file behind
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+};
+
+const openAttachment = (attachment) => getStorage().get(attachment.storage_key);
+
+const deleteAttachment = async (attachment) => {
+  await db.query("DELETE FROM attachments WHERE id = ?", [attachment.id]);
+  await getStorage().remove(attachment.storage_key);
+};
+
+// Remove every attachment of a licence record, once the record is deleted.
+// Files that fail to delete are logged rather than failing the request.
+const removeRecordAttachments = async (type, recordId) => {
+  const [attachments] = await db.query(
+    "SELECT id, storage_key FROM attachments WHERE record_type = ? AND record_id = ?",
+    [type, recordId]
+  );
+  if (attachments.length === 0) {
+    return;
+  }
+
+  await db.query(
+    "DELETE FROM attachments WHERE record_type = ? AND record_id = ?",
+    [type, recordId]
+  );
+
+  const storage = getStorage();
+  for (const attachment of attachments) {
+    try {
+      await storage.remove(attachment.storage_key);
+    } catch (error) {
+      console.error(
+        `Failed to remove attachment file ${attachment.storage_key}:`,
+        error
+      );
+    }
+  }
+};
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  sniffMimeType,
+  listAttachments,
+  getAttachment,
+  createAttachment,
+  openAttachment,
+  deleteAttachment,
+  removeRecordAttachments,
+};
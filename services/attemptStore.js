@@ -0,0 +1,175 @@
+const { createClient } = require("redis");
+
+// Expiring counters used by brute-force protection and the rate limiters, and
+// the one-off tokens of pending two-factor logins.
+// Redis is used when REDIS_URL is set so counts survive restarts and are
+// shared between instances; otherwise they live in process memory.
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+
+    // Drop expired entries every minute
+    this.cleanupTimer = setInterval(() => this.cleanup(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry
+      ? { value: entry.value, expiresAt: new Date(entry.expiresAt) }
+      : null;
+  }
+
+  // The expiry is set by the first increment and not extended afterwards
+  async increment(key, ttlMs) {
+    let entry = this.getEntry(key);
+    if (!entry) {
+      entry = { value: 0, expiresAt: Date.now() + ttlMs };
+      this.entries.set(key, entry);
+    }
+    entry.value++;
+    return { value: entry.value, expiresAt: new Date(entry.expiresAt) };
+  }
+
+  async decrement(key) {
+    const entry = this.getEntry(key);
+    if (entry && entry.value > 0) {
+      entry.value--;
+    }
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(...keys) {
+    keys.forEach((key) => this.entries.delete(key));
+  }
+
+  // Delete the key, resolving to whether it was there. Lets a one-off token
+  // be used exactly once.
+  async take(key) {
+    const existed = this.getEntry(key) !== undefined;
+    this.entries.delete(key);
+    return existed;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.cleanupTimer);
+    this.entries.clear();
+  }
+}
+
+// INCR the key and give it the TTL when it has none yet (a new key). Returns
+// the count and the TTL left in milliseconds.
+const INCREMENT_SCRIPT = `
+local value = redis.call("INCR", KEYS[1])
+local ttl = redis.call("PTTL", KEYS[1])
+if ttl < 0 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { value, ttl }
+`;
+
+class RedisStore {
+  constructor(url) {
+    this.client = createClient({ url });
+    this.client.on("error", (error) => {
+      console.error("Redis error:", error);
+    });
+
+    // Commands issued while connecting are queued by the client
+    this.client.connect().catch((error) => {
+      console.error("Redis connection failed:", error);
+    });
+  }
+
+  async get(key) {
+    const [value, ttl] = await this.client.multi().get(key).pTTL(key).exec();
+    if (value === null) {
+      return null;
+    }
+    return {
+      value: Number(value),
+      expiresAt: ttl > 0 ? new Date(Date.now() + ttl) : null,
+    };
+  }
+
+  // Counting and setting the expiry of a new key happen in one script, so a
+  // crash in between can never leave a counter that doesn't expire
+  async increment(key, ttlMs) {
+    const [value, ttl] = await this.client.eval(INCREMENT_SCRIPT, {
+      keys: [key],
+      arguments: [String(ttlMs)],
+    });
+    return { value, expiresAt: new Date(Date.now() + ttl) };
+  }
+
+  async decrement(key) {
+    const value = await this.client.decr(key);
+    if (value <= 0) {
+      await this.client.del(key);
+    }
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(key, String(value), { PX: ttlMs });
+  }
+
+  async delete(...keys) {
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
+
+  async take(key) {
+    return (await this.client.del(key)) > 0;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    store = process.env.REDIS_URL
+      ? new RedisStore(process.env.REDIS_URL)
+      : new MemoryStore();
+  }
+  return store;
+};
+
+// Swap the store, e.g. for a fresh MemoryStore in tests
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  getStore,
+  setStore,
+};
@@ -0,0 +1,321 @@
+const crypto = require("crypto");
+const db = require("../config/database");
+const licenseTypes = require("../config/licenseTypes");
+const { recordAccessSql } = require("./organisationService");
+
+// Tamper-evident audit trail of licence record changes. Entries form a hash
+// chain: each one's hash covers its contents and the previous entry's hash,
+// and the audit_chain row tracks the newest entry. Appending locks that row,
+// so entries are chained one at a time even across app instances.
+
+const AUDIT_ACTIONS = [
+  "create",
+  "update",
+  "delete",
+  "restore",
+  "purge",
+  "renew",
+];
+const GENESIS_HASH = "0".repeat(64);
+
+// Bookkeeping columns that aren't part of the licence details
+const IGNORED_COLUMNS = ["id", "user_id", "created_at", "updated_at"];
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// DATE columns come back as local midnight; keep them as plain dates
+const toAuditValue = (value) => {
+  if (value instanceof Date) {
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+      value.getDate()
+    )}`;
+    return value.getHours() || value.getMinutes() || value.getSeconds()
+      ? `${date} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(
+          value.getSeconds()
+        )}`
+      : date;
+  }
+  return value === undefined ? null : value;
+};
+
+// Columns that differ between two snapshots of a record, as
+// { column: { before, after } }. A missing snapshot counts as all nulls.
+const diffRecords = (before, after) => {
+  const columns = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = {};
+
+  for (const column of columns) {
+    if (IGNORED_COLUMNS.includes(column)) {
+      continue;
+    }
+    const oldValue = toAuditValue(before ? before[column] : null);
+    const newValue = toAuditValue(after ? after[column] : null);
+    if (oldValue !== newValue) {
+      changes[column] = { before: oldValue, after: newValue };
+    }
+  }
+  return changes;
+};
+
+const hashEntry = (entry) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        entry.prev_hash,
+        entry.user_id,
+        entry.actor_id,
+        entry.record_type,
+        entry.record_id,
+        entry.action,
+        entry.changes,
+        entry.ip_address,
+        entry.created_at.toISOString(),
+      ])
+    )
+    .digest("hex");
+
+// The full row of a licence record, to diff against after a change
+const getSnapshot = async (type, recordId, connection = db) => {
+  const [records] = await connection.query(
+    `SELECT * FROM ${licenseTypes[type].table} WHERE id = ?`,
+    [recordId]
+  );
+  return records.length > 0 ? records[0] : null;
+};
+
+// Turn a change into an entry for appendEntries
+const buildEntry = (req, { type, action, before = null, after = null }) => {
+  const record = after || before;
+  const createdAt = new Date();
+  createdAt.setMilliseconds(0); // DATETIME has whole seconds
+
+  return {
+    user_id: record.user_id,
+    actor_id: req && req.user ? Number(req.user.userId) : null,
+    record_type: type,
+    record_id: record.id,
+    action,
+    changes: JSON.stringify(diffRecords(before, after)),
+    ip_address: req ? req.ip : null,
+    created_at: createdAt,
+  };
+};
+
+// Append entries to the chain on the given connection. Must run inside a
+// transaction: the chain row stays locked until it commits.
+const appendEntries = async (connection, entries) => {
+  const [chain] = await connection.query(
+    "SELECT last_hash FROM audit_chain WHERE id = 1 FOR UPDATE"
+  );
+  let prevHash = chain[0].last_hash;
+  let lastEntryId = null;
+
+  for (const entry of entries) {
+    const chained = { ...entry, prev_hash: prevHash };
+    chained.hash = hashEntry(chained);
+
+    const [result] = await connection.query(
+      `INSERT INTO audit_log (
+        user_id,
+        actor_id,
+        record_type,
+        record_id,
+        action,
+        changes,
+        ip_address,
+        created_at,
+        prev_hash,
+        hash
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        chained.user_id,
+        chained.actor_id,
+        chained.record_type,
+        chained.record_id,
+        chained.action,
+        chained.changes,
+        chained.ip_address,
+        chained.created_at,
+        chained.prev_hash,
+        chained.hash,
+      ]
+    );
+
+    prevHash = chained.hash;
+    lastEntryId = result.insertId;
+  }
+
+  if (lastEntryId !== null) {
+    await connection.query(
+      "UPDATE audit_chain SET last_entry_id = ?, last_hash = ? WHERE id = 1",
+      [lastEntryId, prevHash]
+    );
+  }
+};
+
+// Record a change made by a request on the connection that made it. Call it
+// inside the change's transaction: if the entry can't be written the change
+// is rolled back with it, so no change is ever saved without its entry.
+const recordChange = async (connection, req, change) => {
+  await appendEntries(connection, [buildEntry(req, change)]);
+};
+
+const fromEntryRow = (row) => ({
+  id: row.id,
+  record_type: row.record_type,
+  record_id: row.record_id,
+  action: row.action,
+  changes: JSON.parse(row.changes),
+  actor_id: row.actor_id,
+  ip_address: row.ip_address,
+  created_at: row.created_at,
+  hash: row.hash,
+});
+
+// SQL condition matching audit_log rows of records the user can currently
+// read, trashed ones included
+const accessibleEntrySql = (userId, types = Object.keys(licenseTypes)) => {
+  const access = recordAccessSql(userId);
+  return {
+    sql: `(${types
+      .map(
+        (type) => `(record_type = '${type}' AND EXISTS (
+          SELECT 1 FROM ${licenseTypes[type].table}
+          WHERE id = audit_log.record_id AND ${access.sql}
+        ))`
+      )
+      .join(" OR ")})`,
+    params: types.flatMap(() => access.params),
+  };
+};
+
+// Every entry for one record, oldest first, for users who can currently read
+// the record. Once it has been purged, users only find the entries for the
+// changes they made, in their audit log.
+const getRecordHistory = async (type, recordId, userId) => {
+  const access = accessibleEntrySql(userId, [type]);
+  const [rows] = await db.query(
+    `SELECT * FROM audit_log
+     WHERE record_id = ? AND ${access.sql}
+     ORDER BY id ASC`,
+    [recordId, ...access.params]
+  );
+  return rows.map(fromEntryRow);
+};
+
+// Entries for changes the user made and for records they can currently read,
+// newest first. `before` is the id of the last entry of the previous page.
+const listEntries = async (
+  userId,
+  { type, action, recordId, before, limit = 50 } = {}
+) => {
+  const access = accessibleEntrySql(userId);
+  const conditions = [`(actor_id = ? OR ${access.sql})`];
+  const params = [userId, ...access.params];
+
+  if (type) {
+    conditions.push("record_type = ?");
+    params.push(type);
+  }
+  if (action) {
+    conditions.push("action = ?");
+    params.push(action);
+  }
+  if (recordId) {
+    conditions.push("record_id = ?");
+    params.push(recordId);
+  }
+  if (before) {
+    conditions.push("id < ?");
+    params.push(before);
+  }
+
+  // One extra row tells whether there is another page
+  const [rows] = await db.query(
+    `SELECT * FROM audit_log
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY id DESC
+     LIMIT ?`,
+    [...params, limit + 1]
+  );
+
+  const entries = rows.slice(0, limit).map(fromEntryRow);
+  return {
+    entries,
+    nextCursor: rows.length > limit ? entries[entries.length - 1].id : null,
+  };
+};
+
+const VERIFY_BATCH_SIZE = 1000;
+
+// Walk the whole chain and check every link. Resolves to { valid, checked }
+// or, when the chain is broken, also the id of the first bad entry and why.
+const verifyChain = async () => {
+  let prevHash = GENESIS_HASH;
+  let lastId = 0;
+  let checked = 0;
+
+  for (;;) {
+    const [rows] = await db.query(
+      "SELECT * FROM audit_log WHERE id > ? ORDER BY id ASC LIMIT ?",
+      [lastId, VERIFY_BATCH_SIZE]
+    );
+
+    for (const row of rows) {
+      if (row.prev_hash !== prevHash) {
+        return {
+          valid: false,
+          checked,
+          broken_at: row.id,
+          reason: "Entry does not follow the previous entry",
+        };
+      }
+      if (hashEntry(row) !== row.hash) {
+        return {
+          valid: false,
+          checked,
+          broken_at: row.id,
+          reason: "Entry contents do not match its hash",
+        };
+      }
+      prevHash = row.hash;
+      lastId = row.id;
+      checked++;
+    }
+
+    if (rows.length < VERIFY_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  // Entries removed from the end leave the chain row pointing past them
+  const [chain] = await db.query(
+    "SELECT last_entry_id, last_hash FROM audit_chain WHERE id = 1"
+  );
+  if (chain[0].last_hash !== prevHash) {
+    return {
+      valid: false,
+      checked,
+      broken_at: chain[0].last_entry_id,
+      reason: "Newest entries are missing",
+    };
+  }
+
+  return { valid: true, checked };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffRecords,
+  getSnapshot,
+  buildEntry,
+  appendEntries,
+  recordChange,
+  getRecordHistory,
+  listEntries,
+  verifyChain,
+};
@@ -0,0 +1,89 @@
+const db = require("../config/database");
+const { recordAccessSql } = require("./organisationService");
+
+// Competency certificates and the firearms that rely on them. A firearm
+// licence is only of use while the holder's competency is, so firearms are
+// flagged when the certificate they are linked to has expired, or when there
+// is none (never linked, or the certificate is in the trash).
+
+// Competency categories on the certificate
+const COMPETENCY_CATEGORIES = [
+  "handgun",
+  "rifle",
+  "self_loading_rifle",
+  "shotgun",
+];
+
+// Categories may be sent as ["handgun", "rifle"] or "handgun, rifle"; stored
+// as "handgun,rifle"
+const normalizeCategories = (value) =>
+  []
+    .concat(value)
+    .flatMap((category) => category.toString().split(","))
+    .map((category) =>
+      category
+        .trim()
+        .toLowerCase()
+        .replace(/[\s-]+/g, "_")
+    )
+    .filter(Boolean);
+
+// Error message for categories outside COMPETENCY_CATEGORIES, or null
+const validateCategories = (value) => {
+  const categories = value ? normalizeCategories(value) : [];
+  if (categories.length === 0) {
+    return "categories is required";
+  }
+
+  const invalid = categories.filter(
+    (category) => !COMPETENCY_CATEGORIES.includes(category)
+  );
+  return invalid.length > 0
+    ? `Invalid competency category: ${invalid.join(
+        ", "
+      )}. Must be one of ${COMPETENCY_CATEGORIES.join(", ")}`
+    : null;
+};
+
+// The competency status of a firearm as a SQL expression, for queries that
+// select FROM firearms
+const competencyStatusSql = () => `COALESCE(
+  (SELECT CASE WHEN c.expiry_date < CURDATE() THEN 'expired' ELSE 'valid' END
+   FROM competencies c
+   WHERE c.id = firearms.competency_id AND c.deleted_at IS NULL),
+  'missing'
+)`;
+
+// A certificate the user can see, outside the trash
+const findCompetency = async (competencyId, userId) => {
+  const access = recordAccessSql(userId);
+  const [competencies] = await db.query(
+    `SELECT * FROM competencies
+     WHERE id = ? AND ${access.sql} AND deleted_at IS NULL`,
+    [competencyId, ...access.params]
+  );
+  return competencies.length > 0 ? competencies[0] : null;
+};
+
+// The firearms the user can see, outside the trash, that rely on a
+// certificate
+const getLinkedFirearms = async (competencyId, userId) => {
+  const access = recordAccessSql(userId);
+  const [firearms] = await db.query(
+    `SELECT id, make_model, registration_number, expiry_date
+     FROM firearms
+     WHERE competency_id = ? AND ${access.sql} AND deleted_at IS NULL
+     ORDER BY expiry_date`,
+    [competencyId, ...access.params]
+  );
+  return firearms;
+};
+
+module.exports = {
+  COMPETENCY_CATEGORIES,
+  normalizeCategories,
+  validateCategories,
+  competencyStatusSql,
+  findCompetency,
+  getLinkedFirearms,
+};
@@ -0,0 +1,213 @@
+const { once } = require("events");
+const { pipeline } = require("stream/promises");
+const { stringify } = require("csv-stringify");
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+
+// Licence exports. Each writer takes the records from streamRecords and writes
+// them to the output stream as they arrive, so large exports are never held
+// in memory as a whole.
+
+const COLUMNS = [
+  { key: "category", header: "Category", width: 120 },
+  { key: "title", header: "Description", width: 190 },
+  { key: "expiry_date", header: "Expiry date", width: 70 },
+  { key: "days_remaining", header: "Days left", width: 55 },
+  { key: "status", header: "Status", width: 80 },
+];
+
+// DATE columns come back as local midnight, so format them in local time
+const formatDate = (value) => {
+  if (!(value instanceof Date)) {
+    return value;
+  }
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(
+    value.getDate()
+  )}`;
+};
+
+const toExportRow = (record) => ({
+  category: record.label,
+  title: record.title,
+  expiry_date: formatDate(record.expiry_date),
+  days_remaining: record.days_remaining,
+  status: record.status,
+});
+
+const writeCsv = (records, output) =>
+  pipeline(
+    records,
+    async function* (source) {
+      for await (const record of source) {
+        yield toExportRow(record);
+      }
+    },
+    stringify({ header: true, columns: COLUMNS }),
+    output
+  );
+
+const writeXlsx = async (records, output, { generatedAt }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: true,
+  });
+  workbook.created = generatedAt;
+
+  const sheet = workbook.addWorksheet("Licenses");
+  sheet.columns = COLUMNS.map(({ key, header, width }) => ({
+    key,
+    header,
+    width: Math.round(width / 5),
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const record of records) {
+    const row = sheet.addRow(toExportRow(record));
+    if (record.status === "expired") {
+      row.font = { color: { argb: "FFC0392B" } };
+    }
+    row.commit();
+  }
+
+  await workbook.commit();
+};
+
+// PDF compliance report: one section per category with expired records
+// highlighted, and a count of records and expired records per section
+const PDF_MARGIN = 40;
+const PDF_ROW_HEIGHT = 18;
+
+const drawPdfRow = (doc, values, { bold = false, highlight = false } = {}) => {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  if (doc.y + PDF_ROW_HEIGHT > bottom) {
+    doc.addPage();
+  }
+
+  const y = doc.y;
+  if (highlight) {
+    doc
+      .rect(PDF_MARGIN, y - 4, doc.page.width - PDF_MARGIN * 2, PDF_ROW_HEIGHT)
+      .fill("#fdecea");
+  }
+
+  doc
+    .font(bold ? "Helvetica-Bold" : "Helvetica")
+    .fontSize(9)
+    .fillColor(highlight ? "#c0392b" : "#333333");
+
+  let x = PDF_MARGIN;
+  for (const { key, width } of COLUMNS) {
+    doc.text(String(values[key]), x, y, {
+      width: width - 6,
+      height: PDF_ROW_HEIGHT,
+      ellipsis: true,
+      lineBreak: false,
+    });
+    x += width;
+  }
+
+  doc.x = PDF_MARGIN;
+  doc.y = y + PDF_ROW_HEIGHT;
+};
+
+const drawPdfSectionFooter = (doc, { total, expired }) => {
+  doc
+    .moveDown(0.5)
+    .font("Helvetica-Oblique")
+    .fontSize(9)
+    .fillColor("#666666")
+    .text(`${total} records, ${expired} expired`, PDF_MARGIN)
+    .moveDown(1);
+};
+
+const writePdf = async (records, output, { generatedAt }) => {
+  const doc = new PDFDocument({ size: "A4", margin: PDF_MARGIN });
+  const done = pipeline(doc, output);
+
+  // If the client goes away part way, the pipeline destroys the document and
+  // `done` rejects while records are still being rendered. Stop rendering
+  // then; the error is rethrown at the end.
+  const closed = new AbortController();
+  done.catch(() => closed.abort());
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .fillColor("#333333")
+    .text("License compliance report")
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor("#666666")
+    .text(`Generated at ${generatedAt.toISOString()}`)
+    .moveDown(1.5);
+
+  const headers = Object.fromEntries(
+    COLUMNS.map(({ key, header }) => [key, header])
+  );
+  let section = null;
+
+  try {
+    for await (const record of records) {
+      if (doc.destroyed) {
+        break;
+      }
+
+      if (!section || section.type !== record.type) {
+        if (section) {
+          drawPdfSectionFooter(doc, section);
+        }
+        section = { type: record.type, total: 0, expired: 0 };
+
+        doc
+          .font("Helvetica-Bold")
+          .fontSize(13)
+          .fillColor("#333333")
+          .text(record.label, PDF_MARGIN)
+          .moveDown(0.5);
+        drawPdfRow(doc, headers, { bold: true });
+      }
+
+      drawPdfRow(doc, toExportRow(record), {
+        highlight: record.status === "expired",
+      });
+      section.total += 1;
+      section.expired += record.status === "expired" ? 1 : 0;
+
+      // Let the client catch up before rendering more
+      if (doc.readableLength > doc.readableHighWaterMark) {
+        await once(doc, "data", { signal: closed.signal });
+      }
+    }
+  } catch (error) {
+    // The wait for the client is aborted when the download is cut short
+    if (!doc.destroyed) {
+      throw error;
+    }
+  }
+
+  if (!doc.destroyed) {
+    if (section) {
+      drawPdfSectionFooter(doc, section);
+    } else {
+      doc.font("Helvetica").fontSize(11).text("No licenses to report.");
+    }
+    doc.end();
+  }
+
+  await done;
+};
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", write: writeCsv },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    write: writeXlsx,
+  },
+  pdf: { contentType: "application/pdf", write: writePdf },
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+};
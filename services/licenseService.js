@@ -0,0 +1,216 @@
+const db = require("../config/database");
+const licenseTypes = require("../config/licenseTypes");
+const { pendingRenewalSql } = require("./renewalService");
+const { recordAccessSql } = require("./organisationService");
+
+// Records with a renewal in progress are "renewal_pending" whatever their
+// expiry date, so they aren't reported as expiring or expired again
+const LICENSE_STATUSES = ["valid", "expiring", "expired", "renewal_pending"];
+
+// Records whose renewal deadline is within this many days are reported as
+// "expiring"
+const getExpiringSoonDays = () =>
+  parseInt(process.env.EXPIRING_SOON_DAYS) || 30;
+
+// The last day to renew a type's records as SQL over its own table. For most
+// types that is the expiry date; see config/licenseTypes.js.
+const getDeadlineSql = (type) =>
+  licenseTypes[type].deadlineSql || "expiry_date";
+
+// SQL condition matching a status, for queries on the type's own table
+const getStatusCondition = (status, type) => {
+  const pending = pendingRenewalSql(type);
+  const deadline = getDeadlineSql(type);
+
+  if (status === "renewal_pending") {
+    return { sql: pending, params: [] };
+  }
+  if (status === "expired") {
+    return { sql: `expiry_date < CURDATE() AND NOT ${pending}`, params: [] };
+  }
+  if (status === "expiring") {
+    return {
+      sql: `(expiry_date >= CURDATE() AND ${deadline} <= CURDATE() + INTERVAL ? DAY) AND NOT ${pending}`,
+      params: [getExpiringSoonDays()],
+    };
+  }
+  return {
+    sql: `${deadline} > CURDATE() + INTERVAL ? DAY AND NOT ${pending}`,
+    params: [getExpiringSoonDays()],
+  };
+};
+
+// Columns the unified list can be sorted by
+const SORTABLE_COLUMNS = [
+  "renewal_deadline",
+  "expiry_date",
+  "days_remaining",
+  "days_to_deadline",
+  "title",
+  "type",
+];
+
+// Normalised view of one licence table, with days remaining until expiry and
+// until the renewal deadline, and status
+const buildTypeSelect = (type, accessSql) => {
+  const { table, titleSql } = licenseTypes[type];
+  const deadline = getDeadlineSql(type);
+
+  return `SELECT
+      '${type}' AS type,
+      id,
+      ${titleSql} AS title,
+      expiry_date,
+      ${deadline} AS renewal_deadline,
+      DATEDIFF(expiry_date, CURDATE()) AS days_remaining,
+      DATEDIFF(${deadline}, CURDATE()) AS days_to_deadline,
+      CASE
+        WHEN ${pendingRenewalSql(type)} THEN 'renewal_pending'
+        WHEN expiry_date < CURDATE() THEN 'expired'
+        WHEN DATEDIFF(${deadline}, CURDATE()) <= ? THEN 'expiring'
+        ELSE 'valid'
+      END AS status
+     FROM ${table}
+     WHERE ${accessSql} AND deleted_at IS NULL`;
+};
+
+// All of the licence records of the given types the user can see (their own
+// and their organisations') as one derived table
+const buildUnion = (userId, types) => {
+  const access = recordAccessSql(userId);
+  return {
+    sql: types
+      .map((type) => buildTypeSelect(type, access.sql))
+      .join("\nUNION ALL\n"),
+    params: types.flatMap(() => [getExpiringSoonDays(), ...access.params]),
+  };
+};
+
+// Upcoming expiries across the licence tables. Filters:
+// - types: licence categories to include (defaults to all)
+// - within: only records whose renewal deadline is within this many days
+//   (includes expired)
+// - status: only records with this status
+// - sort / order: one of SORTABLE_COLUMNS, "asc" or "desc"
+const findUpcoming = async (
+  userId,
+  {
+    types = Object.keys(licenseTypes),
+    within = null,
+    status = null,
+    sort = "renewal_deadline",
+    order = "asc",
+  } = {}
+) => {
+  const union = buildUnion(userId, types);
+  const conditions = [];
+  const params = [...union.params];
+
+  if (within !== null) {
+    conditions.push("days_to_deadline <= ?");
+    params.push(within);
+  }
+  if (status) {
+    conditions.push("status = ?");
+    params.push(status);
+  }
+
+  const sortColumn = SORTABLE_COLUMNS.includes(sort)
+    ? sort
+    : "renewal_deadline";
+  const sortOrder = order === "desc" ? "DESC" : "ASC";
+
+  const [records] = await db.query(
+    `SELECT * FROM (
+      ${union.sql}
+     ) records
+     ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY ${sortColumn} ${sortOrder}, type ASC, id ASC`,
+    params
+  );
+
+  return records.map((record) => ({
+    ...record,
+    days_remaining: Number(record.days_remaining),
+    days_to_deadline: Number(record.days_to_deadline),
+    label: licenseTypes[record.type].label,
+  }));
+};
+
+// All of the user's records of the given types for exports, grouped by
+// category and ordered by expiry date. Rows are streamed from the database;
+// resolves once the first row arrives so query errors can still be reported
+// before a response is started.
+const streamRecords = async (userId, types = Object.keys(licenseTypes)) => {
+  const union = buildUnion(userId, types);
+  const stream = db.queryStream(
+    `SELECT * FROM (
+      ${union.sql}
+     ) records
+     ORDER BY type ASC, expiry_date ASC, id ASC`,
+    union.params
+  );
+  const iterator = stream[Symbol.asyncIterator]();
+  const first = await iterator.next();
+
+  return (async function* () {
+    try {
+      for (let next = first; !next.done; next = await iterator.next()) {
+        yield {
+          ...next.value,
+          days_remaining: Number(next.value.days_remaining),
+          days_to_deadline: Number(next.value.days_to_deadline),
+          label: licenseTypes[next.value.type].label,
+        };
+      }
+    } finally {
+      // Stops the query if the export is abandoned part way
+      await iterator.return();
+    }
+  })();
+};
+
+// Record counts per licence category and status
+const summarize = async (userId) => {
+  const types = Object.keys(licenseTypes);
+  const union = buildUnion(userId, types);
+
+  const [rows] = await db.query(
+    `SELECT type, status, COUNT(*) AS count
+     FROM (
+      ${union.sql}
+     ) records
+     GROUP BY type, status`,
+    union.params
+  );
+
+  const emptyCounts = () => ({
+    ...Object.fromEntries(LICENSE_STATUSES.map((status) => [status, 0])),
+    total: 0,
+  });
+
+  const summary = Object.fromEntries(
+    types.map((type) => [type, emptyCounts()])
+  );
+  const totals = emptyCounts();
+
+  for (const row of rows) {
+    const count = Number(row.count);
+    summary[row.type][row.status] += count;
+    summary[row.type].total += count;
+    totals[row.status] += count;
+    totals.total += count;
+  }
+
+  return { summary, totals };
+};
+
+module.exports = {
+  LICENSE_STATUSES,
+  getDeadlineSql,
+  SORTABLE_COLUMNS,
+  getStatusCondition,
+  findUpcoming,
+  streamRecords,
+  summarize,
+};
@@ -0,0 +1,77 @@
+const { getStore } = require("./attemptStore");
+
+// Failed logins are counted per IP and per account. Reaching the limit within
+// the window locks that IP or account, and each repeat lockout within a day
+// doubles the lock duration up to the maximum.
+const MAX_FAILED_ATTEMPTS =
+  parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const BASE_LOCKOUT_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000; // 24 hours
+const LOCKOUT_HISTORY_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const failureKey = (scope, id) => `bf:fail:${scope}:${id}`;
+const lockKey = (scope, id) => `bf:lock:${scope}:${id}`;
+const lockoutCountKey = (scope, id) => `bf:lockouts:${scope}:${id}`;
+
+// Accounts are tracked by normalised email so casing can't dodge the limit
+const getTargets = ({ ip, email }) => [
+  ...(ip ? [["ip", ip]] : []),
+  ...(email ? [["account", email.toLowerCase()]] : []),
+];
+
+// Returns the time the lock ends, or null if not locked
+const getLock = async (scope, id) => {
+  const lock = await getStore().get(lockKey(scope, id));
+  return lock ? lock.expiresAt : null;
+};
+
+const recordFailure = async (target) => {
+  const store = getStore();
+
+  for (const [scope, id] of getTargets(target)) {
+    const failures = await store.increment(
+      failureKey(scope, id),
+      FAILURE_WINDOW_MS
+    );
+
+    if (failures.value >= MAX_FAILED_ATTEMPTS) {
+      const lockouts = await store.increment(
+        lockoutCountKey(scope, id),
+        LOCKOUT_HISTORY_MS
+      );
+      const duration = Math.min(
+        BASE_LOCKOUT_MS * 2 ** (lockouts.value - 1),
+        MAX_LOCKOUT_MS
+      );
+
+      await store.set(lockKey(scope, id), 1, duration);
+      await store.delete(failureKey(scope, id));
+      console.warn(`Locked ${scope} ${id} for ${duration / 1000}s`);
+    }
+  }
+};
+
+// A successful login clears the failure count but keeps the lockout history
+const recordSuccess = async (target) => {
+  await getStore().delete(
+    ...getTargets(target).map(([scope, id]) => failureKey(scope, id))
+  );
+};
+
+const unblock = async (target) => {
+  await getStore().delete(
+    ...getTargets(target).flatMap(([scope, id]) => [
+      failureKey(scope, id),
+      lockKey(scope, id),
+      lockoutCountKey(scope, id),
+    ])
+  );
+};
+
+module.exports = {
+  getLock,
+  recordFailure,
+  recordSuccess,
+  unblock,
+};
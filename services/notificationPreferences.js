@@ -0,0 +1,141 @@
+const db = require("../config/database");
+const licenseTypes = require("../config/licenseTypes");
+
+// Channels a user can opt into. Only email has a sender at the moment; the
+// others are stored so the front end can offer them ahead of delivery.
+const NOTIFICATION_CHANNELS = ["email", "sms", "push"];
+
+const DEFAULT_LEAD_DAYS = [90, 30, 7, 0];
+
+// Longest lead time a user can ask for; also bounds the reminder scan window
+const MAX_LEAD_DAYS = 365;
+
+// Lead times in days before expiry, largest first (e.g. "90,30,7,0")
+const parseLeadDays = (value) =>
+  [
+    ...new Set(
+      (value || "")
+        .toString()
+        .split(",")
+        .map((days) => parseInt(days, 10))
+        .filter((days) => !isNaN(days) && days >= 0)
+    ),
+  ].sort((a, b) => b - a);
+
+const getDefaultLeadDays = () => {
+  const configured = parseLeadDays(process.env.REMINDER_LEAD_DAYS);
+  return configured.length > 0 ? configured : DEFAULT_LEAD_DAYS;
+};
+
+const getDefaultPreference = () => ({
+  enabled: true,
+  lead_days: getDefaultLeadDays(),
+  channels: ["email"],
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+});
+
+// TIME columns come back as "HH:MM:SS"; the API works in "HH:MM"
+const formatTime = (value) => (value ? value.toString().slice(0, 5) : null);
+
+const fromRow = (row) => ({
+  enabled: Boolean(row.enabled),
+  lead_days: parseLeadDays(row.lead_days),
+  channels: (row.channels || "")
+    .split(",")
+    .filter((channel) => NOTIFICATION_CHANNELS.includes(channel)),
+  quiet_hours_start: formatTime(row.quiet_hours_start),
+  quiet_hours_end: formatTime(row.quiet_hours_end),
+});
+
+// Preferences for every licence category, falling back to the defaults for
+// categories the user has never customised
+const getPreferences = async (userId) => {
+  const [rows] = await db.query(
+    "SELECT * FROM notification_preferences WHERE user_id = ?",
+    [userId]
+  );
+
+  const preferences = {};
+  for (const type of Object.keys(licenseTypes)) {
+    const row = rows.find((r) => r.license_type === type);
+    preferences[type] = row ? fromRow(row) : getDefaultPreference();
+  }
+  return preferences;
+};
+
+// Customised preferences for many users at once, keyed by user id and then
+// licence category. Missing entries mean the defaults apply.
+const getPreferencesForUsers = async (userIds) => {
+  const preferences = new Map();
+  if (userIds.length === 0) return preferences;
+
+  const [rows] = await db.query(
+    "SELECT * FROM notification_preferences WHERE user_id IN (?)",
+    [userIds]
+  );
+
+  for (const row of rows) {
+    if (!preferences.has(row.user_id)) preferences.set(row.user_id, {});
+    preferences.get(row.user_id)[row.license_type] = fromRow(row);
+  }
+  return preferences;
+};
+
+// Merge partial updates per category into the stored preferences
+const savePreferences = async (userId, updates) => {
+  const current = await getPreferences(userId);
+
+  for (const [type, update] of Object.entries(updates)) {
+    const preference = { ...current[type], ...update };
+
+    await db.query(
+      `INSERT INTO notification_preferences (
+        user_id,
+        license_type,
+        enabled,
+        lead_days,
+        channels,
+        quiet_hours_start,
+        quiet_hours_end
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        enabled = VALUES(enabled),
+        lead_days = VALUES(lead_days),
+        channels = VALUES(channels),
+        quiet_hours_start = VALUES(quiet_hours_start),
+        quiet_hours_end = VALUES(quiet_hours_end)`,
+      [
+        userId,
+        type,
+        preference.enabled,
+        parseLeadDays(preference.lead_days.join(",")).join(","),
+        [...new Set(preference.channels)].join(","),
+        preference.quiet_hours_start,
+        preference.quiet_hours_end,
+      ]
+    );
+  }
+
+  return getPreferences(userId);
+};
+
+// Quiet hours may wrap past midnight (e.g. 21:00 - 07:00)
+const isWithinQuietHours = (preference, time) => {
+  const { quiet_hours_start: start, quiet_hours_end: end } = preference;
+  if (!start || !end || start === end) return false;
+
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  MAX_LEAD_DAYS,
+  getDefaultPreference,
+  getPreferences,
+  getPreferencesForUsers,
+  savePreferences,
+  isWithinQuietHours,
+};
@@ -0,0 +1,362 @@
+const crypto = require("crypto");
+const db = require("../config/database");
+const licenseTypes = require("../config/licenseTypes");
+
+// Organisations share licence records between their members. A record with
+// an organisation_id belongs to the organisation, otherwise to its user_id.
+// Owners and admins can add, change and delete the organisation's records;
+// viewers can only read them.
+
+const ORGANISATION_ROLES = ["owner", "admin", "viewer"];
+
+// Roles an invitation can grant; owners are promoted from members
+const INVITATION_ROLES = ["admin", "viewer"];
+
+// Roles that can change the organisation's licence records and invite people
+const EDITOR_ROLES = ["owner", "admin"];
+
+// Days an invitation can be accepted for
+const INVITATION_DAYS = 7;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const canEdit = (role) => EDITOR_ROLES.includes(role);
+
+// SQL condition matching the licence rows the user can read ("read") or
+// change ("write"), for queries that select FROM the licence table itself
+const recordAccessSql = (userId, access = "read") => ({
+  sql: `((organisation_id IS NULL AND user_id = ?) OR organisation_id IN (
+    SELECT m.organisation_id FROM organisation_members m
+    WHERE m.user_id = ?${
+      access === "write"
+        ? ` AND m.role IN (${EDITOR_ROLES.map((role) => `'${role}'`).join(
+            ", "
+          )})`
+        : ""
+    }
+  ))`,
+  params: [userId, userId],
+});
+
+// SQL condition matching the users who hear about the licence row `alias`
+// in users `userAlias`: the owner of a personal record, and the owners and
+// admins of an organisation's record along with its creator while they are
+// still a member
+const recordRecipientSql = (alias, userAlias) => `(
+  (${alias}.organisation_id IS NULL AND ${userAlias}.id = ${alias}.user_id)
+  OR ${userAlias}.id IN (
+    SELECT m.user_id FROM organisation_members m
+    WHERE m.organisation_id = ${alias}.organisation_id
+    AND (m.role IN (${EDITOR_ROLES.map((role) => `'${role}'`).join(", ")})
+      OR m.user_id = ${alias}.user_id)
+  )
+)`;
+
+// The user's role in an organisation, or null if they aren't a member
+const getMemberRole = async (organisationId, userId) => {
+  const [members] = await db.query(
+    `SELECT role FROM organisation_members
+     WHERE organisation_id = ? AND user_id = ?`,
+    [organisationId, userId]
+  );
+  return members.length > 0 ? members[0].role : null;
+};
+
+// The user's role for a licence record: "owner" of their personal records,
+// their member role for an organisation's records, otherwise null
+const getRecordRole = async (record, userId) => {
+  if (record.organisation_id) {
+    return getMemberRole(record.organisation_id, userId);
+  }
+  return record.user_id === Number(userId) ? "owner" : null;
+};
+
+// A licence record outside the trash that the user can read, as
+// { record, role }, or null
+const findRecordAccess = async (type, recordId, userId) => {
+  const access = recordAccessSql(userId);
+  const [records] = await db.query(
+    `SELECT * FROM ${licenseTypes[type].table}
+     WHERE id = ? AND ${access.sql} AND deleted_at IS NULL`,
+    [recordId, ...access.params]
+  );
+  if (records.length === 0) {
+    return null;
+  }
+  return { record: records[0], role: await getRecordRole(records[0], userId) };
+};
+
+// Body of the 403 response when a viewer tries to change a record
+const readOnlyResponse = () => ({
+  message: "Viewers can't change the organisation's records",
+  code: "ORGANISATION_READ_ONLY",
+});
+
+// Create an organisation with the user as its owner
+const createOrganisation = (name, userId) =>
+  db.withTransaction(async (connection) => {
+    const [result] = await connection.query(
+      "INSERT INTO organisations (name, created_by) VALUES (?, ?)",
+      [name, userId]
+    );
+    await connection.query(
+      `INSERT INTO organisation_members (organisation_id, user_id, role)
+       VALUES (?, ?, 'owner')`,
+      [result.insertId, userId]
+    );
+    return result.insertId;
+  });
+
+// The organisations the user belongs to, with their role in each
+const listOrganisations = async (userId) => {
+  const [organisations] = await db.query(
+    `SELECT o.id, o.name, m.role, o.created_at
+     FROM organisations o
+     JOIN organisation_members m ON m.organisation_id = o.id
+     WHERE m.user_id = ?
+     ORDER BY o.name ASC, o.id ASC`,
+    [userId]
+  );
+  return organisations;
+};
+
+const getOrganisation = async (organisationId) => {
+  const [organisations] = await db.query(
+    "SELECT id, name, created_at FROM organisations WHERE id = ?",
+    [organisationId]
+  );
+  return organisations.length > 0 ? organisations[0] : null;
+};
+
+const renameOrganisation = async (organisationId, name) => {
+  await db.query("UPDATE organisations SET name = ? WHERE id = ?", [
+    name,
+    organisationId,
+  ]);
+};
+
+// Delete an organisation. Its licence records go back to the members who
+// added them rather than being deleted with it.
+const deleteOrganisation = (organisationId) =>
+  db.withTransaction(async (connection) => {
+    for (const { table } of Object.values(licenseTypes)) {
+      await connection.query(
+        `UPDATE ${table} SET organisation_id = NULL WHERE organisation_id = ?`,
+        [organisationId]
+      );
+    }
+    await connection.query("DELETE FROM organisations WHERE id = ?", [
+      organisationId,
+    ]);
+  });
+
+const listMembers = async (organisationId) => {
+  const [members] = await db.query(
+    `SELECT u.id AS user_id, u.email, u.first_name, u.last_name, m.role, m.created_at
+     FROM organisation_members m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.organisation_id = ?
+     ORDER BY m.created_at ASC, m.id ASC`,
+    [organisationId]
+  );
+  return members;
+};
+
+const countOwners = async (connection, organisationId) => {
+  const [owners] = await connection.query(
+    `SELECT COUNT(*) AS total FROM organisation_members
+     WHERE organisation_id = ? AND role = 'owner'`,
+    [organisationId]
+  );
+  return Number(owners[0].total);
+};
+
+// Change a member's role. Resolves to { error } if that would leave the
+// organisation without an owner, otherwise to { updated }.
+const updateMemberRole = (organisationId, userId, role) =>
+  db.withTransaction(async (connection) => {
+    const [members] = await connection.query(
+      `SELECT role FROM organisation_members
+       WHERE organisation_id = ? AND user_id = ? FOR UPDATE`,
+      [organisationId, userId]
+    );
+    if (members.length === 0) {
+      return { updated: false };
+    }
+    if (
+      members[0].role === "owner" &&
+      role !== "owner" &&
+      (await countOwners(connection, organisationId)) === 1
+    ) {
+      return { error: "An organisation needs at least one owner" };
+    }
+
+    await connection.query(
+      `UPDATE organisation_members SET role = ?
+       WHERE organisation_id = ? AND user_id = ?`,
+      [role, organisationId, userId]
+    );
+    return { updated: true };
+  });
+
+// Remove a member. Resolves to { error } for the last owner, otherwise to
+// { removed }. Records they added stay with the organisation.
+const removeMember = (organisationId, userId) =>
+  db.withTransaction(async (connection) => {
+    const [members] = await connection.query(
+      `SELECT role FROM organisation_members
+       WHERE organisation_id = ? AND user_id = ? FOR UPDATE`,
+      [organisationId, userId]
+    );
+    if (members.length === 0) {
+      return { removed: false };
+    }
+    if (
+      members[0].role === "owner" &&
+      (await countOwners(connection, organisationId)) === 1
+    ) {
+      return {
+        error:
+          "The last owner can't leave; make another member owner or delete the organisation",
+      };
+    }
+
+    await connection.query(
+      "DELETE FROM organisation_members WHERE organisation_id = ? AND user_id = ?",
+      [organisationId, userId]
+    );
+    return { removed: true };
+  });
+
+// Invite someone to the organisation by email. Earlier pending invitations
+// for the address are replaced. Resolves to the token for the invitation
+// links; only its hash is stored.
+const createInvitation = ({ organisationId, email, role, invitedBy }) =>
+  db.withTransaction(async (connection) => {
+    await connection.query(
+      `UPDATE organisation_invitations
+       SET status = 'revoked', responded_at = NOW()
+       WHERE organisation_id = ? AND email = ? AND status = 'pending'`,
+      [organisationId, email]
+    );
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + INVITATION_DAYS);
+
+    const [result] = await connection.query(
+      `INSERT INTO organisation_invitations (
+        organisation_id,
+        email,
+        role,
+        token_hash,
+        invited_by,
+        expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?)`,
+      [organisationId, email, role, hashToken(token), invitedBy, expiresAt]
+    );
+    return { id: result.insertId, token, expiresAt };
+  });
+
+const listInvitations = async (organisationId) => {
+  const [invitations] = await db.query(
+    `SELECT id, email, role, expires_at, created_at
+     FROM organisation_invitations
+     WHERE organisation_id = ? AND status = 'pending' AND expires_at > NOW()
+     ORDER BY created_at DESC, id DESC`,
+    [organisationId]
+  );
+  return invitations;
+};
+
+// Withdraw a pending invitation. Resolves to false if there was none.
+const revokeInvitation = async (organisationId, invitationId) => {
+  const [result] = await db.query(
+    `UPDATE organisation_invitations
+     SET status = 'revoked', responded_at = NOW()
+     WHERE id = ? AND organisation_id = ? AND status = 'pending'`,
+    [invitationId, organisationId]
+  );
+  return result.affectedRows > 0;
+};
+
+// A pending, unexpired invitation by its token, with the organisation name
+const findInvitation = async (token) => {
+  const [invitations] = await db.query(
+    `SELECT i.*, o.name AS organisation_name
+     FROM organisation_invitations i
+     JOIN organisations o ON o.id = i.organisation_id
+     WHERE i.token_hash = ? AND i.status = 'pending' AND i.expires_at > NOW()`,
+    [hashToken(String(token))]
+  );
+  return invitations.length > 0 ? invitations[0] : null;
+};
+
+// Accept an invitation as the given user. A member keeps their current role.
+// Resolves to false if the invitation was answered in the meantime.
+const acceptInvitation = (invitation, userId) =>
+  db.withTransaction(async (connection) => {
+    const [result] = await connection.query(
+      `UPDATE organisation_invitations
+       SET status = 'accepted', responded_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+      [invitation.id]
+    );
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    const [members] = await connection.query(
+      `SELECT id FROM organisation_members
+       WHERE organisation_id = ? AND user_id = ?`,
+      [invitation.organisation_id, userId]
+    );
+    if (members.length === 0) {
+      await connection.query(
+        `INSERT INTO organisation_members (organisation_id, user_id, role)
+         VALUES (?, ?, ?)`,
+        [invitation.organisation_id, userId, invitation.role]
+      );
+    }
+    return true;
+  });
+
+// Decline an invitation. Resolves to false if it was answered in the
+// meantime.
+const declineInvitation = async (invitation) => {
+  const [result] = await db.query(
+    `UPDATE organisation_invitations
+     SET status = 'declined', responded_at = NOW()
+     WHERE id = ? AND status = 'pending'`,
+    [invitation.id]
+  );
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  ORGANISATION_ROLES,
+  INVITATION_ROLES,
+  INVITATION_DAYS,
+  canEdit,
+  recordAccessSql,
+  recordRecipientSql,
+  getMemberRole,
+  getRecordRole,
+  findRecordAccess,
+  readOnlyResponse,
+  createOrganisation,
+  listOrganisations,
+  getOrganisation,
+  renameOrganisation,
+  deleteOrganisation,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  findInvitation,
+  acceptInvitation,
+  declineInvitation,
+};
@@ -0,0 +1,55 @@
+const crypto = require("crypto");
+const paystackProvider = require("./paystackProvider");
+
+// Offline stand-in for the payment provider, for development and tests.
+// References of the form "fake_success_<amount in cents>[_user<id>][_anything]"
+// verify as paid for that amount in ZAR, by the given user; any other
+// reference is a failed payment.
+// Webhooks use Paystack's payload format, signed with FAKE_PAYMENT_SECRET.
+
+const getSecret = () =>
+  process.env.FAKE_PAYMENT_SECRET || "fake-payment-secret";
+
+const verifyTransaction = async (reference) => {
+  const match = /^fake_success_(\d+)/.exec(reference);
+  if (!match) {
+    return { reference, status: "failed" };
+  }
+
+  const user = /^fake_success_\d+_user(\d+)/.exec(reference);
+
+  return {
+    reference,
+    status: "success",
+    amount: parseInt(match[1]),
+    currency: "ZAR",
+    email: null,
+    metadata: user ? { user_id: user[1] } : {},
+    paidAt: new Date(),
+  };
+};
+
+// Signature to send in the x-fake-signature header for a webhook body
+const signPayload = (rawBody) =>
+  crypto.createHmac("sha512", getSecret()).update(rawBody).digest("hex");
+
+const verifyWebhookSignature = (rawBody, headers) => {
+  const signature = headers["x-fake-signature"];
+  if (!signature || !Buffer.isBuffer(rawBody)) {
+    return false;
+  }
+
+  const expected = signPayload(rawBody);
+  return (
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+};
+
+module.exports = {
+  name: "fake",
+  verifyTransaction,
+  verifyWebhookSignature,
+  parseWebhookEvent: paystackProvider.parseWebhookEvent,
+  signPayload,
+};
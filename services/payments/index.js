@@ -0,0 +1,33 @@
+const paystackProvider = require("./paystackProvider");
+const fakeProvider = require("./fakeProvider");
+
+// Every provider exposes:
+// - verifyTransaction(reference): look the payment up with the provider
+// - verifyWebhookSignature(rawBody, headers): check a webhook is genuine
+// - parseWebhookEvent(payload): { type, transaction } or null to ignore it
+// Transactions are normalised to { reference, status, amount, currency,
+// email, metadata, paidAt } with status "success", "pending" or "failed".
+const providers = {
+  paystack: paystackProvider,
+  fake: fakeProvider,
+};
+
+const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || "paystack";
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  // Never accept made-up payments in production
+  if (provider === fakeProvider && process.env.NODE_ENV === "production") {
+    throw new Error("The fake payment provider cannot be used in production");
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider,
+};
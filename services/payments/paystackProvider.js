@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+
+const PAYSTACK_API_URL = "https://api.paystack.co";
+
+const getSecretKey = () => {
+  if (!process.env.PAYSTACK_SECRET_KEY) {
+    throw new Error("PAYSTACK_SECRET_KEY is not configured");
+  }
+  return process.env.PAYSTACK_SECRET_KEY;
+};
+
+// Map a Paystack transaction onto the shape shared by all providers
+const normalizeTransaction = (data) => {
+  let status = "failed";
+  if (data.status === "success") {
+    status = "success";
+  } else if (
+    ["ongoing", "pending", "processing", "queued"].includes(data.status)
+  ) {
+    status = "pending";
+  }
+
+  return {
+    reference: data.reference,
+    status,
+    amount: Number(data.amount),
+    currency: data.currency,
+    email: data.customer ? data.customer.email : null,
+    metadata:
+      data.metadata && typeof data.metadata === "object" ? data.metadata : {},
+    paidAt: data.paid_at ? new Date(data.paid_at) : null,
+  };
+};
+
+const verifyTransaction = async (reference) => {
+  const response = await fetch(
+    `${PAYSTACK_API_URL}/transaction/verify/${encodeURIComponent(reference)}`,
+    { headers: { Authorization: `Bearer ${getSecretKey()}` } }
+  );
+
+  // Unknown references come back as 400/404
+  if (response.status === 400 || response.status === 404) {
+    return { reference, status: "failed" };
+  }
+
+  if (!response.ok) {
+    throw new Error(
+      `Paystack verification failed with status ${response.status}`
+    );
+  }
+
+  const result = await response.json();
+  return normalizeTransaction(result.data);
+};
+
+// Paystack signs the raw request body with HMAC-SHA512 using the secret key
+const verifyWebhookSignature = (rawBody, headers) => {
+  const signature = headers["x-paystack-signature"];
+  if (!signature || !Buffer.isBuffer(rawBody)) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac("sha512", getSecretKey())
+    .update(rawBody)
+    .digest("hex");
+
+  return (
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+};
+
+// Only successful charges are of interest; everything else is acknowledged
+// and ignored
+const parseWebhookEvent = (payload) => {
+  if (!payload || payload.event !== "charge.success" || !payload.data) {
+    return null;
+  }
+  return {
+    type: "payment.success",
+    transaction: normalizeTransaction(payload.data),
+  };
+};
+
+module.exports = {
+  name: "paystack",
+  verifyTransaction,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+};
@@ -0,0 +1,270 @@
+const db = require("../config/database");
+const emailService = require("../config/email");
+const licenseTypes = require("../config/licenseTypes");
+const getExpiryReminderEmailTemplate = require("../templates/expiryReminderEmail");
+const {
+  MAX_LEAD_DAYS,
+  getDefaultPreference,
+  getPreferencesForUsers,
+  isWithinQuietHours,
+} = require("./notificationPreferences");
+const { PENDING_STATUSES, pendingRenewalSql } = require("./renewalService");
+const { getDeadlineSql } = require("./licenseService");
+const { recordRecipientSql } = require("./organisationService");
+
+// Records that expired this many days ago still get their final reminder,
+// which covers the scheduler being down on the day itself
+const getExpiredGraceDays = () =>
+  parseInt(process.env.REMINDER_EXPIRED_GRACE_DAYS) || 7;
+
+// Pick the most urgent threshold a record has crossed, so a record added
+// close to its expiry gets one reminder instead of every earlier one
+const getThreshold = (daysRemaining, leadDays) => {
+  const crossed = leadDays.filter((days) => daysRemaining <= days);
+  return crossed.length > 0 ? Math.min(...crossed) : null;
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-ZA", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+// Current wall-clock time as "HH:MM" for quiet hours checks
+const getLocalTime = () =>
+  new Date().toLocaleTimeString("en-GB", {
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false,
+    timeZone: process.env.SCHEDULER_TIMEZONE || "Africa/Johannesburg",
+  });
+
+// The latest pending renewal of each of the records, keyed by record id
+const findPendingRenewals = async (type, recordIds) => {
+  const renewals = new Map();
+  if (recordIds.length === 0) return renewals;
+
+  const [rows] = await db.query(
+    `SELECT record_id, status, reference
+     FROM renewals
+     WHERE record_type = ? AND record_id IN (?) AND status IN (?)
+     ORDER BY id ASC`,
+    [type, recordIds, PENDING_STATUSES]
+  );
+
+  for (const row of rows) {
+    renewals.set(row.record_id, {
+      status: row.status,
+      reference: row.reference,
+    });
+  }
+  return renewals;
+};
+
+// Due records, once for each user to remind (see recordRecipientSql), with
+// the status and reference of a pending renewal as `renewal` if one has been
+// applied for. user_id is the recipient. Lead times count down to the renewal
+// deadline, which for some types comes well before the expiry date.
+const findDueRecords = async (type) => {
+  const { table, titleSql } = licenseTypes[type];
+
+  const [records] = await db.query(
+    `SELECT
+      t.id,
+      u.id AS user_id,
+      t.expiry_date,
+      DATE_FORMAT(t.expiry_date, '%Y-%m-%d') AS expiry_key,
+      DATEDIFF(t.expiry_date, CURDATE()) AS days_remaining,
+      t.renewal_deadline,
+      DATEDIFF(t.renewal_deadline, CURDATE()) AS days_to_deadline,
+      t.title,
+      t.renewal_pending,
+      u.email,
+      u.first_name
+     FROM (
+       SELECT
+         id,
+         user_id,
+         organisation_id,
+         expiry_date,
+         ${getDeadlineSql(type)} AS renewal_deadline,
+         ${titleSql} AS title,
+         ${pendingRenewalSql(type)} AS renewal_pending
+       FROM ${table}
+       WHERE deleted_at IS NULL
+     ) t
+     JOIN users u ON ${recordRecipientSql("t", "u")}
+     WHERE u.is_verified = 1
+     AND t.expiry_date >= CURDATE() - INTERVAL ? DAY
+     AND t.renewal_deadline <= CURDATE() + INTERVAL ? DAY`,
+    [getExpiredGraceDays(), MAX_LEAD_DAYS]
+  );
+
+  const renewals = await findPendingRenewals(type, [
+    ...new Set(
+      records.filter((record) => record.renewal_pending).map(({ id }) => id)
+    ),
+  ]);
+
+  return records.map(({ renewal_pending, ...record }) => ({
+    ...record,
+    renewal: renewals.get(record.id) || null,
+  }));
+};
+
+// Reminders already sent for records that are still in the scan window
+const findSentReminders = async () => {
+  const [rows] = await db.query(
+    `SELECT
+      license_type,
+      record_id,
+      user_id,
+      threshold_days,
+      DATE_FORMAT(expiry_date, '%Y-%m-%d') AS expiry_key
+     FROM reminder_log
+     WHERE expiry_date >= CURDATE() - INTERVAL ? DAY`,
+    [getExpiredGraceDays()]
+  );
+
+  return new Set(
+    rows.map((row) =>
+      getReminderKey(
+        row.license_type,
+        row.record_id,
+        row.user_id,
+        row.threshold_days,
+        row.expiry_key
+      )
+    )
+  );
+};
+
+const getReminderKey = (type, recordId, userId, threshold, expiryKey) =>
+  `${type}:${recordId}:${userId}:${threshold}:${expiryKey}`;
+
+// Claim the reminder before sending so concurrent or restarted runs can never
+// send it twice; the claim is released again if the email fails
+const claimReminder = async (type, record, threshold) => {
+  const [result] = await db.query(
+    `INSERT IGNORE INTO reminder_log (
+      user_id,
+      license_type,
+      record_id,
+      threshold_days,
+      expiry_date
+    ) VALUES (?, ?, ?, ?, ?)`,
+    [record.user_id, type, record.id, threshold, record.expiry_date]
+  );
+
+  return result.affectedRows > 0;
+};
+
+const releaseReminder = async (type, record, threshold) => {
+  await db.query(
+    `DELETE FROM reminder_log
+     WHERE license_type = ? AND record_id = ? AND user_id = ?
+     AND threshold_days = ? AND expiry_date = ?`,
+    [type, record.id, record.user_id, threshold, record.expiry_date]
+  );
+};
+
+// Records with a pending renewal get a reminder that the renewal is still
+// outstanding rather than one to start it
+const getSubject = (label, daysRemaining, renewal) => {
+  if (renewal) {
+    return `${label} renewal still pending`;
+  }
+  return daysRemaining < 0
+    ? `${label} has expired`
+    : `${label} expiry reminder`;
+};
+
+const sendReminder = async (type, record) => {
+  const daysRemaining = Number(record.days_remaining);
+  const { renewal } = record;
+
+  await emailService.sendMail({
+    to: record.email,
+    subject: getSubject(licenseTypes[type].label, daysRemaining, renewal),
+    html: getExpiryReminderEmailTemplate({
+      firstName: record.first_name,
+      label: licenseTypes[type].label,
+      title: record.title,
+      expiryDate: formatDate(record.expiry_date),
+      daysRemaining,
+      renewalDeadline:
+        formatDate(record.renewal_deadline) !== formatDate(record.expiry_date)
+          ? formatDate(record.renewal_deadline)
+          : null,
+      renewal,
+      dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`,
+    }),
+  });
+};
+
+// Scan every licence table and send the reminders that are due, honouring
+// each user's lead times, channels and quiet hours per licence category
+const sendExpiryReminders = async () => {
+  const sentReminders = await findSentReminders();
+  const localTime = getLocalTime();
+  const summary = { sent: 0, failed: 0, deferred: 0 };
+
+  for (const type of Object.keys(licenseTypes)) {
+    const records = await findDueRecords(type);
+    const preferences = await getPreferencesForUsers([
+      ...new Set(records.map((record) => record.user_id)),
+    ]);
+
+    for (const record of records) {
+      const preference =
+        (preferences.get(record.user_id) || {})[type] || getDefaultPreference();
+      if (!preference.enabled) continue;
+
+      const threshold = getThreshold(
+        Number(record.days_to_deadline),
+        preference.lead_days
+      );
+      if (threshold === null) continue;
+
+      const key = getReminderKey(
+        type,
+        record.id,
+        record.user_id,
+        threshold,
+        record.expiry_key
+      );
+      if (sentReminders.has(key)) continue;
+
+      // Only email has a sender so far
+      if (!preference.channels.includes("email")) continue;
+
+      // Picked up again by the first run after the quiet hours end
+      if (isWithinQuietHours(preference, localTime)) {
+        summary.deferred++;
+        continue;
+      }
+
+      if (!(await claimReminder(type, record, threshold))) continue;
+
+      try {
+        await sendReminder(type, record);
+        summary.sent++;
+      } catch (error) {
+        console.error(
+          `Failed to send ${type} reminder for record ${record.id}:`,
+          error
+        );
+        await releaseReminder(type, record, threshold);
+        summary.failed++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  sendExpiryReminders,
+  getThreshold,
+};
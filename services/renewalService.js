@@ -0,0 +1,227 @@
+const db = require("../config/database");
+const licenseTypes = require("../config/licenseTypes");
+const { getSnapshot, recordChange } = require("./auditService");
+const { resolveFirearmLicense } = require("../utils/firearmLicense");
+
+// Renewal applications for licence records. Each event moves the record's
+// latest renewal on to a new status; approving one rolls the record's
+// expiry_date forward and keeps the period it replaces in license_periods.
+
+const RENEWAL_EVENTS = [
+  "applied",
+  "submitted",
+  "approved",
+  "rejected",
+  "collected",
+];
+
+// Renewals in these states are still waiting on the issuing authority
+const PENDING_STATUSES = ["applied", "submitted"];
+
+// The statuses each event can follow. "applied" starts a new renewal and
+// needs no other renewal of the record to be pending.
+const ALLOWED_TRANSITIONS = {
+  submitted: ["applied"],
+  approved: ["applied", "submitted"],
+  rejected: ["applied", "submitted"],
+  collected: ["approved"],
+};
+
+// SQL condition matching rows of the type's table with a pending renewal,
+// for queries that select FROM the licence table itself
+const pendingRenewalSql = (type) => `EXISTS (
+  SELECT 1 FROM renewals r
+  WHERE r.record_type = '${type}'
+  AND r.record_id = ${licenseTypes[type].table}.id
+  AND r.status IN (${PENDING_STATUSES.map((status) => `'${status}'`).join(
+    ", "
+  )})
+)`;
+
+// A DATE column value as YYYY-MM-DD; mysql2 returns them as local dates
+const toDateKey = (date) =>
+  date instanceof Date
+    ? [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, "0"),
+        String(date.getDate()).padStart(2, "0"),
+      ].join("-")
+    : String(date).slice(0, 10);
+
+// Every renewal of a record with its events, newest renewal first, and the
+// periods that earlier renewals replaced
+const getRenewalHistory = async (type, recordId) => {
+  const [renewals] = await db.query(
+    `SELECT id, status, reference, created_at, updated_at
+     FROM renewals
+     WHERE record_type = ? AND record_id = ?
+     ORDER BY id DESC`,
+    [type, recordId]
+  );
+
+  const [events] =
+    renewals.length > 0
+      ? await db.query(
+          `SELECT id, renewal_id, event, event_date, notes, created_at
+           FROM renewal_events
+           WHERE renewal_id IN (?)
+           ORDER BY event_date ASC, id ASC`,
+          [renewals.map((renewal) => renewal.id)]
+        )
+      : [[]];
+
+  const [periods] = await db.query(
+    `SELECT id, renewal_id, expiry_date, replaced_at
+     FROM license_periods
+     WHERE record_type = ? AND record_id = ?
+     ORDER BY id DESC`,
+    [type, recordId]
+  );
+
+  return {
+    renewals: renewals.map((renewal) => ({
+      ...renewal,
+      events: events
+        .filter((event) => event.renewal_id === renewal.id)
+        .map(({ renewal_id, ...event }) => event),
+    })),
+    periods,
+  };
+};
+
+// Record a renewal event against one of the user's records. `date` is when
+// it happened and defaults to today. Resolves to { error } if the event can't
+// follow the record's latest renewal, otherwise to { renewalId }. Approving a
+// firearm renewal issues a new licence on that date, so a licence type's
+// validity rules apply to the new expiry date from then.
+const recordEvent = async (
+  req,
+  type,
+  { id },
+  { event, date = null, notes = null, reference = null, expiryDate = null }
+) => {
+  const { table } = licenseTypes[type];
+
+  return db.withTransaction(async (connection) => {
+    // Compare against the record as it is now, not as it was loaded
+    const [records] = await connection.query(
+      `SELECT * FROM ${table} WHERE id = ? FOR UPDATE`,
+      [id]
+    );
+    const record = records[0];
+
+    let issueDate = null;
+    if (event === "approved") {
+      if (expiryDate <= toDateKey(record.expiry_date)) {
+        return {
+          error: "The new expiry date must be later than the current one",
+        };
+      }
+
+      if (type === "firearm" && record.license_type) {
+        issueDate = date || toDateKey(new Date());
+        const { error } = resolveFirearmLicense({
+          licenseType: record.license_type,
+          issueDate,
+          expiryDate,
+        });
+        if (error) {
+          return { error: error.message };
+        }
+      }
+    }
+
+    const [latest] = await connection.query(
+      `SELECT id, status FROM renewals
+       WHERE record_type = ? AND record_id = ?
+       ORDER BY id DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [type, record.id]
+    );
+    const current = latest.length > 0 ? latest[0] : null;
+
+    let renewalId;
+    if (event === "applied") {
+      if (current && PENDING_STATUSES.includes(current.status)) {
+        return { error: "A renewal is already in progress for this record" };
+      }
+
+      const [inserted] = await connection.query(
+        `INSERT INTO renewals (user_id, record_type, record_id, status, reference)
+         VALUES (?, ?, ?, 'applied', ?)`,
+        [record.user_id, type, record.id, reference]
+      );
+      renewalId = inserted.insertId;
+    } else {
+      if (!current || !ALLOWED_TRANSITIONS[event].includes(current.status)) {
+        return {
+          error: current
+            ? `A renewal that is ${current.status} can't be ${event}`
+            : "Apply for a renewal first",
+        };
+      }
+
+      renewalId = current.id;
+      await connection.query(
+        `UPDATE renewals
+         SET status = ?, reference = COALESCE(?, reference)
+         WHERE id = ?`,
+        [event, reference, renewalId]
+      );
+    }
+
+    await connection.query(
+      `INSERT INTO renewal_events (renewal_id, event, event_date, notes)
+       VALUES (?, ?, COALESCE(?, CURDATE()), ?)`,
+      [renewalId, event, date, notes]
+    );
+
+    if (event === "approved") {
+      await connection.query(
+        `INSERT INTO license_periods (user_id, record_type, record_id, renewal_id, expiry_date)
+         VALUES (?, ?, ?, ?, ?)`,
+        [record.user_id, type, record.id, renewalId, record.expiry_date]
+      );
+      await connection.query(
+        `UPDATE ${table} SET expiry_date = ? WHERE id = ?`,
+        [expiryDate, record.id]
+      );
+      if (issueDate) {
+        await connection.query(
+          `UPDATE ${table} SET issue_date = ? WHERE id = ?`,
+          [issueDate, record.id]
+        );
+      }
+      await recordChange(connection, req, {
+        type,
+        action: "renew",
+        before: record,
+        after: await getSnapshot(type, record.id, connection),
+      });
+    }
+
+    return { renewalId };
+  });
+};
+
+// Renewal data of a record that is being permanently deleted
+const removeRecordRenewals = async (type, recordId) => {
+  await db.query(
+    "DELETE FROM license_periods WHERE record_type = ? AND record_id = ?",
+    [type, recordId]
+  );
+  await db.query(
+    "DELETE FROM renewals WHERE record_type = ? AND record_id = ?",
+    [type, recordId]
+  );
+};
+
+module.exports = {
+  RENEWAL_EVENTS,
+  PENDING_STATUSES,
+  pendingRenewalSql,
+  getRenewalHistory,
+  recordEvent,
+  removeRecordRenewals,
+};
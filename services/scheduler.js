@@ -0,0 +1,79 @@
+const cron = require("node-cron");
+const { sendExpiryReminders } = require("./reminderService");
+const { expireSubscriptions } = require("./subscriptionService");
+const { purgeExpired } = require("./trashService");
+
+const jobs = [];
+const runningJobs = new Set();
+
+// Run a job, skipping the tick if the previous run is still in progress
+const runJob = async (name, handler) => {
+  if (runningJobs.has(name)) {
+    console.log(`Skipping job ${name}: previous run still in progress`);
+    return;
+  }
+
+  runningJobs.add(name);
+  try {
+    const result = await handler();
+    console.log(`Job ${name} completed:`, result);
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+  } finally {
+    runningJobs.delete(name);
+  }
+};
+
+const scheduleJob = (name, expression, handler) => {
+  if (!cron.validate(expression)) {
+    throw new Error(`Invalid cron expression for job ${name}: ${expression}`);
+  }
+
+  jobs.push(
+    cron.schedule(expression, () => runJob(name, handler), {
+      timezone: process.env.SCHEDULER_TIMEZONE || "Africa/Johannesburg",
+    })
+  );
+};
+
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === "false") {
+    console.log("Scheduler disabled");
+    return;
+  }
+
+  // Hourly by default so reminders held back by a user's quiet hours go out
+  // soon after they end; the reminder log keeps each one to a single send
+  scheduleJob(
+    "expiry-reminders",
+    process.env.REMINDER_CRON || "0 * * * *",
+    sendExpiryReminders
+  );
+
+  // Daily just after midnight by default
+  scheduleJob(
+    "subscription-expiry",
+    process.env.SUBSCRIPTION_EXPIRY_CRON || "5 0 * * *",
+    expireSubscriptions
+  );
+
+  // Daily in the early morning by default; retention is TRASH_RETENTION_DAYS
+  scheduleJob(
+    "trash-purge",
+    process.env.TRASH_PURGE_CRON || "30 2 * * *",
+    purgeExpired
+  );
+
+  console.log(`Scheduler started with ${jobs.length} job(s)`);
+};
+
+const stopScheduler = () => {
+  jobs.forEach((job) => job.stop());
+  jobs.length = 0;
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runJob,
+};
@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const db = require("../config/database");
+
+// Access tokens are short-lived; sessions are kept alive by rotating refresh
+// tokens, which are stored server-side as hashes so they can be revoked
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+const getRefreshTokenTtlDays = () =>
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const getRefreshTokenExpiry = () => {
+  const expiry = new Date();
+  expiry.setDate(expiry.getDate() + getRefreshTokenTtlDays());
+  return expiry;
+};
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      tokenVersion: user.token_version,
+      sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenTtl() }
+  );
+
+// Start a new session for a device and return its first token pair
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const [result] = await db.query(
+    `INSERT INTO sessions (
+      user_id,
+      refresh_token_hash,
+      user_agent,
+      ip_address,
+      expires_at
+    ) VALUES (?, ?, ?, ?, ?)`,
+    [
+      user.id,
+      hashToken(refreshToken),
+      (req.get("User-Agent") || "").slice(0, 255),
+      req.ip,
+      getRefreshTokenExpiry(),
+    ]
+  );
+
+  return {
+    token: signAccessToken(user, result.insertId),
+    refresh_token: refreshToken,
+  };
+};
+
+// Exchange a refresh token for a new token pair. Returns null if the token is
+// unknown, expired or revoked. Presenting a token that has already been
+// rotated out means it was copied, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const [reused] = await db.query(
+    `SELECT id FROM sessions
+     WHERE previous_token_hash = ? AND revoked_at IS NULL`,
+    [tokenHash]
+  );
+
+  if (reused.length > 0) {
+    await db.query("UPDATE sessions SET revoked_at = NOW() WHERE id = ?", [
+      reused[0].id,
+    ]);
+    return null;
+  }
+
+  const [sessions] = await db.query(
+    `SELECT s.id, u.id AS user_id, u.email, u.token_version
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.refresh_token_hash = ?
+     AND s.revoked_at IS NULL
+     AND s.expires_at > NOW()`,
+    [tokenHash]
+  );
+
+  if (sessions.length === 0) {
+    return null;
+  }
+
+  const session = sessions[0];
+  const newRefreshToken = generateRefreshToken();
+
+  // Only rotate if the token is still current, so that of two refreshes with
+  // the same token only one wins. The other is treated as reuse.
+  const [result] = await db.query(
+    `UPDATE sessions
+     SET previous_token_hash = refresh_token_hash,
+         refresh_token_hash = ?,
+         ip_address = ?,
+         last_used_at = NOW(),
+         expires_at = ?
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+    [
+      hashToken(newRefreshToken),
+      req.ip,
+      getRefreshTokenExpiry(),
+      session.id,
+      tokenHash,
+    ]
+  );
+
+  if (result.affectedRows === 0) {
+    await db.query("UPDATE sessions SET revoked_at = NOW() WHERE id = ?", [
+      session.id,
+    ]);
+    return null;
+  }
+
+  return {
+    token: signAccessToken(
+      {
+        id: session.user_id,
+        email: session.email,
+        token_version: session.token_version,
+      },
+      session.id
+    ),
+    refresh_token: newRefreshToken,
+  };
+};
+
+const listSessions = async (userId) => {
+  const [sessions] = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY COALESCE(last_used_at, created_at) DESC`,
+    [userId]
+  );
+
+  return sessions;
+};
+
+// Returns false when the session doesn't exist or isn't the user's
+const revokeSession = async (userId, sessionId) => {
+  const [result] = await db.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+    [sessionId, userId]
+  );
+
+  return result.affectedRows > 0;
+};
+
+// Revoke every session of the user, optionally keeping the current one
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  await db.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE user_id = ? AND revoked_at IS NULL AND id != ?`,
+    [userId, exceptSessionId || 0]
+  );
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,25 @@
+// Every storage backend exposes:
+// - put(key, buffer, { contentType }): store a file
+// - get(key): a readable stream of the file; rejects if it does not exist
+// - remove(key): delete a file; succeeds if it is already gone
+// STORAGE_DRIVER picks the backend: "local" (default) or "s3". Backends are
+// loaded on first use so the S3 SDK is only needed when it is selected.
+const drivers = {
+  local: () => require("./localStorage"),
+  s3: () => require("./s3Storage"),
+};
+
+const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || "local";
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  return driver();
+};
+
+module.exports = {
+  getStorage,
+};
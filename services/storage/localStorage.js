@@ -0,0 +1,50 @@
+const fs = require("fs");
+const path = require("path");
+
+// Files on local disk under ATTACHMENTS_DIR (defaults to uploads/ in the
+// project root)
+
+const getRoot = () =>
+  path.resolve(
+    process.env.ATTACHMENTS_DIR || path.join(__dirname, "../../uploads")
+  );
+
+// Keys are generated by the API, but never let one point outside the root
+const resolveKey = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const put = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+};
+
+const get = async (key) => {
+  const filePath = resolveKey(key);
+  // Fail here rather than on the first read if the file is missing
+  await fs.promises.access(filePath);
+  return fs.createReadStream(filePath);
+};
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  name: "local",
+  put,
+  get,
+  remove,
+};
@@ -0,0 +1,67 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+// Files in an S3 bucket. S3_ENDPOINT points it at any S3-compatible service
+// (MinIO, R2, Spaces, ...); credentials fall back to the usual AWS sources.
+
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+  }
+  return client;
+};
+
+const getBucket = () => {
+  if (!process.env.S3_BUCKET) {
+    throw new Error("S3_BUCKET is not configured");
+  }
+  return process.env.S3_BUCKET;
+};
+
+const put = async (key, buffer, { contentType } = {}) => {
+  await getClient().send(
+    new PutObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+    })
+  );
+};
+
+const get = async (key) => {
+  const object = await getClient().send(
+    new GetObjectCommand({ Bucket: getBucket(), Key: key })
+  );
+  return object.Body;
+};
+
+// S3 deletes succeed whether or not the object exists
+const remove = async (key) => {
+  await getClient().send(
+    new DeleteObjectCommand({ Bucket: getBucket(), Key: key })
+  );
+};
+
+module.exports = {
+  name: "s3",
+  put,
+  get,
+  remove,
+};
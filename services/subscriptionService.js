@@ -0,0 +1,285 @@
+const db = require("../config/database");
+const licenseTypes = require("../config/licenseTypes");
+
+// Users without an active subscription are on this plan
+const FREE_PLAN_CODE = "free";
+
+const fromPlanRow = (row) => ({
+  id: row.id,
+  code: row.code,
+  name: row.name,
+  billing_interval: row.billing_interval,
+  price: row.price,
+  currency: row.currency,
+  max_records: row.max_records,
+  reminder_channels: (row.reminder_channels || "").split(",").filter(Boolean),
+});
+
+const getPlans = async () => {
+  const [plans] = await db.query(
+    "SELECT * FROM plans WHERE is_active = 1 ORDER BY price ASC"
+  );
+  return plans.map(fromPlanRow);
+};
+
+const getPlanByCode = async (code) => {
+  const [plans] = await db.query(
+    "SELECT * FROM plans WHERE code = ? AND is_active = 1",
+    [code]
+  );
+  return plans.length > 0 ? fromPlanRow(plans[0]) : null;
+};
+
+// The plan the user is on right now. A subscription bought while another is
+// still running only starts once that one ends.
+const getCurrentPlan = async (userId) => {
+  const [plans] = await db.query(
+    `SELECT p.*, s.end_date
+     FROM subscriptions s
+     JOIN plans p ON p.id = s.plan_id
+     WHERE s.user_id = ?
+     AND s.status = 'active'
+     AND s.start_date <= NOW()
+     AND s.end_date > NOW()
+     ORDER BY s.end_date DESC
+     LIMIT 1`,
+    [userId]
+  );
+
+  if (plans.length > 0) {
+    return { ...fromPlanRow(plans[0]), end_date: plans[0].end_date };
+  }
+
+  const freePlan = await getPlanByCode(FREE_PLAN_CODE);
+  return { ...freePlan, end_date: null };
+};
+
+const getHistory = async (userId) => {
+  const [subscriptions] = await db.query(
+    `SELECT
+      s.id,
+      p.code AS plan_code,
+      p.name AS plan_name,
+      s.status,
+      s.start_date,
+      s.end_date,
+      s.provider,
+      s.payment_reference,
+      s.created_at
+     FROM subscriptions s
+     JOIN plans p ON p.id = s.plan_id
+     WHERE s.user_id = ?
+     ORDER BY s.start_date DESC`,
+    [userId]
+  );
+  return subscriptions;
+};
+
+// Licence records the user holds across the categories that count towards
+// the plan's record limit, not counting the trash
+const countRecords = async (userId) => {
+  const tables = Object.values(licenseTypes)
+    .filter(({ countsTowardsLimit }) => countsTowardsLimit !== false)
+    .map(({ table }) => table);
+  const [counts] = await db.query(
+    `SELECT ${tables
+      .map(
+        (table) =>
+          `(SELECT COUNT(*) FROM ${table} WHERE user_id = ? AND deleted_at IS NULL)`
+      )
+      .join(" + ")} AS total`,
+    tables.map(() => userId)
+  );
+  return Number(counts[0].total);
+};
+
+const addBillingInterval = (date, interval) => {
+  const end = new Date(date);
+  if (interval === "month") {
+    end.setMonth(end.getMonth() + 1);
+  } else {
+    end.setFullYear(end.getFullYear() + 1);
+  }
+  return end;
+};
+
+// The user a transaction was paid by: the user id the payment was started
+// with, or the account with the customer's email when there is none
+const resolveUserId = async (transaction) => {
+  if (transaction.metadata && transaction.metadata.user_id) {
+    return parseInt(transaction.metadata.user_id);
+  }
+
+  if (transaction.email) {
+    const [users] = await db.query("SELECT id FROM users WHERE email = ?", [
+      transaction.email,
+    ]);
+    return users.length > 0 ? users[0].id : null;
+  }
+
+  return null;
+};
+
+// Record a verified transaction and add a subscription period for the plan
+// that was paid for. The plan comes from the client, falling back to the
+// payment metadata and then the annual plan. Each provider reference is only
+// ever applied once, so replaying it (or the client callback and the webhook
+// both arriving) has no further effect.
+// When userId is given the payment must have been made by that user, so a
+// verified reference can't be claimed by anyone else.
+// Resolves to { status, userId } where status is one of "activated",
+// "duplicate", "not_paid", "invalid_plan", "invalid_amount", "wrong_user"
+// or "unknown_user".
+const processPayment = async (
+  provider,
+  transaction,
+  { userId = null, planCode = null } = {}
+) => {
+  if (transaction.status !== "success") {
+    return { status: "not_paid" };
+  }
+
+  const plan = await getPlanByCode(
+    planCode || (transaction.metadata && transaction.metadata.plan) || "annual"
+  );
+  if (!plan || !plan.billing_interval) {
+    return { status: "invalid_plan" };
+  }
+
+  if (
+    transaction.amount < plan.price ||
+    transaction.currency !== plan.currency
+  ) {
+    console.warn("Payment amount mismatch:", {
+      reference: transaction.reference,
+      plan: plan.code,
+      amount: transaction.amount,
+      currency: transaction.currency,
+    });
+    return { status: "invalid_amount" };
+  }
+
+  const payingUserId = await resolveUserId(transaction);
+  if (userId && payingUserId !== userId) {
+    return { status: "wrong_user" };
+  }
+  if (!payingUserId) {
+    return { status: "unknown_user" };
+  }
+
+  return db.withTransaction(async (connection) => {
+    const [result] = await connection.query(
+      `INSERT IGNORE INTO payments (
+        user_id,
+        provider,
+        reference,
+        amount,
+        currency,
+        status,
+        paid_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        payingUserId,
+        provider.name,
+        transaction.reference,
+        transaction.amount,
+        transaction.currency,
+        transaction.status,
+        transaction.paidAt || new Date(),
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      const [payments] = await connection.query(
+        "SELECT user_id FROM payments WHERE provider = ? AND reference = ?",
+        [provider.name, transaction.reference]
+      );
+      return { status: "duplicate", userId: payments[0].user_id };
+    }
+
+    // Renewing early adds the new period on top of the time that is left.
+    // Lock the user first so two payments processed at once queue up here
+    // and the second starts where the first ends.
+    await connection.query("SELECT id FROM users WHERE id = ? FOR UPDATE", [
+      payingUserId,
+    ]);
+    const [current] = await connection.query(
+      `SELECT MAX(end_date) AS end_date
+       FROM subscriptions
+       WHERE user_id = ? AND status = 'active' AND end_date > NOW()`,
+      [payingUserId]
+    );
+    const startDate = current[0].end_date || new Date();
+    const endDate = addBillingInterval(startDate, plan.billing_interval);
+
+    await connection.query(
+      `INSERT INTO subscriptions (
+        user_id,
+        plan_id,
+        status,
+        start_date,
+        end_date,
+        provider,
+        payment_reference
+      ) VALUES (?, ?, 'active', ?, ?, ?, ?)`,
+      [
+        payingUserId,
+        plan.id,
+        startDate,
+        endDate,
+        provider.name,
+        transaction.reference,
+      ]
+    );
+
+    await connection.query(
+      `UPDATE users
+       SET type_of_user = 'subscriber',
+           subscription_end_date = ?
+       WHERE id = ?`,
+      [endDate, payingUserId]
+    );
+
+    return { status: "activated", userId: payingUserId };
+  });
+};
+
+// Scheduled job: mark lapsed subscriptions as expired and move users without
+// a running subscription back to the free tier
+const expireSubscriptions = async () => {
+  const [expired] = await db.query(
+    `UPDATE subscriptions
+     SET status = 'expired'
+     WHERE status = 'active' AND end_date <= NOW()`
+  );
+
+  const [downgraded] = await db.query(
+    `UPDATE users
+     SET type_of_user = 'registered',
+         subscription_end_date = NULL
+     WHERE type_of_user = 'subscriber'
+     AND (subscription_end_date IS NULL OR subscription_end_date <= NOW())
+     AND NOT EXISTS (
+       SELECT 1 FROM subscriptions s
+       WHERE s.user_id = users.id
+       AND s.status = 'active'
+       AND s.end_date > NOW()
+     )`
+  );
+
+  return {
+    expired: expired.affectedRows,
+    downgraded: downgraded.affectedRows,
+  };
+};
+
+module.exports = {
+  FREE_PLAN_CODE,
+  getPlans,
+  getPlanByCode,
+  getCurrentPlan,
+  getHistory,
+  countRecords,
+  processPayment,
+  expireSubscriptions,
+};
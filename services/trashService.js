@@ -0,0 +1,141 @@
+const db = require("../config/database");
+const licenseTypes = require("../config/licenseTypes");
+const { removeRecordAttachments } = require("./attachmentService");
+const { recordChange } = require("./auditService");
+const { removeRecordRenewals } = require("./renewalService");
+const { recordAccessSql } = require("./organisationService");
+
+// Deleted licence records are moved to the trash (deleted_at is set) and can
+// be restored until the purge job removes them for good.
+
+// Days a record stays in the trash before it is purged
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Move a record the user can change to the trash. Resolves to false if the
+// user has no such record outside the trash.
+const trashRecord = async (type, recordId, userId, connection = db) => {
+  const access = recordAccessSql(userId, "write");
+  const [result] = await connection.query(
+    `UPDATE ${licenseTypes[type].table}
+     SET deleted_at = NOW()
+     WHERE id = ? AND ${access.sql} AND deleted_at IS NULL`,
+    [recordId, ...access.params]
+  );
+  return result.affectedRows > 0;
+};
+
+// Take a record the user can change back out of the trash. Resolves to false
+// if the record isn't in the user's trash.
+const restoreRecord = async (type, recordId, userId, connection = db) => {
+  const access = recordAccessSql(userId, "write");
+  const [result] = await connection.query(
+    `UPDATE ${licenseTypes[type].table}
+     SET deleted_at = NULL
+     WHERE id = ? AND ${access.sql} AND deleted_at IS NOT NULL`,
+    [recordId, ...access.params]
+  );
+  return result.affectedRows > 0;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Everything in the user's trash, including trashed records of organisations
+// where they can restore them, most recently deleted first
+const listTrash = async (userId) => {
+  const types = Object.keys(licenseTypes);
+  const access = recordAccessSql(userId, "write");
+  const [records] = await db.query(
+    `SELECT * FROM (
+      ${types
+        .map(
+          (type) => `SELECT
+            '${type}' AS type,
+            id,
+            ${licenseTypes[type].titleSql} AS title,
+            expiry_date,
+            deleted_at
+           FROM ${licenseTypes[type].table}
+           WHERE ${access.sql} AND deleted_at IS NOT NULL`
+        )
+        .join("\nUNION ALL\n")}
+     ) trash
+     ORDER BY deleted_at DESC, id DESC`,
+    types.flatMap(() => access.params)
+  );
+
+  return records.map((record) => ({
+    ...record,
+    label: licenseTypes[record.type].label,
+    purge_at: addDays(record.deleted_at, getRetentionDays()),
+  }));
+};
+
+// Body of the 409 response when a new or updated record clashes with an
+// existing one. Trashed records keep their registration or ID number, so
+// when the clash is with one in the user's own trash the client is told which
+// record to restore instead.
+const duplicateResponse = (duplicate, userId, message) =>
+  duplicate.deleted_at && duplicate.user_id === Number(userId)
+    ? {
+        message: `${message} in your trash. Restore it instead.`,
+        code: "RECORD_IN_TRASH",
+        record_id: duplicate.id,
+      }
+    : { message };
+
+// Permanently delete records that have been in the trash for longer than the
+// retention period, along with their attachments and renewals
+const purgeExpired = async () => {
+  const retentionDays = getRetentionDays();
+  let purged = 0;
+
+  for (const [type, { table }] of Object.entries(licenseTypes)) {
+    const [records] = await db.query(
+      `SELECT * FROM ${table} WHERE deleted_at < NOW() - INTERVAL ? DAY`,
+      [retentionDays]
+    );
+
+    for (const record of records) {
+      const deleted = await db.withTransaction(async (connection) => {
+        // Skip records restored since they were selected
+        const [result] = await connection.query(
+          `DELETE FROM ${table}
+           WHERE id = ? AND deleted_at < NOW() - INTERVAL ? DAY`,
+          [record.id, retentionDays]
+        );
+        if (result.affectedRows === 0) {
+          return false;
+        }
+
+        await recordChange(connection, null, {
+          type,
+          action: "purge",
+          before: record,
+        });
+        return true;
+      });
+      if (!deleted) {
+        continue;
+      }
+
+      await removeRecordAttachments(type, record.id);
+      await removeRecordRenewals(type, record.id);
+      purged++;
+    }
+  }
+
+  return { purged };
+};
+
+module.exports = {
+  getRetentionDays,
+  trashRecord,
+  restoreRecord,
+  listTrash,
+  duplicateResponse,
+  purgeExpired,
+};
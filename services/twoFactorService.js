@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { authenticator } = require("otplib");
+const db = require("../config/database");
+const { getStore } = require("./attemptStore");
+
+// Accept the previous and next 30 second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TOTP_ISSUER || "Remlic";
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = "2fa-challenge";
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+const challengeKey = (jti) => `2fa:challenge:${jti}`;
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+// Recovery codes are formatted as xxxxx-xxxxx; users may omit the dash
+const normalizeRecoveryCode = (code) =>
+  code.toString().trim().toLowerCase().replace(/-/g, "");
+
+const generateRecoveryCode = () => {
+  const code = crypto.randomBytes(5).toString("hex");
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+// Store a pending secret for the user; 2FA stays disabled until a code from
+// the authenticator app has been confirmed
+const startEnrolment = async (user) => {
+  const secret = authenticator.generateSecret(20);
+
+  await db.query(
+    `UPDATE users
+     SET two_factor_secret = ?,
+         two_factor_enabled = false,
+         two_factor_last_step = NULL
+     WHERE id = ?`,
+    [secret, user.id]
+  );
+
+  return {
+    secret,
+    otpauth_url: authenticator.keyuri(user.email, ISSUER, secret),
+  };
+};
+
+// Check a TOTP code and remember its time step so it can't be replayed.
+// Returns false for invalid or already used codes. The step is only stored
+// if it is later than the last one, so of two logins with the same code only
+// one gets through.
+const verifyTotp = async (user, code) => {
+  if (!user.two_factor_secret || !/^\d{6}$/.test(code || "")) {
+    return false;
+  }
+
+  const delta = authenticator.checkDelta(code, user.two_factor_secret);
+  if (delta === null) {
+    return false;
+  }
+
+  const step = Math.floor(Date.now() / 1000 / 30) + delta;
+  const [result] = await db.query(
+    `UPDATE users SET two_factor_last_step = ?
+     WHERE id = ?
+     AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+    [step, user.id, step]
+  );
+
+  return result.affectedRows === 1;
+};
+
+// Replace the user's recovery codes and return the new plain-text codes,
+// which are only ever shown once
+const regenerateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    generateRecoveryCode()
+  );
+
+  await db.query("DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [
+    userId,
+  ]);
+  await db.query(
+    "INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?",
+    [codes.map((code) => [userId, hashCode(normalizeRecoveryCode(code))])]
+  );
+
+  return codes;
+};
+
+// Use up a recovery code. Returns false if it doesn't exist or was used.
+const consumeRecoveryCode = async (userId, code) => {
+  const [result] = await db.query(
+    `UPDATE two_factor_recovery_codes
+     SET used_at = NOW()
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [userId, hashCode(normalizeRecoveryCode(code))]
+  );
+
+  return result.affectedRows > 0;
+};
+
+const enable = async (userId) => {
+  await db.query("UPDATE users SET two_factor_enabled = true WHERE id = ?", [
+    userId,
+  ]);
+  return regenerateRecoveryCodes(userId);
+};
+
+const disable = async (userId) => {
+  await db.query(
+    `UPDATE users
+     SET two_factor_enabled = false,
+         two_factor_secret = NULL,
+         two_factor_last_step = NULL
+     WHERE id = ?`,
+    [userId]
+  );
+  await db.query("DELETE FROM two_factor_recovery_codes WHERE user_id = ?", [
+    userId,
+  ]);
+};
+
+// Short-lived token proving the password step of a login succeeded. It has no
+// session, so authMiddleware never accepts it as an access token. Its id is
+// kept in the attempt store until the token is used.
+const createChallengeToken = async (userId) => {
+  const jti = crypto.randomUUID();
+  await getStore().set(challengeKey(jti), userId, CHALLENGE_TTL_MS);
+
+  return jwt.sign(
+    { userId, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL_MS / 1000, jwtid: jti }
+  );
+};
+
+// Returns the user id of a valid challenge token, otherwise null. Each token
+// can only be used once, whether or not the code that comes with it is right.
+const verifyChallengeToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.purpose !== CHALLENGE_PURPOSE || !decoded.jti) {
+    return null;
+  }
+  return (await getStore().take(challengeKey(decoded.jti)))
+    ? decoded.userId
+    : null;
+};
+
+module.exports = {
+  startEnrolment,
+  verifyTotp,
+  regenerateRecoveryCodes,
+  consumeRecoveryCode,
+  enable,
+  disable,
+  createChallengeToken,
+  verifyChallengeToken,
+};
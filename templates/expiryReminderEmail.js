@@ -0,0 +1,116 @@
+function getExpiryReminderEmailTemplate({
+  firstName,
+  label,
+  title,
+  expiryDate,
+  daysRemaining,
+  renewalDeadline = null,
+  renewal = null,
+  dashboardUrl,
+}) {
+  let status;
+  if (daysRemaining < 0) {
+    status = `expired on ${expiryDate}`;
+  } else if (daysRemaining === 0) {
+    status = "expires today";
+  } else {
+    status = `expires in ${daysRemaining} day${
+      daysRemaining === 1 ? "" : "s"
+    } on ${expiryDate}`;
+  }
+
+  // A renewal the user has already applied for replaces the call to start one
+  let advice = renewalDeadline
+    ? `The renewal application has to be lodged by ${renewalDeadline}.`
+    : "Please start the renewal process in good time to avoid any lapse.";
+  if (renewal) {
+    advice = `Your renewal is still pending${
+      renewal.status === "submitted" && renewal.reference
+        ? ` (reference ${renewal.reference})`
+        : ""
+    }. Please follow up on it and record the outcome once it is approved.`;
+  }
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #ffffff;
+            background: linear-gradient(135deg, #0f172a, #1e1b4b, #312e81);
+          }
+          .email-container {
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: rgba(31, 41, 55, 0.3);
+            backdrop-filter: blur(12px);
+            border: 1px solid rgba(99, 102, 241, 0.2);
+            border-radius: 16px;
+          }
+          .header {
+            text-align: center;
+            padding: 20px 0;
+            border-bottom: 2px solid rgba(99, 102, 241, 0.2);
+          }
+          .content {
+            padding: 30px 0;
+          }
+          .record {
+            padding: 16px;
+            background-color: rgba(79, 70, 229, 0.15);
+            border-radius: 12px;
+          }
+          .button {
+            display: inline-block;
+            padding: 12px 24px;
+            background-color: #4f46e5;
+            color: #ffffff;
+            text-decoration: none;
+            border-radius: 12px;
+            margin: 20px 0;
+            transition: background-color 0.2s;
+          }
+          .button:hover {
+            background-color: #4338ca;
+          }
+          .footer {
+            text-align: center;
+            padding-top: 20px;
+            border-top: 2px solid rgba(99, 102, 241, 0.2);
+            font-size: 12px;
+            color: rgba(255, 255, 255, 0.7);
+          }
+        </style>
+      </head>
+      <body>
+        <div class="email-container">
+          <div class="header">
+            <h1 style="color: #4f46e5; margin: 0;">Renewal Reminder</h1>
+          </div>
+          <div class="content">
+            <p>Hello${firstName ? ` ${firstName}` : ""},</p>
+            <p>This is a reminder that the following record ${status}:</p>
+            <div class="record">
+              <p style="margin: 0;"><strong>${label}</strong></p>
+              <p style="margin: 0;">${title}</p>
+            </div>
+            <p>${advice}</p>
+            <div style="text-align: center;">
+              <a href="${dashboardUrl}" class="button">View My Records</a>
+            </div>
+          </div>
+          <div class="footer">
+            <p>This email was sent by Remlic because you have records stored with us.</p>
+            <p>© ${new Date().getFullYear()} Remlic. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+module.exports = getExpiryReminderEmailTemplate;
@@ -0,0 +1,106 @@
+// Organisation and inviter names are chosen by users, so they are escaped
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+function getOrganisationInvitationEmailTemplate({
+  organisationName,
+  inviterName,
+  role,
+  acceptUrl,
+  declineUrl,
+  expiresInDays,
+}) {
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #ffffff;
+            background: linear-gradient(135deg, #0f172a, #1e1b4b, #312e81);
+          }
+          .email-container {
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: rgba(31, 41, 55, 0.3);
+            backdrop-filter: blur(12px);
+            border: 1px solid rgba(99, 102, 241, 0.2);
+            border-radius: 16px;
+          }
+          .header {
+            text-align: center;
+            padding: 20px 0;
+            border-bottom: 2px solid rgba(99, 102, 241, 0.2);
+          }
+          .content {
+            padding: 30px 0;
+          }
+          .button {
+            display: inline-block;
+            padding: 12px 24px;
+            background-color: #4f46e5;
+            color: #ffffff;
+            text-decoration: none;
+            border-radius: 12px;
+            margin: 20px 0;
+            transition: background-color 0.2s;
+          }
+          .button:hover {
+            background-color: #4338ca;
+          }
+          .footer {
+            text-align: center;
+            padding-top: 20px;
+            border-top: 2px solid rgba(99, 102, 241, 0.2);
+            font-size: 12px;
+            color: rgba(255, 255, 255, 0.7);
+          }
+          .link-text {
+            color: rgba(255, 255, 255, 0.7);
+            word-break: break-all;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="email-container">
+          <div class="header">
+            <h1 style="color: #4f46e5; margin: 0;">You're Invited</h1>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+            <p>${escapeHtml(
+              inviterName
+            )} has invited you to join <strong>${escapeHtml(
+    organisationName
+  )}</strong> on Remlic as ${role === "admin" ? "an admin" : "a viewer"}. ${
+    role === "admin"
+      ? "Admins can add, update and delete the organisation's licence records and invite others."
+      : "Viewers can see the organisation's licence records and their expiry dates."
+  }</p>
+            <div style="text-align: center;">
+              <a href="${acceptUrl}" class="button">Accept Invitation</a>
+            </div>
+            <p>If the button doesn't work, you can also copy and paste this link into your browser:</p>
+            <p class="link-text">${acceptUrl}</p>
+            <p>You'll need to sign in, or create an account, with this email address to accept. Not interested? <a href="${declineUrl}" class="link-text">Decline the invitation</a>.</p>
+            <p>This invitation will expire in ${expiresInDays} days.</p>
+          </div>
+          <div class="footer">
+            <p>This email was sent by Remlic. If you weren't expecting this invitation, you can ignore this email.</p>
+            <p>© ${new Date().getFullYear()} Remlic. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+module.exports = getOrganisationInvitationEmailTemplate;
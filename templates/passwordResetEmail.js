@@ -0,0 +1,81 @@
+function getPasswordResetEmailTemplate(resetUrl) {
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            line-height: 1.6;
+            color: #ffffff;
+            background: linear-gradient(135deg, #0f172a, #1e1b4b, #312e81);
+          }
+          .email-container {
+            max-width: 600px;
+            margin: 0 auto;
+            padding: 20px;
+            background-color: rgba(31, 41, 55, 0.3);
+            backdrop-filter: blur(12px);
+            border: 1px solid rgba(99, 102, 241, 0.2);
+            border-radius: 16px;
+          }
+          .header {
+            text-align: center;
+            padding: 20px 0;
+            border-bottom: 2px solid rgba(99, 102, 241, 0.2);
+          }
+          .content {
+            padding: 30px 0;
+          }
+          .button {
+            display: inline-block;
+            padding: 12px 24px;
+            background-color: #4f46e5;
+            color: #ffffff;
+            text-decoration: none;
+            border-radius: 12px;
+            margin: 20px 0;
+            transition: background-color 0.2s;
+          }
+          .button:hover {
+            background-color: #4338ca;
+          }
+          .footer {
+            text-align: center;
+            padding-top: 20px;
+            border-top: 2px solid rgba(99, 102, 241, 0.2);
+            font-size: 12px;
+            color: rgba(255, 255, 255, 0.7);
+          }
+          .link-text {
+            color: rgba(255, 255, 255, 0.7);
+            word-break: break-all;
+          }
+        </style>
+      </head>
+      <body>
+        <div class="email-container">
+          <div class="header">
+            <h1 style="color: #4f46e5; margin: 0;">Reset Your Password</h1>
+          </div>
+          <div class="content">
+            <p>Hello,</p>
+            <p>We received a request to reset the password for your account. To choose a new password, please click the button below:</p>
+            <div style="text-align: center;">
+              <a href="${resetUrl}" class="button">Reset Password</a>
+            </div>
+            <p>If the button doesn't work, you can also copy and paste this link into your browser:</p>
+            <p class="link-text">${resetUrl}</p>
+            <p>This link will expire in 1 hour and can only be used once. Resetting your password will sign you out on all devices.</p>
+          </div>
+          <div class="footer">
+            <p>This email was sent by Remlic. If you didn't request a password reset, please ignore this email; your password will not change.</p>
+            <p>© ${new Date().getFullYear()} Remlic. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+    </html>
+  `;
+}
+
+module.exports = getPasswordResetEmailTemplate;
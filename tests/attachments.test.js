@@ -0,0 +1,108 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep uploaded files out of the project's uploads/ directory
+const attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "attachments-"));
+process.env.ATTACHMENTS_DIR = attachmentsDir;
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { nextNumber } = require("./support/fixtures");
+
+const PDF = Buffer.from("%PDF-1.4\n%test licence scan\n%%EOF\n");
+
+let app;
+let userCount = 0;
+
+const newUser = () => signUp(app, `attachments${++userCount}@example.com`);
+
+const createVehicle = async (client) => {
+  const created = await client.post("/api/vehicles", {
+    make: "Toyota",
+    model: "Hilux",
+    registration: `ATT${nextNumber()}GP`,
+    expiryDate: "2030-01-31",
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.vehicle.id;
+};
+
+// Files stored under the attachments directory
+const storedFiles = () =>
+  fs
+    .readdirSync(attachmentsDir, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile());
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+after(() => {
+  fs.rmSync(attachmentsDir, { recursive: true, force: true });
+});
+
+beforeEach(resetAttempts);
+
+test("attachments can be uploaded, downloaded and deleted", async () => {
+  const owner = await newUser();
+  const vehicleId = await createVehicle(owner);
+  const url = `/api/vehicles/${vehicleId}/attachments`;
+
+  const uploaded = await owner.upload(url, PDF, "../disc scan.pdf");
+  assert.equal(uploaded.status, 201, JSON.stringify(uploaded.body));
+  const { attachment } = uploaded.body;
+  assert.equal(attachment.mime_type, "application/pdf");
+  assert.equal(attachment.original_name, "disc scan.pdf");
+  assert.equal(storedFiles().length, 1);
+
+  const listed = await owner.get(url);
+  assert.equal(listed.status, 200);
+  assert.deepEqual(
+    listed.body.attachments.map(({ id }) => id),
+    [attachment.id]
+  );
+
+  const downloaded = await owner.get(`${url}/${attachment.id}`);
+  assert.equal(downloaded.status, 200);
+  assert.equal(downloaded.headers["content-type"], "application/pdf");
+  assert.match(downloaded.headers["content-disposition"], /disc scan\.pdf/);
+  assert.equal(downloaded.body.toString("latin1"), PDF.toString("latin1"));
+
+  const deleted = await owner.delete(`${url}/${attachment.id}`);
+  assert.equal(deleted.status, 200);
+  assert.equal((await owner.get(`${url}/${attachment.id}`)).status, 404);
+  assert.equal(storedFiles().length, 0);
+});
+
+test("files are typed by their contents", async () => {
+  const owner = await newUser();
+  const vehicleId = await createVehicle(owner);
+
+  const response = await owner.upload(
+    `/api/vehicles/${vehicleId}/attachments`,
+    Buffer.from("<script>alert(1)</script>"),
+    "scan.pdf"
+  );
+  assert.equal(response.status, 415);
+});
+
+test("other users can't see or change a record's attachments", async () => {
+  const owner = await newUser();
+  const outsider = await newUser();
+  const vehicleId = await createVehicle(owner);
+  const url = `/api/vehicles/${vehicleId}/attachments`;
+
+  const uploaded = await owner.upload(url, PDF, "disc.pdf");
+  assert.equal(uploaded.status, 201);
+  const attachmentUrl = `${url}/${uploaded.body.attachment.id}`;
+
+  assert.equal((await outsider.get(url)).status, 404);
+  assert.equal((await outsider.get(attachmentUrl)).status, 404);
+  assert.equal((await outsider.delete(attachmentUrl)).status, 404);
+  assert.equal((await outsider.upload(url, PDF, "disc.pdf")).status, 404);
+
+  assert.equal((await owner.get(attachmentUrl)).status, 200);
+});
@@ -0,0 +1,238 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { verifyChain } = require("../services/auditService");
+
+const FIREARM = {
+  first_name: "Thabo",
+  last_name: "Nkosi",
+  make_model: "Glock 19",
+  caliber: "9mm",
+  registration_number: "FA-0001",
+  expiry_date: "2030-01-31",
+};
+
+let app;
+let database;
+let userCount = 0;
+
+const newUser = () => signUp(app, `auditor${++userCount}@example.com`);
+
+before(async () => {
+  ({ app, database } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("create, update and delete are recorded with diffs", async () => {
+  const owner = await newUser();
+
+  const created = await owner.post("/api/firearms", FIREARM);
+  const id = created.body.firearm.id;
+  await owner.put(`/api/firearms/${id}`, { ...FIREARM, caliber: "9x19mm" });
+  await owner.delete(`/api/firearms/${id}`);
+
+  const response = await owner.get(`/api/firearms/${id}/history`);
+  assert.equal(response.status, 200);
+
+  const [create, update, remove] = response.body.history;
+  assert.deepEqual(
+    response.body.history.map((entry) => entry.action),
+    ["create", "update", "delete"]
+  );
+
+  assert.deepEqual(create.changes.caliber, { before: null, after: "9mm" });
+  assert.deepEqual(create.changes.expiry_date, {
+    before: null,
+    after: "2030-01-31",
+  });
+  assert.deepEqual(update.changes, {
+    caliber: { before: "9mm", after: "9x19mm" },
+  });
+  // Deleting moves the record to the trash
+  assert.deepEqual(Object.keys(remove.changes), ["deleted_at"]);
+  assert.equal(remove.changes.deleted_at.before, null);
+
+  for (const entry of response.body.history) {
+    assert.ok(entry.actor_id);
+    assert.ok(entry.ip_address);
+    assert.ok(entry.created_at);
+    assert.match(entry.hash, /^[0-9a-f]{64}$/);
+  }
+});
+
+test("history and the audit log only show the user's own records", async () => {
+  const owner = await newUser();
+  const other = await newUser();
+
+  const created = await owner.post("/api/vehicles", {
+    make: "Toyota",
+    model: "Hilux",
+    registration: "AUDIT1GP",
+    expiryDate: "2030-01-31",
+  });
+  const id = created.body.vehicle.id;
+
+  assert.equal((await other.get(`/api/vehicles/${id}/history`)).status, 404);
+
+  const otherLog = await other.get("/api/audit");
+  assert.equal(otherLog.status, 200);
+  assert.deepEqual(otherLog.body.entries, []);
+
+  const ownerLog = await owner.get("/api/audit?type=vehicle");
+  assert.equal(ownerLog.body.entries.length, 1);
+  assert.equal(ownerLog.body.entries[0].record_id, id);
+});
+
+test("the audit log pages newest first", async () => {
+  const owner = await newUser();
+  const created = await owner.post("/api/prpd", {
+    firstName: "Thabo",
+    lastName: "Nkosi",
+    idNumber: "9001015009086",
+    expiryDate: "2030-01-31",
+  });
+  const id = created.body.prpd.id;
+  for (const lastName of ["Dlamini", "Mokoena"]) {
+    await owner.put(`/api/prpd/${id}`, {
+      firstName: "Thabo",
+      lastName,
+      idNumber: "9001015009086",
+      expiryDate: "2030-01-31",
+    });
+  }
+
+  const first = await owner.get("/api/audit?limit=2");
+  assert.deepEqual(
+    first.body.entries.map((entry) => entry.action),
+    ["update", "update"]
+  );
+  assert.ok(first.body.next_cursor);
+
+  const second = await owner.get(
+    `/api/audit?limit=2&before=${first.body.next_cursor}`
+  );
+  assert.deepEqual(
+    second.body.entries.map((entry) => entry.action),
+    ["create"]
+  );
+  assert.equal(second.body.next_cursor, null);
+
+  assert.equal((await owner.get("/api/audit?action=rename")).status, 400);
+});
+
+test("imported records are recorded", async () => {
+  const owner = await newUser();
+
+  const csv = [
+    "contract_name,contract_type,company_name,first_name,last_name,contact_number,email_address,expiry_date",
+    "Site security,Fixed term,Acme,Jane,Smith,0831234567,jane@example.com,2030-01-31",
+  ].join("\n");
+  const imported = await owner.upload(
+    "/api/work/import",
+    Buffer.from(csv),
+    "contracts.csv"
+  );
+  assert.equal(imported.status, 201, JSON.stringify(imported.body));
+
+  const log = await owner.get("/api/audit?type=work_contract");
+  assert.equal(log.body.entries.length, 1);
+  assert.equal(log.body.entries[0].action, "create");
+  assert.equal(log.body.entries[0].changes.company_name.after, "Acme");
+});
+
+test("the chain detects edited, removed and truncated entries", async () => {
+  const owner = await newUser();
+  const created = await owner.post("/api/firearms", {
+    ...FIREARM,
+    registration_number: "FA-CHAIN",
+  });
+  await owner.put(`/api/firearms/${created.body.firearm.id}`, {
+    ...FIREARM,
+    registration_number: "FA-CHAIN",
+    caliber: ".45 ACP",
+  });
+
+  assert.equal((await verifyChain()).valid, true);
+
+  const [[lastId]] = database.exec("SELECT MAX(id) FROM audit_log")[0].values;
+  const original = database.exec(
+    `SELECT changes FROM audit_log WHERE id = ${lastId - 1}`
+  )[0].values[0][0];
+
+  // Edited entry
+  database.run("UPDATE audit_log SET changes = '{}' WHERE id = ?", [
+    lastId - 1,
+  ]);
+  let result = await verifyChain();
+  assert.equal(result.valid, false);
+  assert.equal(result.broken_at, lastId - 1);
+  database.run("UPDATE audit_log SET changes = ? WHERE id = ?", [
+    original,
+    lastId - 1,
+  ]);
+  assert.equal((await verifyChain()).valid, true);
+
+  // Removed from the middle: the next entry no longer follows on
+  const saved = database.exec(
+    `SELECT * FROM audit_log WHERE id = ${lastId - 1}`
+  )[0];
+  database.run("DELETE FROM audit_log WHERE id = ?", [lastId - 1]);
+  result = await verifyChain();
+  assert.equal(result.valid, false);
+  assert.equal(result.broken_at, lastId);
+  database.run(
+    `INSERT INTO audit_log (${saved.columns.join(", ")}) VALUES (${saved.columns
+      .map(() => "?")
+      .join(", ")})`,
+    saved.values[0]
+  );
+  assert.equal((await verifyChain()).valid, true);
+
+  // Removed from the end
+  database.run("DELETE FROM audit_log WHERE id = ?", [lastId]);
+  result = await verifyChain();
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, "Newest entries are missing");
+});
+
+test("changes are not saved without their audit entry", async () => {
+  const owner = await newUser();
+  const created = await owner.post("/api/firearms", {
+    ...FIREARM,
+    registration_number: "FA-ATOMIC",
+  });
+  const path = `/api/firearms/${created.body.firearm.id}`;
+
+  // Without the chain row no entry can be appended
+  const chain = database.exec("SELECT * FROM audit_chain")[0];
+  database.run("DELETE FROM audit_chain");
+
+  try {
+    const update = await owner.put(path, {
+      ...FIREARM,
+      registration_number: "FA-ATOMIC",
+      caliber: ".45 ACP",
+    });
+    assert.equal(update.status, 500);
+    assert.equal((await owner.delete(path)).status, 500);
+    const create = await owner.post("/api/firearms", {
+      ...FIREARM,
+      registration_number: "FA-ATOMIC-2",
+    });
+    assert.equal(create.status, 500);
+  } finally {
+    database.run(
+      `INSERT INTO audit_chain (${chain.columns.join(
+        ", "
+      )}) VALUES (${chain.columns.map(() => "?").join(", ")})`,
+      chain.values[0]
+    );
+  }
+
+  const firearm = await owner.get(path);
+  assert.equal(firearm.body.firearm.caliber, "9mm");
+  assert.equal(firearm.body.firearm.deleted_at, null);
+  assert.equal((await owner.get("/api/firearms")).body.total, 1);
+});
@@ -0,0 +1,188 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts, sentMail } = require("./support/harness");
+const {
+  TEST_PASSWORD,
+  createClient,
+  verificationTokenFor,
+  signUp,
+} = require("./support/client");
+const loginProtection = require("../services/loginProtection");
+
+let app;
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("register, verify the email address and log in", async () => {
+  const email = "new.user@example.com";
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+
+  const registration = await client.post("/api/auth/register", {
+    email,
+    password: TEST_PASSWORD,
+  });
+  assert.equal(registration.status, 201);
+
+  const mail = sentMail.find((message) => message.to === email);
+  assert.ok(mail, "verification email was not sent");
+  assert.match(mail.html, /http:\/\/frontend\.test\/verify-email\?token=/);
+
+  // Unverified accounts can't sign in yet
+  const early = await client.post("/api/auth/login", {
+    email,
+    password: TEST_PASSWORD,
+  });
+  assert.equal(early.status, 403);
+  assert.equal(early.body.code, "EMAIL_NOT_VERIFIED");
+
+  const verification = await client.get(
+    `/api/auth/verify-email?token=${verificationTokenFor(email)}`
+  );
+  assert.equal(verification.status, 302);
+  assert.equal(
+    verification.headers.location,
+    "http://frontend.test/verification-success"
+  );
+
+  const login = await client.post("/api/auth/login", {
+    email,
+    password: TEST_PASSWORD,
+  });
+  assert.equal(login.status, 200);
+  assert.ok(login.body.token);
+  assert.ok(login.body.refresh_token);
+
+  client.setAccessToken(login.body.token);
+  const profile = await client.get("/api/auth/me");
+  assert.equal(profile.status, 200);
+  assert.equal(profile.body.user.email, email);
+  assert.equal(Number(profile.body.user.is_verified), 1);
+});
+
+test("a verification token can only be used once", async () => {
+  const email = "once@example.com";
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+  await client.post("/api/auth/register", { email, password: TEST_PASSWORD });
+  const token = verificationTokenFor(email);
+
+  const first = await client.get(`/api/auth/verify-email?token=${token}`);
+  assert.equal(
+    first.headers.location,
+    "http://frontend.test/verification-success"
+  );
+
+  const second = await client.get(`/api/auth/verify-email?token=${token}`);
+  assert.equal(second.status, 400);
+});
+
+test("registering an existing email is rejected", async () => {
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+  const body = { email: "taken@example.com", password: TEST_PASSWORD };
+
+  assert.equal((await client.post("/api/auth/register", body)).status, 201);
+  assert.equal((await client.post("/api/auth/register", body)).status, 409);
+});
+
+test("weak passwords are rejected", async () => {
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+
+  const response = await client.post("/api/auth/register", {
+    email: "weak@example.com",
+    password: "password",
+  });
+  assert.equal(response.status, 400);
+  assert.equal(
+    sentMail.some((mail) => mail.to === "weak@example.com"),
+    false
+  );
+});
+
+test("login with the wrong password fails", async () => {
+  const email = "wrong.password@example.com";
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+  await client.post("/api/auth/register", { email, password: TEST_PASSWORD });
+  await client.get(
+    `/api/auth/verify-email?token=${verificationTokenFor(email)}`
+  );
+
+  const login = await client.post("/api/auth/login", {
+    email,
+    password: "Wr0ng-password!",
+  });
+  assert.equal(login.status, 401);
+  assert.equal(login.body.token, undefined);
+});
+
+test("requests without an access token are rejected", async () => {
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+
+  const response = await client.get("/api/auth/me");
+  assert.equal(response.status, 401);
+});
+
+test("a locked account is cleared by entering the password again", async () => {
+  const email = "locked.account@example.com";
+  const client = await signUp(app, email);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await loginProtection.recordFailure({ email });
+  }
+  const locked = await client.post("/api/auth/login", {
+    email,
+    password: TEST_PASSWORD,
+  });
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.code, "LOGIN_LOCKED");
+
+  const wrong = await client.post("/api/auth/unblock-ip", {
+    password: "Wr0ng-password!",
+  });
+  assert.equal(wrong.status, 401);
+
+  const unblock = await client.post("/api/auth/unblock-ip", {
+    password: TEST_PASSWORD,
+  });
+  assert.equal(unblock.status, 200);
+
+  const login = await client.post("/api/auth/login", {
+    email,
+    password: TEST_PASSWORD,
+  });
+  assert.equal(login.status, 200);
+});
+
+test("users can't clear a lockout on their IP", async () => {
+  const client = await signUp(app, "locked.ip@example.com");
+  const login = await client.post("/api/auth/login", {
+    email: "locked.ip@example.com",
+    password: TEST_PASSWORD,
+  });
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await client.post("/api/auth/login", {
+      email: "someone.else@example.com",
+      password: "Wr0ng-password!",
+    });
+  }
+
+  const unblock = await client.post("/api/auth/unblock-ip", {
+    password: TEST_PASSWORD,
+  });
+  assert.equal(unblock.status, 429);
+
+  // Sessions can't be extended from the locked IP either
+  const refresh = await client.post("/api/auth/refresh", {
+    refresh_token: login.body.refresh_token,
+  });
+  assert.equal(refresh.status, 429);
+});
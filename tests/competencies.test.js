@@ -0,0 +1,254 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts, sentMail } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { nextNumber } = require("./support/fixtures");
+const db = require("../config/database");
+const { sendExpiryReminders } = require("../services/reminderService");
+
+let app;
+let userCount = 0;
+
+const newUser = () => signUp(app, `competencies${++userCount}@example.com`);
+
+const newCompetency = (fields) => ({
+  certificate_number: `COMP-${nextNumber()}`,
+  categories: "handgun",
+  expiry_date: "2030-01-31",
+  ...fields,
+});
+
+const newFirearm = (fields) => ({
+  first_name: "Thabo",
+  last_name: "Nkosi",
+  make_model: "Glock 19",
+  caliber: "9mm",
+  registration_number: `FA-${nextNumber()}`,
+  expiry_date: "2030-01-31",
+  ...fields,
+});
+
+// A date the given number of days from today, as YYYY-MM-DD
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("certificates need known categories and a unique number", async () => {
+  const owner = await newUser();
+
+  const unknown = await owner.post(
+    "/api/competencies",
+    newCompetency({ categories: ["handgun", "cannon"] })
+  );
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.field, "categories");
+  assert.match(unknown.body.message, /cannon/);
+
+  const created = await owner.post(
+    "/api/competencies",
+    newCompetency({ categories: "Handgun, self-loading rifle" })
+  );
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.equal(
+    created.body.competency.categories,
+    "handgun,self_loading_rifle"
+  );
+
+  const duplicate = await owner.post(
+    "/api/competencies",
+    newCompetency({
+      certificate_number: created.body.competency.certificate_number,
+    })
+  );
+  assert.equal(duplicate.status, 409);
+
+  // Also enforced by the database, for requests that race the check above
+  const me = await owner.get("/api/auth/me");
+  await assert.rejects(
+    db.query(
+      `INSERT INTO competencies
+       (user_id, certificate_number, categories, expiry_date)
+       VALUES (?, ?, 'handgun', '2030-01-31')`,
+      [me.body.user.id, created.body.competency.certificate_number]
+    ),
+    { code: "ER_DUP_ENTRY" }
+  );
+});
+
+test("firearms are flagged by the competency they rely on", async () => {
+  const owner = await newUser();
+  const certificate = newCompetency();
+  const competency = await owner.post("/api/competencies", certificate);
+  const competencyId = competency.body.competency.id;
+
+  const covered = await owner.post(
+    "/api/firearms",
+    newFirearm({ competency_id: competencyId })
+  );
+  assert.equal(covered.status, 201, JSON.stringify(covered.body));
+  assert.equal(covered.body.firearm.competency_status, "valid");
+
+  const unlinked = await owner.post("/api/firearms", newFirearm());
+  assert.equal(unlinked.body.firearm.competency_status, "missing");
+
+  const fetched = await owner.get(`/api/competencies/${competencyId}`);
+  assert.deepEqual(
+    fetched.body.competency.firearms.map((firearm) => firearm.id),
+    [covered.body.firearm.id]
+  );
+
+  // The certificate lapses
+  await owner.put(`/api/competencies/${competencyId}`, {
+    ...certificate,
+    issue_date: "2015-01-31",
+    expiry_date: "2020-01-31",
+  });
+  const list = await owner.get("/api/firearms?sort=created_at&order=asc");
+  assert.deepEqual(
+    list.body.firearms.map((firearm) => [
+      firearm.id,
+      firearm.competency_status,
+    ]),
+    [
+      [covered.body.firearm.id, "expired"],
+      [unlinked.body.firearm.id, "missing"],
+    ]
+  );
+
+  // A certificate in the trash no longer covers the firearm
+  await owner.delete(`/api/competencies/${competencyId}`);
+  const firearm = await owner.get(`/api/firearms/${covered.body.firearm.id}`);
+  assert.equal(firearm.body.firearm.competency_status, "missing");
+});
+
+test("firearms can only rely on the owner's own certificates", async () => {
+  const owner = await newUser();
+  const other = await newUser();
+  const theirs = await other.post("/api/competencies", newCompetency());
+
+  const response = await owner.post(
+    "/api/firearms",
+    newFirearm({ competency_id: theirs.body.competency.id })
+  );
+  assert.equal(response.status, 400);
+  assert.equal(response.body.field, "competency_id");
+  assert.equal((await owner.get("/api/firearms")).body.total, 0);
+});
+
+test("certificates don't count towards the plan's record limit", async () => {
+  const owner = await newUser();
+
+  for (let count = 0; count < 3; count++) {
+    const created = await owner.post("/api/firearms", newFirearm());
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+  }
+  const overLimit = await owner.post("/api/firearms", newFirearm());
+  assert.equal(overLimit.status, 403);
+  assert.equal(overLimit.body.code, "RECORD_LIMIT_REACHED");
+
+  const certificate = await owner.post("/api/competencies", newCompetency());
+  assert.equal(certificate.status, 201, JSON.stringify(certificate.body));
+
+  const path = `/api/competencies/${certificate.body.competency.id}`;
+  assert.equal((await owner.delete(path)).status, 200);
+  assert.equal((await owner.post(`${path}/restore`)).status, 200);
+});
+
+// Certificates are a category in config/licenseTypes.js, so they are listed,
+// counted, exported and reminded about alongside the licences they back
+test("certificates are listed with upcoming licence expiries", async () => {
+  const owner = await newUser();
+  const certificate = await owner.post(
+    "/api/competencies",
+    newCompetency({ expiry_date: daysFromNow(20) })
+  );
+  assert.equal(certificate.status, 201, JSON.stringify(certificate.body));
+  const { id, certificate_number } = certificate.body.competency;
+
+  const upcoming = await owner.get("/api/licenses/upcoming?type=competency");
+  assert.equal(upcoming.status, 200);
+  assert.deepEqual(
+    upcoming.body.licenses.map((record) => [record.type, record.id]),
+    [["competency", id]]
+  );
+  assert.equal(upcoming.body.licenses[0].label, "Competency certificate");
+  assert.equal(
+    upcoming.body.licenses[0].title,
+    `Certificate ${certificate_number}`
+  );
+
+  const summary = await owner.get("/api/licenses/summary");
+  assert.equal(summary.body.summary.competency.total, 1);
+  assert.equal(summary.body.totals.total, 1);
+
+  const csv = await owner.get("/api/licenses/export?format=csv");
+  assert.match(
+    csv.text,
+    new RegExp(`Competency certificate,Certificate ${certificate_number},`)
+  );
+});
+
+test("certificates get expiry reminders under their own preference", async () => {
+  const reminded = await newUser();
+  const optedOut = await newUser();
+  const emailOf = async (client) =>
+    (await client.get("/api/auth/me")).body.user.email;
+
+  const defaults = await optedOut.get("/api/auth/me/notifications");
+  assert.equal(defaults.body.preferences.competency.enabled, true);
+  const saved = await optedOut.put("/api/auth/me/notifications", {
+    competency: { enabled: false },
+  });
+  assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  assert.equal(saved.body.preferences.competency.enabled, false);
+
+  for (const client of [reminded, optedOut]) {
+    const created = await client.post(
+      "/api/competencies",
+      newCompetency({ expiry_date: daysFromNow(5) })
+    );
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+  }
+
+  // Records from earlier tests may be due too
+  const emails = [await emailOf(reminded), await emailOf(optedOut)];
+  const sentBefore = sentMail.length;
+  await sendExpiryReminders();
+  const sent = sentMail
+    .slice(sentBefore)
+    .filter((mail) => emails.includes(mail.to));
+
+  assert.deepEqual(
+    sent.map((mail) => [mail.to, mail.subject]),
+    [[emails[0], "Competency certificate expiry reminder"]]
+  );
+});
+
+test("deleted certificates go to the trash", async () => {
+  const owner = await newUser();
+  const certificate = await owner.post("/api/competencies", newCompetency());
+  const { id } = certificate.body.competency;
+
+  assert.equal((await owner.delete(`/api/competencies/${id}`)).status, 200);
+  const trash = await owner.get("/api/trash");
+  assert.deepEqual(
+    trash.body.trash.map((record) => [record.type, record.id]),
+    [["competency", id]]
+  );
+  assert.equal(trash.body.trash[0].label, "Competency certificate");
+  assert.equal((await owner.get("/api/licenses/summary")).body.totals.total, 0);
+
+  assert.equal(
+    (await owner.post(`/api/competencies/${id}/restore`)).status,
+    200
+  );
+  assert.deepEqual((await owner.get("/api/trash")).body.trash, []);
+});
@@ -0,0 +1,70 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts } = require("./support/harness");
+const { TEST_PASSWORD, createClient } = require("./support/client");
+
+let app;
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("the token endpoint sets the secret and XSRF-TOKEN cookies", async () => {
+  const client = createClient(app);
+  const token = await client.fetchCsrfToken();
+
+  assert.ok(token);
+  assert.ok(client.cookies.has("_csrf"));
+  assert.equal(decodeURIComponent(client.cookies.get("XSRF-TOKEN")), token);
+});
+
+test("state-changing requests without a token are rejected", async () => {
+  const client = createClient(app);
+
+  const response = await client.post("/api/auth/register", {
+    email: "no.token@example.com",
+    password: TEST_PASSWORD,
+  });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.code, "INVALID_CSRF_TOKEN");
+});
+
+test("a token is rejected without its secret cookie", async () => {
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+  client.cookies.clear();
+
+  const response = await client.post("/api/auth/register", {
+    email: "no.cookie@example.com",
+    password: TEST_PASSWORD,
+  });
+  assert.equal(response.status, 403);
+});
+
+test("a token from another session is rejected", async () => {
+  const other = createClient(app);
+  const otherToken = await other.fetchCsrfToken();
+
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+  client.setCsrfToken(otherToken);
+
+  const response = await client.post("/api/auth/register", {
+    email: "wrong.token@example.com",
+    password: TEST_PASSWORD,
+  });
+  assert.equal(response.status, 403);
+});
+
+test("a valid token lets the request through", async () => {
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+
+  const response = await client.post("/api/auth/register", {
+    email: "with.token@example.com",
+    password: TEST_PASSWORD,
+  });
+  assert.equal(response.status, 201);
+});
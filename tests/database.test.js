@@ -0,0 +1,33 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/harness");
+const db = require("../config/database");
+
+before(async () => {
+  await startApp();
+});
+
+test("queries resolve to the rows and fields like mysql2", async () => {
+  const [rows] = await db.query("SELECT 1 AS one");
+  assert.deepEqual(rows, [{ one: 1 }]);
+
+  const [result] = await db.query(
+    "UPDATE users SET first_name = first_name WHERE id = ?",
+    [0]
+  );
+  assert.equal(result.affectedRows, 0);
+});
+
+test("errors other than lost connections are not retried", async () => {
+  const error = console.error;
+  console.error = () => {};
+
+  const started = Date.now();
+  try {
+    await assert.rejects(db.query("SELECT * FROM no_such_table"));
+  } finally {
+    console.error = error;
+  }
+  // A retry would wait at least two seconds first
+  assert.ok(Date.now() - started < 2000);
+});
@@ -0,0 +1,91 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+const { startApp, resetAttempts } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { nextNumber } = require("./support/fixtures");
+const { EXPORT_FORMATS } = require("../services/exportService");
+
+let app;
+let userCount = 0;
+
+const newUser = () => signUp(app, `export${++userCount}@example.com`);
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("records are exported as CSV and PDF", async () => {
+  const owner = await newUser();
+  const registration = `EXP${nextNumber()}GP`;
+  const created = await owner.post("/api/vehicles", {
+    make: "Toyota",
+    model: "Hilux",
+    registration,
+    expiryDate: "2030-01-31",
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const csv = await owner.get("/api/licenses/export?format=csv");
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers["content-type"], /^text\/csv/);
+  const lines = csv.text.trim().split("\n");
+  assert.equal(lines[0], "Category,Description,Expiry date,Days left,Status");
+  assert.equal(lines.length, 2);
+  assert.match(lines[1], /2030-01-31/);
+
+  const pdf = await owner.get("/api/licenses/export?format=pdf");
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.headers["content-type"], "application/pdf");
+});
+
+test(
+  "an abandoned PDF download stops the export",
+  { timeout: 10000 },
+  async () => {
+    const unhandled = [];
+    const onUnhandled = (error) => unhandled.push(error);
+    process.on("unhandledRejection", onUnhandled);
+
+    let read = 0;
+    let closed = false;
+    const records = (async function* () {
+      try {
+        for (let id = 1; id <= 100000; id++) {
+          read++;
+          yield {
+            id,
+            type: "vehicle",
+            label: "Vehicle licenses",
+            title: `Vehicle ${id}`,
+            expiry_date: new Date(2030, 0, 31),
+            days_remaining: 1000,
+            status: "valid",
+          };
+        }
+      } finally {
+        closed = true;
+      }
+    })();
+
+    // The client reads the first chunk and then drops the connection
+    const output = new PassThrough();
+    output.once("data", () => output.destroy());
+
+    try {
+      await assert.rejects(
+        EXPORT_FORMATS.pdf.write(records, output, { generatedAt: new Date() }),
+        { code: "ERR_STREAM_PREMATURE_CLOSE" }
+      );
+      await new Promise((resolve) => setImmediate(resolve));
+    } finally {
+      process.off("unhandledRejection", onUnhandled);
+    }
+
+    assert.deepEqual(unhandled, []);
+    assert.ok(closed, "the record stream was not closed");
+    assert.ok(read < 100000, "every record was rendered");
+  }
+);
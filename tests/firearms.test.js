@@ -0,0 +1,134 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts, lastMailTo } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { nextNumber } = require("./support/fixtures");
+const { sendExpiryReminders } = require("../services/reminderService");
+
+let app;
+let userCount = 0;
+
+const newUser = async () => {
+  const email = `firearms${++userCount}@example.com`;
+  return { client: await signUp(app, email), email };
+};
+
+// A local date as YYYY-MM-DD
+const toDateKey = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+// The date `days` from today
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+const newFirearm = (fields) => ({
+  first_name: "Thabo",
+  last_name: "Nkosi",
+  make_model: "Glock 19",
+  caliber: "9mm",
+  registration_number: `FA-${nextNumber()}`,
+  ...fields,
+});
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("the expiry date follows from the licence type and issue date", async () => {
+  const { client } = await newUser();
+
+  const created = await client.post(
+    "/api/firearms",
+    newFirearm({ license_type: "self_defence", issue_date: "2024-03-15" })
+  );
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.equal(created.body.firearm.expiry_date, "2029-03-15");
+  assert.equal(created.body.firearm.renewal_deadline, "2028-12-15");
+
+  const fetched = await client.get(`/api/firearms/${created.body.firearm.id}`);
+  assert.equal(fetched.body.firearm.license_type, "self_defence");
+  assert.equal(fetched.body.firearm.renewal_deadline, "2028-12-15");
+});
+
+test("expiry dates are checked against the licence type", async () => {
+  const { client } = await newUser();
+
+  const tooLate = await client.post(
+    "/api/firearms",
+    newFirearm({
+      license_type: "restricted_self_defence",
+      issue_date: "2024-03-15",
+      expiry_date: "2027-03-15",
+    })
+  );
+  assert.equal(tooLate.status, 400);
+  assert.equal(tooLate.body.field, "expiry_date");
+  assert.match(tooLate.body.message, /2026-03-15/);
+
+  const unknownType = await client.post(
+    "/api/firearms",
+    newFirearm({ license_type: "ornamental", expiry_date: "2030-01-31" })
+  );
+  assert.equal(unknownType.status, 400);
+  assert.equal(unknownType.body.field, "license_type");
+
+  // Without a type or issue date the expiry date has to be given
+  const noExpiry = await client.post(
+    "/api/firearms",
+    newFirearm({ license_type: "business" })
+  );
+  assert.equal(noExpiry.status, 400);
+  assert.equal(noExpiry.body.field, "expiry_date");
+});
+
+test("listings count down to the renewal deadline", async () => {
+  const { client } = await newUser();
+
+  // Expires in 100 days, but the renewal has to be lodged within 10
+  const typed = await client.post(
+    "/api/firearms",
+    newFirearm({ license_type: "self_defence", expiry_date: daysFromNow(100) })
+  );
+  const untyped = await client.post(
+    "/api/firearms",
+    newFirearm({ expiry_date: daysFromNow(100) })
+  );
+
+  const expiring = await client.get("/api/firearms?status=expiring");
+  assert.deepEqual(
+    expiring.body.firearms.map((firearm) => firearm.id),
+    [typed.body.firearm.id]
+  );
+
+  const upcoming = await client.get("/api/licenses/upcoming");
+  const [first, second] = upcoming.body.licenses;
+  assert.equal(first.id, typed.body.firearm.id);
+  assert.equal(first.status, "expiring");
+  assert.equal(first.days_to_deadline, 10);
+  assert.equal(first.days_remaining, 100);
+  assert.equal(second.id, untyped.body.firearm.id);
+  assert.equal(second.status, "valid");
+});
+
+test("reminders count down to the renewal deadline", async () => {
+  const { client, email } = await newUser();
+  await client.post(
+    "/api/firearms",
+    newFirearm({ license_type: "self_defence", expiry_date: daysFromNow(120) })
+  );
+
+  await sendExpiryReminders();
+
+  const mail = lastMailTo(email);
+  assert.ok(mail);
+  assert.match(mail.html, /has to be lodged by/);
+});
@@ -0,0 +1,219 @@
+const { describe, test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { nextNumber, saIdNumber } = require("./support/fixtures");
+
+// Every licence router with a valid new record, an update to it and where the
+// routes put the record in their responses
+const ROUTERS = [
+  {
+    path: "/api/firearms",
+    key: "firearm",
+    listKey: "firearms",
+    create: () => ({
+      first_name: "Thabo",
+      last_name: "Nkosi",
+      make_model: "Glock 19",
+      caliber: "9mm",
+      registration_number: `FA-${nextNumber()}`,
+      expiry_date: "2030-01-31",
+    }),
+    update: { caliber: "9x19mm" },
+    updated: (record) => record.caliber === "9x19mm",
+  },
+  {
+    path: "/api/vehicles",
+    key: "vehicle",
+    listKey: "vehicles",
+    create: () => ({
+      make: "Toyota",
+      model: "Hilux",
+      registration: `CA${nextNumber()}`,
+      expiryDate: "2030-01-31",
+    }),
+    update: { model: "Fortuner" },
+    updated: (record) => record.model === "Fortuner",
+  },
+  {
+    path: "/api/drivers",
+    key: "driver",
+    listKey: "drivers",
+    create: () => ({
+      firstName: "Thabo",
+      lastName: "Nkosi",
+      idNumber: saIdNumber(),
+      expiryDate: "2030-01-31",
+    }),
+    update: { lastName: "Dlamini" },
+    updated: (record) => record.last_name === "Dlamini",
+  },
+  {
+    path: "/api/prpd",
+    key: "prpd",
+    listKey: "prpdLicenses",
+    create: () => ({
+      firstName: "Thabo",
+      lastName: "Nkosi",
+      idNumber: saIdNumber(),
+      expiryDate: "2030-01-31",
+    }),
+    update: { lastName: "Dlamini" },
+    updated: (record) => record.last_name === "Dlamini",
+  },
+  {
+    path: "/api/work",
+    key: "contract",
+    listKey: "contracts",
+    create: () => ({
+      contractName: "Site security",
+      contractType: "Fixed term",
+      companyName: "Acme Security",
+      firstName: "Jane",
+      lastName: "Smith",
+      contactNumber: "0831234567",
+      emailAddress: "jane@example.com",
+      expiryDate: "2030-01-31",
+    }),
+    update: { companyName: "Acme Guarding" },
+    updated: (record) => record.company_name === "Acme Guarding",
+  },
+  {
+    path: "/api/competencies",
+    key: "competency",
+    listKey: "competencies",
+    create: () => ({
+      certificate_number: `COMP-${nextNumber()}`,
+      categories: ["handgun", "shotgun"],
+      expiry_date: "2030-01-31",
+    }),
+    update: { categories: "handgun, rifle" },
+    updated: (record) => record.categories === "handgun,rifle",
+  },
+];
+
+let app;
+let userCount = 0;
+
+// A fresh account for every test, so plan limits and records don't carry over
+const newUser = () => signUp(app, `user${++userCount}@example.com`);
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+for (const router of ROUTERS) {
+  describe(router.path, () => {
+    test("create, read, list, update and delete a record", async () => {
+      const owner = await newUser();
+      const record = router.create();
+
+      const created = await owner.post(router.path, record);
+      assert.equal(created.status, 201, JSON.stringify(created.body));
+      const id = created.body[router.key].id;
+      assert.ok(id);
+
+      const fetched = await owner.get(`${router.path}/${id}`);
+      assert.equal(fetched.status, 200);
+      assert.equal(fetched.body[router.key].id, id);
+
+      const list = await owner.get(router.path);
+      assert.equal(list.status, 200);
+      assert.equal(list.body.total, 1);
+      assert.deepEqual(
+        list.body[router.listKey].map((record) => record.id),
+        [id]
+      );
+
+      const updated = await owner.put(`${router.path}/${id}`, {
+        ...record,
+        ...router.update,
+      });
+      assert.equal(updated.status, 200, JSON.stringify(updated.body));
+      const refetched = await owner.get(`${router.path}/${id}`);
+      assert.ok(router.updated(refetched.body[router.key]));
+
+      const deleted = await owner.delete(`${router.path}/${id}`);
+      assert.equal(deleted.status, 200);
+      assert.equal((await owner.get(`${router.path}/${id}`)).status, 404);
+      assert.equal((await owner.delete(`${router.path}/${id}`)).status, 404);
+    });
+
+    test("records are only visible to their owner", async () => {
+      const owner = await newUser();
+      const intruder = await newUser();
+      const record = router.create();
+
+      const created = await owner.post(router.path, record);
+      const id = created.body[router.key].id;
+
+      assert.equal((await intruder.get(`${router.path}/${id}`)).status, 404);
+
+      const list = await intruder.get(router.path);
+      assert.equal(list.status, 200);
+      assert.equal(list.body.total, 0);
+      assert.deepEqual(list.body[router.listKey], []);
+
+      const update = await intruder.put(`${router.path}/${id}`, {
+        ...record,
+        ...router.update,
+      });
+      assert.equal(update.status, 404);
+      assert.equal((await intruder.delete(`${router.path}/${id}`)).status, 404);
+
+      // The owner's record is untouched
+      const fetched = await owner.get(`${router.path}/${id}`);
+      assert.equal(fetched.status, 200);
+      assert.equal(router.updated(fetched.body[router.key]), false);
+    });
+
+    test("records need every required field", async () => {
+      const owner = await newUser();
+      const record = router.create();
+      const [firstField] = Object.keys(record);
+
+      const response = await owner.post(router.path, {
+        ...record,
+        [firstField]: "",
+      });
+      assert.equal(response.status, 400);
+      assert.equal((await owner.get(router.path)).body.total, 0);
+    });
+
+    test("records need a signed-in user", async () => {
+      const owner = await newUser();
+      owner.setAccessToken(null);
+
+      assert.equal((await owner.get(router.path)).status, 401);
+      assert.equal(
+        (await owner.post(router.path, router.create())).status,
+        401
+      );
+    });
+  });
+}
+
+test("the free plan limits how many records can be added", async () => {
+  const owner = await newUser();
+
+  for (const number of [1, 2, 3]) {
+    const response = await owner.post("/api/vehicles", {
+      make: "Toyota",
+      model: "Hilux",
+      registration: `LIMIT${number}GP`,
+      expiryDate: "2030-01-31",
+    });
+    assert.equal(response.status, 201);
+  }
+
+  const response = await owner.post("/api/vehicles", {
+    make: "Toyota",
+    model: "Hilux",
+    registration: "LIMIT4GP",
+    expiryDate: "2030-01-31",
+  });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.code, "RECORD_LIMIT_REACHED");
+});
@@ -0,0 +1,47 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./support/harness");
+const migrator = require("../database/migrator");
+
+let database;
+
+const tableNames = () =>
+  database
+    .exec("SELECT name FROM sqlite_master WHERE type = 'table'")[0]
+    .values.map(([name]) => name);
+
+before(async () => {
+  ({ database } = await startApp());
+});
+
+test("every migration is applied", async () => {
+  const migrations = await migrator.status();
+
+  assert.ok(migrations.length > 0);
+  for (const migration of migrations) {
+    assert.ok(migration.applied_at, `${migration.name} was not applied`);
+  }
+});
+
+test("migrations roll back and apply again", async () => {
+  const total = (await migrator.status()).length;
+  const log = console.log;
+  console.log = () => {};
+
+  try {
+    const rolledBack = await migrator.rollback({ steps: total });
+    assert.equal(rolledBack.length, total);
+    assert.deepEqual(
+      tableNames().filter((name) => name !== "sqlite_sequence"),
+      ["schema_migrations"]
+    );
+
+    const applied = await migrator.migrate();
+    assert.equal(applied.length, total);
+  } finally {
+    console.log = log;
+  }
+
+  assert.ok(tableNames().includes("firearms"));
+  assert.deepEqual(await migrator.migrate(), []);
+});
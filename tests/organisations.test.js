@@ -0,0 +1,443 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startApp,
+  resetAttempts,
+  sentMail,
+  lastMailTo,
+} = require("./support/harness");
+const { signUp } = require("./support/client");
+const { nextNumber } = require("./support/fixtures");
+const { sendExpiryReminders } = require("../services/reminderService");
+
+let app;
+let userCount = 0;
+
+const newUser = async () => {
+  const email = `organisations${++userCount}@example.com`;
+  return { client: await signUp(app, email), email };
+};
+
+// The token from the link in the last invitation sent to the address
+const invitationTokenFor = (email) => {
+  const mail = lastMailTo(email);
+  assert.ok(mail, `no email was sent to ${email}`);
+  const match = /invitations\/accept\?token=([0-9a-f]+)/.exec(mail.html);
+  assert.ok(match, "invitation email has no accept link");
+  return match[1];
+};
+
+// An organisation owned by a new user, with a new admin and viewer
+const newOrganisation = async () => {
+  const owner = await newUser();
+  const created = await owner.client.post("/api/organisations", {
+    name: "Acme Security",
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const organisationId = created.body.organisation.id;
+
+  const join = async (role) => {
+    const member = await newUser();
+    const invited = await owner.client.post(
+      `/api/organisations/${organisationId}/invitations`,
+      { email: member.email, role }
+    );
+    assert.equal(invited.status, 201, JSON.stringify(invited.body));
+
+    const accepted = await member.client.post(
+      "/api/organisations/invitations/accept",
+      { token: invitationTokenFor(member.email) }
+    );
+    assert.equal(accepted.status, 200, JSON.stringify(accepted.body));
+    return member;
+  };
+
+  return {
+    organisationId,
+    owner,
+    admin: await join("admin"),
+    viewer: await join("viewer"),
+  };
+};
+
+const newVehicle = (fields) => ({
+  make: "Toyota",
+  model: "Hilux",
+  registration: `ORG${nextNumber()}GP`,
+  expiryDate: "2030-01-31",
+  ...fields,
+});
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("invitations are accepted by the invited address only", async () => {
+  const owner = await newUser();
+  const invitee = await newUser();
+  const stranger = await newUser();
+  const created = await owner.client.post("/api/organisations", {
+    name: "Acme Security",
+  });
+  const organisationId = created.body.organisation.id;
+
+  await owner.client.post(`/api/organisations/${organisationId}/invitations`, {
+    email: invitee.email,
+    role: "admin",
+  });
+  const token = invitationTokenFor(invitee.email);
+
+  const preview = await stranger.client.get(
+    `/api/organisations/invitations/${token}`
+  );
+  assert.equal(preview.body.invitation.organisation_name, "Acme Security");
+
+  const wrongUser = await stranger.client.post(
+    "/api/organisations/invitations/accept",
+    { token }
+  );
+  assert.equal(wrongUser.status, 403);
+
+  const accepted = await invitee.client.post(
+    "/api/organisations/invitations/accept",
+    { token }
+  );
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.organisation.role, "admin");
+
+  // Tokens can only be used once
+  const again = await invitee.client.post(
+    "/api/organisations/invitations/accept",
+    { token }
+  );
+  assert.equal(again.status, 404);
+
+  const organisation = await invitee.client.get(
+    `/api/organisations/${organisationId}`
+  );
+  assert.deepEqual(
+    organisation.body.organisation.members.map((member) => [
+      member.email,
+      member.role,
+    ]),
+    [
+      [owner.email, "owner"],
+      [invitee.email, "admin"],
+    ]
+  );
+  assert.equal(
+    (await stranger.client.get(`/api/organisations/${organisationId}`)).status,
+    404
+  );
+});
+
+test("declined invitations can't be accepted", async () => {
+  const owner = await newUser();
+  const invitee = await newUser();
+  const created = await owner.client.post("/api/organisations", {
+    name: "Acme Security",
+  });
+
+  await owner.client.post(
+    `/api/organisations/${created.body.organisation.id}/invitations`,
+    { email: invitee.email }
+  );
+  const token = invitationTokenFor(invitee.email);
+
+  const declined = await invitee.client.post(
+    "/api/organisations/invitations/decline",
+    { token }
+  );
+  assert.equal(declined.status, 200);
+
+  const accepted = await invitee.client.post(
+    "/api/organisations/invitations/accept",
+    { token }
+  );
+  assert.equal(accepted.status, 404);
+  assert.deepEqual(
+    (await invitee.client.get("/api/organisations")).body.organisations,
+    []
+  );
+});
+
+test("members share records according to their role", async () => {
+  const { organisationId, owner, admin, viewer } = await newOrganisation();
+  // A fourth sign-up would hit the registration rate limit
+  resetAttempts();
+  const outsider = await newUser();
+
+  const created = await admin.client.post(
+    "/api/vehicles",
+    newVehicle({ organisationId })
+  );
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const path = `/api/vehicles/${created.body.vehicle.id}`;
+
+  // Everyone in the organisation sees it, no one else does
+  for (const { client } of [owner, admin, viewer]) {
+    assert.equal((await client.get(path)).status, 200);
+    assert.equal((await client.get("/api/vehicles")).body.total, 1);
+  }
+  assert.equal((await outsider.client.get(path)).status, 404);
+  assert.equal(
+    (await viewer.client.get("/api/vehicles?organisation_id=personal")).body
+      .total,
+    0
+  );
+
+  // Viewers can only read
+  const viewerUpdate = await viewer.client.put(
+    path,
+    newVehicle({ model: "Fortuner" })
+  );
+  assert.equal(viewerUpdate.status, 403);
+  assert.equal(viewerUpdate.body.code, "ORGANISATION_READ_ONLY");
+  assert.equal((await viewer.client.delete(path)).status, 403);
+  const viewerCreate = await viewer.client.post(
+    "/api/vehicles",
+    newVehicle({ organisationId })
+  );
+  assert.equal(viewerCreate.status, 403);
+
+  const ownerUpdate = await owner.client.put(path, {
+    ...newVehicle({ model: "Fortuner" }),
+    registration: created.body.vehicle.registration,
+  });
+  assert.equal(ownerUpdate.status, 200, JSON.stringify(ownerUpdate.body));
+  assert.equal((await viewer.client.get(path)).body.vehicle.model, "Fortuner");
+
+  // Changes by any member show in the record's history
+  const history = await viewer.client.get(`${path}/history`);
+  assert.deepEqual(
+    history.body.history.map((entry) => entry.action),
+    ["create", "update"]
+  );
+
+  // Outsiders can't add records to the organisation
+  const outsiderCreate = await outsider.client.post("/api/firearms", {
+    first_name: "Thabo",
+    last_name: "Nkosi",
+    make_model: "Glock 19",
+    caliber: "9mm",
+    registration_number: `FA-${nextNumber()}`,
+    expiry_date: "2030-01-31",
+    organisation_id: organisationId,
+  });
+  assert.equal(outsiderCreate.status, 400);
+  assert.equal(outsiderCreate.body.field, "organisation_id");
+});
+
+test("organisations keep at least one owner", async () => {
+  const { organisationId, owner, admin, viewer } = await newOrganisation();
+  const ownerId = (await owner.client.get("/api/auth/me")).body.user.id;
+
+  const leaving = await owner.client.delete(
+    `/api/organisations/${organisationId}/members/${ownerId}`
+  );
+  assert.equal(leaving.status, 409);
+
+  const demoted = await owner.client.put(
+    `/api/organisations/${organisationId}/members/${ownerId}`,
+    { role: "viewer" }
+  );
+  assert.equal(demoted.status, 409);
+
+  // Admins can't change roles
+  const promoted = await admin.client.put(
+    `/api/organisations/${organisationId}/members/${ownerId}`,
+    { role: "viewer" }
+  );
+  assert.equal(promoted.status, 403);
+
+  // Members can always leave
+  const viewerId = (await viewer.client.get("/api/auth/me")).body.user.id;
+  const left = await viewer.client.delete(
+    `/api/organisations/${organisationId}/members/${viewerId}`
+  );
+  assert.equal(left.status, 200);
+});
+
+test("deleting an organisation hands its records back", async () => {
+  const { organisationId, owner, admin } = await newOrganisation();
+  const created = await admin.client.post(
+    "/api/vehicles",
+    newVehicle({ organisationId })
+  );
+  const path = `/api/vehicles/${created.body.vehicle.id}`;
+
+  assert.equal(
+    (await admin.client.delete(`/api/organisations/${organisationId}`)).status,
+    403
+  );
+  assert.equal(
+    (await owner.client.delete(`/api/organisations/${organisationId}`)).status,
+    200
+  );
+
+  assert.equal((await owner.client.get(path)).status, 404);
+  const fetched = await admin.client.get(path);
+  assert.equal(fetched.status, 200);
+  assert.equal(fetched.body.vehicle.organisation_id, null);
+});
+
+test("reminders for organisation records go to its owners and admins", async () => {
+  const { organisationId, owner, admin } = await newOrganisation();
+  const adminId = (await admin.client.get("/api/auth/me")).body.user.id;
+
+  const expiry = new Date();
+  expiry.setDate(expiry.getDate() + 10);
+  const created = await admin.client.post(
+    "/api/vehicles",
+    newVehicle({
+      organisationId,
+      expiryDate: expiry.toISOString().slice(0, 10),
+    })
+  );
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  // The admin who added it has left, so only the owner hears about it
+  const removed = await owner.client.delete(
+    `/api/organisations/${organisationId}/members/${adminId}`
+  );
+  assert.equal(removed.status, 200);
+
+  const sentBefore = sentMail.length;
+  await sendExpiryReminders();
+  const recipients = sentMail.slice(sentBefore).map((mail) => mail.to);
+
+  assert.deepEqual(recipients, [owner.email]);
+});
+
+test("former members lose the history of organisation records", async () => {
+  const { organisationId, owner, admin } = await newOrganisation();
+  const adminId = (await admin.client.get("/api/auth/me")).body.user.id;
+
+  const created = await admin.client.post(
+    "/api/vehicles",
+    newVehicle({ organisationId })
+  );
+  const id = created.body.vehicle.id;
+  const updated = await owner.client.put(`/api/vehicles/${id}`, {
+    ...newVehicle({ model: "Fortuner" }),
+    registration: created.body.vehicle.registration,
+  });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+
+  await owner.client.delete(
+    `/api/organisations/${organisationId}/members/${adminId}`
+  );
+
+  assert.equal(
+    (await admin.client.get(`/api/vehicles/${id}/history`)).status,
+    404
+  );
+
+  // Only the change they made themselves stays in their audit log
+  const log = await admin.client.get("/api/audit?type=vehicle");
+  assert.deepEqual(
+    log.body.entries.map((entry) => entry.action),
+    ["create"]
+  );
+
+  const ownerLog = await owner.client.get("/api/audit?type=vehicle");
+  assert.deepEqual(
+    ownerLog.body.entries.map((entry) => entry.action),
+    ["update", "create"]
+  );
+});
+
+test("CSV imports add records to the organisation", async () => {
+  const { organisationId, owner, viewer } = await newOrganisation();
+  const csv = Buffer.from(
+    [
+      "make,model,registration,expiry_date",
+      `Toyota,Hilux,ORG${nextNumber()}GP,2030-01-31`,
+    ].join("\n")
+  );
+
+  const denied = await viewer.client.upload(
+    "/api/vehicles/import",
+    csv,
+    "vehicles.csv",
+    { organisation_id: organisationId }
+  );
+  assert.equal(denied.status, 403);
+
+  const imported = await owner.client.upload(
+    "/api/vehicles/import",
+    csv,
+    "vehicles.csv",
+    { organisation_id: organisationId }
+  );
+  assert.equal(imported.status, 201, JSON.stringify(imported.body));
+
+  const list = await viewer.client.get(
+    `/api/vehicles?organisation_id=${organisationId}`
+  );
+  assert.equal(list.body.total, 1);
+  assert.equal(list.body.vehicles[0].organisation_id, organisationId);
+});
+
+test("firearms only rely on certificates held the same way", async () => {
+  const { organisationId, owner } = await newOrganisation();
+  const certificate = (fields) => ({
+    certificate_number: `COMP-${nextNumber()}`,
+    categories: "handgun",
+    expiry_date: "2030-01-31",
+    ...fields,
+  });
+  const firearm = (fields) => ({
+    first_name: "Thabo",
+    last_name: "Nkosi",
+    make_model: "Glock 19",
+    caliber: "9mm",
+    registration_number: `FA-${nextNumber()}`,
+    expiry_date: "2030-01-31",
+    ...fields,
+  });
+
+  const shared = await owner.client.post(
+    "/api/competencies",
+    certificate({ organisation_id: organisationId })
+  );
+  assert.equal(shared.status, 201, JSON.stringify(shared.body));
+  const personal = await owner.client.post("/api/competencies", certificate());
+  assert.equal(personal.status, 201, JSON.stringify(personal.body));
+
+  const personalFirearm = await owner.client.post(
+    "/api/firearms",
+    firearm({ competency_id: shared.body.competency.id })
+  );
+  assert.equal(personalFirearm.status, 400);
+  assert.equal(personalFirearm.body.field, "competency_id");
+
+  const mixed = await owner.client.post(
+    "/api/firearms",
+    firearm({
+      organisation_id: organisationId,
+      competency_id: personal.body.competency.id,
+    })
+  );
+  assert.equal(mixed.status, 400);
+  assert.equal(mixed.body.field, "competency_id");
+
+  const created = await owner.client.post(
+    "/api/firearms",
+    firearm({
+      organisation_id: organisationId,
+      competency_id: shared.body.competency.id,
+    })
+  );
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  // The organisation's firearm can't be switched to a personal certificate
+  const updated = await owner.client.put(
+    `/api/firearms/${created.body.firearm.id}`,
+    firearm({ competency_id: personal.body.competency.id })
+  );
+  assert.equal(updated.status, 400);
+  assert.equal(updated.body.field, "competency_id");
+});
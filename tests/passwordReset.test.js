@@ -0,0 +1,65 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts, lastMailTo } = require("./support/harness");
+const { TEST_PASSWORD, signUp } = require("./support/client");
+
+const NEW_PASSWORD = "N3w-Battery-Staple!";
+
+let app;
+let userCount = 0;
+
+// Ask for a reset link and return the token from it
+const requestReset = async (client, email) => {
+  const response = await client.post("/api/auth/forgot-password", { email });
+  assert.equal(response.status, 200);
+
+  const match = /reset-password\?token=([0-9a-f]+)/.exec(
+    lastMailTo(email).html
+  );
+  assert.ok(match, "password reset email has no reset link");
+  return match[1];
+};
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("a reset token can only be used once", async () => {
+  const email = `reset${++userCount}@example.com`;
+  const client = await signUp(app, email);
+  const token = await requestReset(client, email);
+
+  // Both requests pass the token lookup before either changes the password
+  const passwords = [NEW_PASSWORD, "0th3r-Battery-Staple!"];
+  const responses = await Promise.all(
+    passwords.map((password) =>
+      client.post("/api/auth/reset-password", { token, password })
+    )
+  );
+  assert.deepEqual(
+    responses.map((response) => response.status).sort(),
+    [200, 400]
+  );
+
+  const reused = await client.post("/api/auth/reset-password", {
+    token,
+    password: NEW_PASSWORD,
+  });
+  assert.equal(reused.status, 400);
+  assert.equal(reused.body.message, "Invalid or expired reset token");
+
+  const login = await client.post("/api/auth/login", {
+    email,
+    password:
+      passwords[responses.findIndex((response) => response.status === 200)],
+  });
+  assert.equal(login.status, 200);
+
+  const oldPassword = await client.post("/api/auth/login", {
+    email,
+    password: TEST_PASSWORD,
+  });
+  assert.equal(oldPassword.status, 401);
+});
@@ -0,0 +1,206 @@
+process.env.PAYMENT_PROVIDER = "fake";
+
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts, sentMail } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { nextNumber } = require("./support/fixtures");
+const db = require("../config/database");
+const { sendExpiryReminders } = require("../services/reminderService");
+
+let app;
+let userCount = 0;
+
+const newUser = async () => {
+  const email = `reminders${++userCount}@example.com`;
+  const client = await signUp(app, email);
+  const me = await client.get("/api/auth/me");
+  return { client, email, userId: me.body.user.id };
+};
+
+// The date `days` from today as YYYY-MM-DD
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+};
+
+const newVehicle = async (client, days) => {
+  const created = await client.post("/api/vehicles", {
+    make: "Toyota",
+    model: "Hilux",
+    registration: `REM${nextNumber()}GP`,
+    expiryDate: daysFromNow(days),
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.vehicle.id;
+};
+
+const setPreferences = async (client, preferences) => {
+  const saved = await client.put("/api/auth/me/notifications", preferences);
+  assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  return saved.body.preferences;
+};
+
+// Run the reminder job and return the mail it sent to the given addresses;
+// records from other tests may be due as well
+const runReminders = async (...emails) => {
+  const sentBefore = sentMail.length;
+  const summary = await sendExpiryReminders();
+  const sent = sentMail
+    .slice(sentBefore)
+    .filter((mail) => emails.includes(mail.to));
+  return { summary, sent };
+};
+
+// The current time where the scheduler runs, in hours and minutes
+const localTime = () => {
+  const [hours, minutes] = new Date()
+    .toLocaleTimeString("en-GB", {
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: false,
+      timeZone: "Africa/Johannesburg",
+    })
+    .split(":")
+    .map(Number);
+  return { hours, minutes };
+};
+
+const formatTime = (hours, minutes) =>
+  `${String(hours % 24).padStart(2, "0")}:${String(minutes).padStart(2, "0")}`;
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("a due record is reminded about once per threshold", async () => {
+  const { client, email } = await newUser();
+  await newVehicle(client, 10);
+
+  const first = await runReminders(email);
+  assert.deepEqual(
+    first.sent.map((mail) => mail.subject),
+    ["Vehicle license disc expiry reminder"]
+  );
+  assert.match(first.sent[0].html, /10 days/);
+
+  const again = await runReminders(email);
+  assert.deepEqual(again.sent, []);
+});
+
+test("a record with several pending renewals gets one reminder", async () => {
+  const { client, email, userId } = await newUser();
+  const id = await newVehicle(client, 10);
+
+  // Left over from before renewals were limited to one in progress
+  for (const reference of ["OLD-1", "OLD-2"]) {
+    await db.query(
+      `INSERT INTO renewals (user_id, record_type, record_id, status, reference)
+       VALUES (?, 'vehicle', ?, 'submitted', ?)`,
+      [userId, id, reference]
+    );
+  }
+
+  const { sent } = await runReminders(email);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].subject, "Vehicle license disc renewal still pending");
+  assert.match(sent[0].html, /reference OLD-2/);
+});
+
+test("reminders follow each category's lead times and channels", async () => {
+  const early = await newUser();
+  const disabled = await newUser();
+  const smsOnly = await newUser();
+
+  await setPreferences(early.client, { vehicle: { lead_days: [60] } });
+  await setPreferences(disabled.client, { vehicle: { enabled: false } });
+  // Other channels come with a paid plan
+  const paid = await smsOnly.client.post("/api/users/subscription", {
+    reference: `fake_success_49900_user${smsOnly.userId}_sms`,
+    plan: "annual",
+  });
+  assert.equal(paid.status, 200, JSON.stringify(paid.body));
+  await setPreferences(smsOnly.client, { vehicle: { channels: ["sms"] } });
+
+  for (const user of [early, disabled, smsOnly]) {
+    await newVehicle(user.client, 45);
+  }
+
+  // With the default lead times nobody hears about it until 30 days out
+  const { sent } = await runReminders(
+    early.email,
+    disabled.email,
+    smsOnly.email
+  );
+  assert.deepEqual(
+    sent.map((mail) => mail.to),
+    [early.email]
+  );
+});
+
+test("reminders wait for quiet hours to end", async () => {
+  const { client, email } = await newUser();
+  const { hours, minutes } = localTime();
+
+  await setPreferences(client, {
+    vehicle: {
+      quiet_hours_start: formatTime(hours, minutes),
+      quiet_hours_end: formatTime(hours + 2, minutes),
+    },
+  });
+  await newVehicle(client, 5);
+
+  const quiet = await runReminders(email);
+  assert.deepEqual(quiet.sent, []);
+  assert.ok(quiet.summary.deferred >= 1);
+
+  await setPreferences(client, {
+    vehicle: { quiet_hours_start: null, quiet_hours_end: null },
+  });
+  const after = await runReminders(email);
+  assert.equal(after.sent.length, 1);
+});
+
+test("notification preferences are validated per category", async () => {
+  const { client } = await newUser();
+
+  const defaults = await client.get("/api/auth/me/notifications");
+  assert.equal(defaults.status, 200);
+  assert.deepEqual(defaults.body.preferences.firearm, {
+    enabled: true,
+    lead_days: [90, 30, 7, 0],
+    channels: ["email"],
+    quiet_hours_start: null,
+    quiet_hours_end: null,
+  });
+
+  const unknown = await client.put("/api/auth/me/notifications", {
+    boats: { enabled: false },
+  });
+  assert.equal(unknown.status, 400);
+
+  const halfQuiet = await client.put("/api/auth/me/notifications", {
+    firearm: { quiet_hours_start: "21:00" },
+  });
+  assert.equal(halfQuiet.status, 400);
+
+  const badChannel = await client.put("/api/auth/me/notifications", {
+    firearm: { channels: ["pigeon"] },
+  });
+  assert.equal(badChannel.status, 400);
+
+  // Updates merge into the stored preference; lead times are sorted
+  const saved = await setPreferences(client, {
+    firearm: { lead_days: [7, 180, 30] },
+  });
+  assert.deepEqual(saved.firearm.lead_days, [180, 30, 7]);
+  assert.deepEqual(saved.firearm.channels, ["email"]);
+  assert.deepEqual(saved.vehicle, defaults.body.preferences.vehicle);
+});
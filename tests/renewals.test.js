@@ -0,0 +1,274 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts, lastMailTo } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { nextNumber } = require("./support/fixtures");
+const { sendExpiryReminders } = require("../services/reminderService");
+const { recordEvent } = require("../services/renewalService");
+const { getExpectedExpiry } = require("../utils/firearmLicense");
+
+let app;
+let userCount = 0;
+
+const newUser = async () => {
+  const email = `renewals${++userCount}@example.com`;
+  const client = await signUp(app, email);
+  return { client, email };
+};
+
+// A local date as YYYY-MM-DD
+const toDateKey = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+// The date `days` from today
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+};
+
+const newFirearm = async (client, expiryDate = daysFromNow(10)) => {
+  const created = await client.post("/api/firearms", {
+    first_name: "Thabo",
+    last_name: "Nkosi",
+    make_model: "Glock 19",
+    caliber: "9mm",
+    registration_number: `FA-${nextNumber()}`,
+    expiry_date: expiryDate,
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.firearm.id;
+};
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("approving a renewal rolls the expiry date forward", async () => {
+  const { client } = await newUser();
+  const oldExpiry = daysFromNow(10);
+  const id = await newFirearm(client, oldExpiry);
+  const url = `/api/firearms/${id}/renewals`;
+
+  const applied = await client.post(url, {
+    event: "applied",
+    date: "2026-01-05",
+    notes: "Applied at the local station",
+  });
+  assert.equal(applied.status, 201, JSON.stringify(applied.body));
+  assert.equal(applied.body.renewal.status, "applied");
+  assert.equal(applied.body.renewal.events.length, 1);
+
+  // Submitting needs the reference number
+  assert.equal((await client.post(url, { event: "submitted" })).status, 400);
+  const submitted = await client.post(url, {
+    event: "submitted",
+    reference: "SAPS-12345",
+  });
+  assert.equal(submitted.status, 201);
+  assert.equal(submitted.body.renewal.reference, "SAPS-12345");
+
+  // The new expiry date has to move the record forward
+  const backwards = await client.post(url, {
+    event: "approved",
+    expiry_date: daysFromNow(5),
+  });
+  assert.equal(backwards.status, 409);
+  assert.equal(backwards.body.code, "INVALID_RENEWAL_TRANSITION");
+
+  const newExpiry = daysFromNow(5 * 365);
+  const approved = await client.post(url, {
+    event: "approved",
+    expiry_date: newExpiry,
+  });
+  assert.equal(approved.status, 201, JSON.stringify(approved.body));
+  assert.equal(approved.body.renewal.status, "approved");
+
+  const collected = await client.post(url, { event: "collected" });
+  assert.equal(collected.status, 201);
+  assert.deepEqual(
+    collected.body.renewal.events.map((event) => event.event),
+    ["applied", "submitted", "approved", "collected"]
+  );
+
+  const firearm = (await client.get(`/api/firearms/${id}`)).body.firearm;
+  assert.equal(toDateKey(new Date(firearm.expiry_date)), newExpiry);
+
+  // The replaced period is kept
+  const renewals = await client.get(url);
+  assert.equal(renewals.status, 200);
+  assert.equal(renewals.body.renewals.length, 1);
+  assert.equal(renewals.body.periods.length, 1);
+  assert.equal(
+    toDateKey(new Date(renewals.body.periods[0].expiry_date)),
+    oldExpiry
+  );
+  assert.equal(
+    renewals.body.periods[0].renewal_id,
+    renewals.body.renewals[0].id
+  );
+
+  const history = await client.get(`/api/firearms/${id}/history`);
+  assert.ok(history.body.history.some((entry) => entry.action === "renew"));
+});
+
+test("firearm renewals follow the licence type's validity rules", async () => {
+  const { client } = await newUser();
+  const created = await client.post("/api/firearms", {
+    first_name: "Thabo",
+    last_name: "Nkosi",
+    make_model: "Glock 19",
+    caliber: "9mm",
+    registration_number: `FA-${nextNumber()}`,
+    license_type: "self_defence",
+    issue_date: daysFromNow(10 - 5 * 365),
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  const id = created.body.firearm.id;
+  const url = `/api/firearms/${id}/renewals`;
+
+  assert.equal((await client.post(url, { event: "applied" })).status, 201);
+
+  // The renewed licence is issued on approval and valid for five years
+  const today = daysFromNow(0);
+  const tooLong = await client.post(url, {
+    event: "approved",
+    date: today,
+    expiry_date: daysFromNow(6 * 365),
+  });
+  assert.equal(tooLong.status, 409);
+  assert.match(tooLong.body.message, /valid for 5 years/);
+
+  const newExpiry = getExpectedExpiry("self_defence", today);
+  const approved = await client.post(url, {
+    event: "approved",
+    date: today,
+    expiry_date: newExpiry,
+  });
+  assert.equal(approved.status, 201, JSON.stringify(approved.body));
+
+  const firearm = (await client.get(`/api/firearms/${id}`)).body.firearm;
+  assert.equal(toDateKey(new Date(firearm.issue_date)), today);
+  assert.equal(toDateKey(new Date(firearm.expiry_date)), newExpiry);
+});
+
+test("approval compares against the record as it is now", async () => {
+  const { client } = await newUser();
+  const id = await newFirearm(client);
+  assert.equal(
+    (await client.post(`/api/firearms/${id}/renewals`, { event: "applied" }))
+      .status,
+    201
+  );
+
+  // Loaded before someone else moved the expiry date on
+  const stale = (await client.get(`/api/firearms/${id}`)).body.firearm;
+  const updated = await client.put(`/api/firearms/${id}`, {
+    first_name: stale.first_name,
+    last_name: stale.last_name,
+    make_model: stale.make_model,
+    caliber: stale.caliber,
+    registration_number: stale.registration_number,
+    expiry_date: daysFromNow(400),
+  });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+
+  const result = await recordEvent(null, "firearm", stale, {
+    event: "approved",
+    expiryDate: daysFromNow(200),
+  });
+  assert.deepEqual(result, {
+    error: "The new expiry date must be later than the current one",
+  });
+});
+
+test("renewal events have to follow each other in order", async () => {
+  const { client } = await newUser();
+  const id = await newFirearm(client);
+  const url = `/api/firearms/${id}/renewals`;
+
+  const early = await client.post(url, { event: "submitted", reference: "X1" });
+  assert.equal(early.status, 409);
+  assert.equal(early.body.code, "INVALID_RENEWAL_TRANSITION");
+
+  assert.equal((await client.post(url, { event: "applied" })).status, 201);
+  assert.equal((await client.post(url, { event: "applied" })).status, 409);
+  assert.equal((await client.post(url, { event: "rejected" })).status, 201);
+  assert.equal((await client.post(url, { event: "collected" })).status, 409);
+
+  // A rejected renewal can be followed by a new application
+  assert.equal((await client.post(url, { event: "applied" })).status, 201);
+  const renewals = await client.get(url);
+  assert.deepEqual(
+    renewals.body.renewals.map((renewal) => renewal.status),
+    ["applied", "rejected"]
+  );
+  assert.deepEqual(renewals.body.periods, []);
+
+  assert.equal((await client.post(url, { event: "unknown" })).status, 400);
+});
+
+test("renewals are only visible to the record's owner", async () => {
+  const { client: owner } = await newUser();
+  const { client: other } = await newUser();
+  const id = await newFirearm(owner);
+  const url = `/api/firearms/${id}/renewals`;
+
+  assert.equal((await other.get(url)).status, 404);
+  assert.equal((await other.post(url, { event: "applied" })).status, 404);
+  assert.equal((await owner.get(url)).status, 200);
+});
+
+test("records with a pending renewal aren't listed as expiring", async () => {
+  const { client } = await newUser();
+  const pendingId = await newFirearm(client);
+  const expiringId = await newFirearm(client);
+  await client.post(`/api/firearms/${pendingId}/renewals`, {
+    event: "applied",
+  });
+
+  const expiring = await client.get("/api/firearms?status=expiring");
+  assert.equal(expiring.status, 200);
+  assert.deepEqual(
+    expiring.body.firearms.map((firearm) => firearm.id),
+    [expiringId]
+  );
+  assert.equal(expiring.body.firearms[0].renewal_pending, false);
+
+  const pending = await client.get("/api/firearms?status=renewal_pending");
+  assert.deepEqual(
+    pending.body.firearms.map((firearm) => firearm.id),
+    [pendingId]
+  );
+  assert.equal(pending.body.firearms[0].renewal_pending, true);
+
+  const upcoming = await client.get("/api/licenses/upcoming");
+  const statuses = Object.fromEntries(
+    upcoming.body.licenses.map((license) => [license.id, license.status])
+  );
+  assert.equal(statuses[pendingId], "renewal_pending");
+  assert.equal(statuses[expiringId], "expiring");
+});
+
+test("reminders for records with a pending renewal say so", async () => {
+  const { client, email } = await newUser();
+  const id = await newFirearm(client, daysFromNow(5));
+  await client.post(`/api/firearms/${id}/renewals`, { event: "applied" });
+  await client.post(`/api/firearms/${id}/renewals`, {
+    event: "submitted",
+    reference: "SAPS-777",
+  });
+
+  await sendExpiryReminders();
+
+  const mail = lastMailTo(email);
+  assert.ok(mail);
+  assert.match(mail.subject, /renewal still pending/);
+  assert.match(mail.html, /reference SAPS-777/);
+});
@@ -0,0 +1,102 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { saIdNumber } = require("./support/fixtures");
+const { validateIdNumber, describeIdNumber } = require("../utils/saIdNumber");
+
+let app;
+let userCount = 0;
+
+const newUser = () => signUp(app, `idnumber${++userCount}@example.com`);
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("ID numbers are checked digit by digit", () => {
+  assert.equal(validateIdNumber("9001015009086"), null);
+  assert.match(validateIdNumber("900101500908"), /13 digits/);
+  assert.match(validateIdNumber("90010150090 6"), /13 digits/);
+  assert.match(validateIdNumber("9002305009086"), /date of birth/);
+  assert.match(validateIdNumber("9001015009386"), /citizenship/);
+  assert.match(validateIdNumber("9001015009087"), /check digit/);
+});
+
+test("ID numbers give the holder's date of birth, sex and citizenship", () => {
+  assert.deepEqual(describeIdNumber("9001015009086", "2030-01-31"), {
+    date_of_birth: "1990-01-01",
+    age: describeIdNumber("9001015009086").age,
+    age_at_expiry: 40,
+    sex: "male",
+    citizenship: "citizen",
+  });
+
+  // Females have sequence numbers below 5000
+  assert.equal(describeIdNumber("0506150123186").sex, "female");
+  assert.equal(describeIdNumber("0506150123186").date_of_birth, "2005-06-15");
+  assert.equal(describeIdNumber("9001015009087"), null);
+});
+
+test("driver and PRPD records reject invalid ID numbers", async () => {
+  const owner = await newUser();
+
+  const driver = await owner.post("/api/drivers", {
+    firstName: "Thabo",
+    lastName: "Nkosi",
+    idNumber: "9001015009087",
+    expiryDate: "2030-01-31",
+  });
+  assert.equal(driver.status, 400);
+  assert.equal(driver.body.field, "idNumber");
+  assert.match(driver.body.message, /check digit/);
+
+  const prpd = await owner.post("/api/prpd", {
+    firstName: "Thabo",
+    lastName: "Nkosi",
+    idNumber: "9013015009086",
+    expiryDate: "2030-01-31",
+  });
+  assert.equal(prpd.status, 400);
+  assert.equal(prpd.body.field, "idNumber");
+  assert.match(prpd.body.message, /date of birth/);
+});
+
+test("PRPD records include the holder's age at expiry", async () => {
+  const owner = await newUser();
+  const idNumber = saIdNumber();
+
+  const created = await owner.post("/api/prpd", {
+    firstName: "Thabo",
+    lastName: "Nkosi",
+    idNumber,
+    expiryDate: "2030-01-31",
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const fetched = await owner.get(`/api/prpd/${created.body.prpd.id}`);
+  assert.equal(fetched.body.prpd.id_details.date_of_birth, "1990-01-01");
+  assert.equal(fetched.body.prpd.id_details.age_at_expiry, 40);
+
+  const list = await owner.get("/api/prpd");
+  assert.equal(list.body.prpdLicenses[0].id_details.age_at_expiry, 40);
+});
+
+test("profile ID numbers are validated", async () => {
+  const owner = await newUser();
+
+  const rejected = await owner.patch("/api/auth/me", {
+    id_number: "1234567890123",
+  });
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.field, "id_number");
+
+  const updated = await owner.patch("/api/auth/me", {
+    id_number: "9001015009086",
+  });
+  assert.equal(updated.status, 200, JSON.stringify(updated.body));
+  assert.equal(updated.body.user.id_number, "9001015009086");
+  assert.equal(updated.body.user.id_details.date_of_birth, "1990-01-01");
+});
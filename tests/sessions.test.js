@@ -0,0 +1,164 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts, lastMailTo } = require("./support/harness");
+const { TEST_PASSWORD, createClient, signUp } = require("./support/client");
+const db = require("../config/database");
+
+let app;
+let userCount = 0;
+
+// Sign in on another device, returning the client and its refresh token
+const signIn = async (email) => {
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+
+  const login = await client.post("/api/auth/login", {
+    email,
+    password: TEST_PASSWORD,
+  });
+  assert.equal(login.status, 200);
+  client.setAccessToken(login.body.token);
+  return { client, refreshToken: login.body.refresh_token };
+};
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("refresh tokens rotate and can't be replayed", async () => {
+  const email = `sessions${++userCount}@example.com`;
+  await signUp(app, email);
+  const { client, refreshToken } = await signIn(email);
+
+  const refreshed = await client.post("/api/auth/refresh", {
+    refresh_token: refreshToken,
+  });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refresh_token, refreshToken);
+
+  client.setAccessToken(refreshed.body.token);
+  assert.equal((await client.get("/api/auth/me")).status, 200);
+
+  // Replaying the rotated-out token revokes the whole session
+  const replayed = await client.post("/api/auth/refresh", {
+    refresh_token: refreshToken,
+  });
+  assert.equal(replayed.status, 401);
+  assert.equal(replayed.body.code, "INVALID_REFRESH_TOKEN");
+
+  const afterReplay = await client.post("/api/auth/refresh", {
+    refresh_token: refreshed.body.refresh_token,
+  });
+  assert.equal(afterReplay.status, 401);
+  assert.equal((await client.get("/api/auth/me")).status, 401);
+});
+
+test("a refresh token sent twice at once is treated as reuse", async (t) => {
+  const email = `sessions${++userCount}@example.com`;
+  await signUp(app, email);
+  const { client, refreshToken } = await signIn(email);
+
+  // Hold each refresh after it has looked up the session until both have
+  const query = db.query;
+  let lookups = 0;
+  let release;
+  const bothLookedUp = new Promise((resolve) => {
+    release = resolve;
+  });
+  t.mock.method(db, "query", async (sql, params) => {
+    const result = await query(sql, params);
+    if (sql.includes("WHERE s.refresh_token_hash = ?")) {
+      if (++lookups === 2) {
+        release();
+      }
+      await bothLookedUp;
+    }
+    return result;
+  });
+
+  const responses = await Promise.all(
+    [1, 2].map(() =>
+      client.post("/api/auth/refresh", { refresh_token: refreshToken })
+    )
+  );
+  assert.deepEqual(
+    responses.map((response) => response.status).sort(),
+    [200, 401]
+  );
+
+  // Neither copy of the token is left with a working session
+  const winner = responses.find((response) => response.status === 200);
+  const refreshed = await client.post("/api/auth/refresh", {
+    refresh_token: winner.body.refresh_token,
+  });
+  assert.equal(refreshed.status, 401);
+});
+
+test("sessions are listed per device and can be signed out", async () => {
+  const email = `sessions${++userCount}@example.com`;
+  const laptop = await signUp(app, email);
+  const phone = await signIn(email);
+  const tablet = await signIn(email);
+
+  const listed = await laptop.get("/api/auth/sessions");
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.sessions.length, 3);
+  assert.equal(
+    listed.body.sessions.filter((session) => session.current).length,
+    1
+  );
+
+  // Sign the phone out from the laptop
+  const phoneSession = (
+    await phone.client.get("/api/auth/sessions")
+  ).body.sessions.find((session) => session.current);
+  const revoked = await laptop.delete(`/api/auth/sessions/${phoneSession.id}`);
+  assert.equal(revoked.status, 200);
+  assert.equal((await phone.client.get("/api/auth/me")).status, 401);
+  assert.equal(
+    (
+      await phone.client.post("/api/auth/refresh", {
+        refresh_token: phone.refreshToken,
+      })
+    ).status,
+    401
+  );
+
+  // Sign out everywhere else, then log out of the laptop itself
+  assert.equal((await laptop.delete("/api/auth/sessions")).status, 200);
+  assert.equal((await tablet.client.get("/api/auth/me")).status, 401);
+  assert.equal((await laptop.get("/api/auth/me")).status, 200);
+
+  assert.equal((await laptop.post("/api/auth/logout")).status, 200);
+  assert.equal((await laptop.get("/api/auth/me")).status, 401);
+});
+
+test("resetting the password signs out every session", async () => {
+  const email = `sessions${++userCount}@example.com`;
+  const client = await signUp(app, email);
+  const other = await signIn(email);
+
+  await client.post("/api/auth/forgot-password", { email });
+  const [, token] = /reset-password\?token=([0-9a-f]+)/.exec(
+    lastMailTo(email).html
+  );
+
+  const reset = await client.post("/api/auth/reset-password", {
+    token,
+    password: "N3w-Battery-Staple!",
+  });
+  assert.equal(reset.status, 200);
+
+  assert.equal((await client.get("/api/auth/me")).status, 401);
+  assert.equal((await other.client.get("/api/auth/me")).status, 401);
+  assert.equal(
+    (
+      await other.client.post("/api/auth/refresh", {
+        refresh_token: other.refreshToken,
+      })
+    ).status,
+    401
+  );
+});
@@ -0,0 +1,158 @@
+process.env.PAYMENT_PROVIDER = "fake";
+
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { startApp, resetAttempts } = require("./support/harness");
+const { signUp } = require("./support/client");
+const fakeProvider = require("../services/payments/fakeProvider");
+const db = require("../config/database");
+
+let app;
+let userCount = 0;
+
+const newUser = async () => {
+  const client = await signUp(app, `subscriber${++userCount}@example.com`);
+  const me = await client.get("/api/auth/me");
+  return { client, userId: me.body.user.id };
+};
+
+// Deliver a webhook the way the provider does: raw JSON, signed
+const sendWebhook = (payload, signature) => {
+  const body = JSON.stringify(payload);
+  return request(app)
+    .post("/api/payments/webhook")
+    .set("Content-Type", "application/json")
+    .set("x-fake-signature", signature || fakeProvider.signPayload(body))
+    .send(body);
+};
+
+const chargeSuccess = (reference, userId) => ({
+  event: "charge.success",
+  data: {
+    reference,
+    status: "success",
+    amount: 49900,
+    currency: "ZAR",
+    metadata: { user_id: String(userId), plan: "annual" },
+    paid_at: new Date().toISOString(),
+  },
+});
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("a verified payment activates the subscription of the user who paid", async () => {
+  const { client, userId } = await newUser();
+  const reference = `fake_success_49900_user${userId}_paid`;
+
+  const response = await client.post("/api/users/subscription", {
+    reference,
+    plan: "annual",
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.equal(response.body.subscription.status, "subscriber");
+
+  // Replaying the same reference is a no-op
+  const replay = await client.post("/api/users/subscription", {
+    reference,
+    plan: "annual",
+  });
+  assert.equal(replay.status, 200);
+});
+
+test("a second payment extends the subscription from the end of the first", async () => {
+  const { client, userId } = await newUser();
+
+  for (const suffix of ["first", "second"]) {
+    const response = await client.post("/api/users/subscription", {
+      reference: `fake_success_49900_user${userId}_${suffix}`,
+      plan: "annual",
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+  }
+
+  const [subscriptions] = await db.query(
+    `SELECT start_date, end_date FROM subscriptions
+     WHERE user_id = ? ORDER BY id`,
+    [userId]
+  );
+  assert.equal(subscriptions.length, 2);
+  assert.equal(
+    new Date(subscriptions[1].start_date).getTime(),
+    new Date(subscriptions[0].end_date).getTime()
+  );
+
+  const status = await client.get("/api/users/subscription");
+  assert.equal(
+    new Date(status.body.subscription.endDate).getTime(),
+    new Date(subscriptions[1].end_date).getTime()
+  );
+});
+
+test("a user can't claim a payment made by someone else", async () => {
+  const payer = await newUser();
+  const other = await newUser();
+  const reference = `fake_success_49900_user${payer.userId}_unclaimed`;
+
+  const response = await other.client.post("/api/users/subscription", {
+    reference,
+    plan: "annual",
+  });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.code, "PAYMENT_NOT_OWNED");
+
+  const status = await other.client.get("/api/users/subscription");
+  assert.equal(status.body.subscription.isActive, false);
+
+  // The reference is still there for the user who paid
+  const claimed = await payer.client.post("/api/users/subscription", {
+    reference,
+    plan: "annual",
+  });
+  assert.equal(claimed.status, 200);
+});
+
+test("payments without a known payer are rejected", async () => {
+  const { client } = await newUser();
+
+  const response = await client.post("/api/users/subscription", {
+    reference: "fake_success_49900_anonymous",
+    plan: "annual",
+  });
+  assert.equal(response.status, 403);
+});
+
+test("webhooks with a bad signature are rejected", async () => {
+  const { client, userId } = await newUser();
+
+  const response = await sendWebhook(
+    chargeSuccess(`fake_success_49900_user${userId}_forged`, userId),
+    "0".repeat(128)
+  );
+  assert.equal(response.status, 401);
+
+  const status = await client.get("/api/users/subscription");
+  assert.equal(status.body.subscription.isActive, false);
+});
+
+test("a signed payment webhook activates the subscription once", async () => {
+  const { client, userId } = await newUser();
+  const payload = chargeSuccess(`webhook_${userId}`, userId);
+
+  const response = await sendWebhook(payload);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.received, true);
+
+  const status = await client.get("/api/users/subscription");
+  assert.equal(status.body.subscription.isActive, true);
+  const { endDate } = status.body.subscription;
+
+  // Providers retry deliveries; a replay doesn't extend the subscription
+  assert.equal((await sendWebhook(payload)).status, 200);
+  const replayed = await client.get("/api/users/subscription");
+  assert.equal(replayed.body.subscription.endDate, endDate);
+});
@@ -0,0 +1,116 @@
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { lastMailTo } = require("./harness");
+
+const TEST_PASSWORD = "Corr3ct-Horse!";
+
+// A browser-like session against the app: keeps the cookies it is given and
+// sends the CSRF token and access token the way the frontend does. Cookies
+// are kept by hand because the app scopes them to the "localhost" domain.
+const createClient = (app) => {
+  const cookies = new Map();
+  let csrfToken = null;
+  let accessToken = null;
+
+  const storeCookies = (response) => {
+    for (const header of response.headers["set-cookie"] || []) {
+      const [pair] = header.split(";");
+      const separator = pair.indexOf("=");
+      cookies.set(pair.slice(0, separator), pair.slice(separator + 1));
+    }
+  };
+
+  // `file` is a { buffer, filename, fields } multipart upload in the "file"
+  // field, sent along with the other form fields
+  const send = async (method, url, body, file) => {
+    const req = request(app)[method](url);
+    if (cookies.size > 0) {
+      req.set(
+        "Cookie",
+        [...cookies].map(([name, value]) => `${name}=${value}`).join("; ")
+      );
+    }
+    if (csrfToken) {
+      req.set("X-CSRF-Token", csrfToken);
+    }
+    if (accessToken) {
+      req.set("Authorization", `Bearer ${accessToken}`);
+    }
+    if (file) {
+      for (const [name, value] of Object.entries(file.fields || {})) {
+        req.field(name, String(value));
+      }
+      req.attach("file", file.buffer, file.filename);
+    } else if (body !== undefined) {
+      req.send(body);
+    }
+
+    const response = await req;
+    storeCookies(response);
+    return response;
+  };
+
+  return {
+    cookies,
+    fetchCsrfToken: async () => {
+      const response = await send("get", "/api/csrf-token");
+      assert.equal(response.status, 200);
+      csrfToken = response.body.csrfToken;
+      return csrfToken;
+    },
+    setCsrfToken: (token) => {
+      csrfToken = token;
+    },
+    setAccessToken: (token) => {
+      accessToken = token;
+    },
+    get: (url) => send("get", url),
+    post: (url, body) => send("post", url, body),
+    put: (url, body) => send("put", url, body),
+    patch: (url, body) => send("patch", url, body),
+    delete: (url) => send("delete", url),
+    upload: (url, buffer, filename, fields) =>
+      send("post", url, undefined, { buffer, filename, fields }),
+  };
+};
+
+// The token from the link in the last verification email sent to the address
+const verificationTokenFor = (email) => {
+  const mail = lastMailTo(email);
+  assert.ok(mail, `no email was sent to ${email}`);
+  const match = /verify-email\?token=([0-9a-f]+)/.exec(mail.html);
+  assert.ok(match, "verification email has no verification link");
+  return match[1];
+};
+
+// Register, verify and sign in a new user through the API
+const signUp = async (app, email) => {
+  const client = createClient(app);
+  await client.fetchCsrfToken();
+
+  const registration = await client.post("/api/auth/register", {
+    email,
+    password: TEST_PASSWORD,
+  });
+  assert.equal(registration.status, 201, JSON.stringify(registration.body));
+
+  await client.get(
+    `/api/auth/verify-email?token=${verificationTokenFor(email)}`
+  );
+
+  const login = await client.post("/api/auth/login", {
+    email,
+    password: TEST_PASSWORD,
+  });
+  assert.equal(login.status, 200, JSON.stringify(login.body));
+  client.setAccessToken(login.body.token);
+
+  return client;
+};
+
+module.exports = {
+  TEST_PASSWORD,
+  createClient,
+  verificationTokenFor,
+  signUp,
+};
@@ -0,0 +1,32 @@
+// Values for test records that must be unique, such as registration and ID
+// numbers. Records in the trash keep theirs, so tests never reuse one.
+let sequence = 0;
+
+const nextNumber = () => ++sequence;
+
+// Luhn check digit over a string of digits
+const luhnDigit = (digits) => {
+  let sum = 0;
+  [...digits].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  });
+  return String((10 - (sum % 10)) % 10);
+};
+
+// A valid South African ID number: born 1 January 1990, male, citizen
+const saIdNumber = (number = nextNumber()) => {
+  const digits = `900101${String(5000 + (number % 5000)).padStart(4, "0")}08`;
+  return digits + luhnDigit(digits);
+};
+
+module.exports = {
+  nextNumber,
+  saIdNumber,
+};
@@ -0,0 +1,67 @@
+// Boots the app against an in-process database for integration tests. Must
+// be required before anything else from the app so the environment below is
+// in place when modules read it; dotenv never overrides variables already set.
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.FRONTEND_URL = "http://frontend.test";
+process.env.REDIS_URL = "";
+
+const mysql = require("mysql2/promise");
+const { createStandIn } = require("./mysqlStandIn");
+
+// The password breach check calls an external API and lets the password
+// through when the request fails
+global.fetch = async () => {
+  throw new Error("Network access is disabled in tests");
+};
+
+// Mail sent by the app, newest last
+const sentMail = [];
+
+let started = null;
+
+// Create the database, run every migration and load the app. Each test file
+// runs in its own process, so it gets a fresh database.
+const startApp = () => {
+  if (!started) {
+    started = (async () => {
+      const standIn = await createStandIn();
+      mysql.createPool = () => standIn.pool;
+
+      const emailService = require("../../config/email");
+      emailService.sendMail = async (options) => {
+        sentMail.push(options);
+        return { messageId: `test-${sentMail.length}` };
+      };
+
+      const { migrate } = require("../../database/migrator");
+      const log = console.log;
+      console.log = () => {};
+      try {
+        await migrate();
+      } finally {
+        console.log = log;
+      }
+
+      return { app: require("../../app"), database: standIn.database };
+    })();
+  }
+  return started;
+};
+
+// Rate limits and login lockouts are kept in the attempt store; start each
+// test with an empty one
+const resetAttempts = () => {
+  const { MemoryStore, setStore } = require("../../services/attemptStore");
+  setStore(new MemoryStore());
+};
+
+const lastMailTo = (email) =>
+  [...sentMail].reverse().find((mail) => mail.to === email);
+
+module.exports = {
+  startApp,
+  resetAttempts,
+  sentMail,
+  lastMailTo,
+};
@@ -0,0 +1,428 @@
+const { Readable } = require("stream");
+const initSqlJs = require("sql.js");
+
+// In-process stand-in for the MySQL pool, backed by SQLite (sql.js). It
+// implements the parts of the mysql2/promise pool API the app uses and
+// translates the MySQL dialect used by the queries and migrations in this
+// repo. It is not a general MySQL emulator: new syntax in migrations or
+// queries may need a rule here.
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// mysql2 sends dates as local time and reads DATE/DATETIME columns back as
+// local Dates, so the stand-in stores them as local time strings
+const formatDateTime = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+    date.getSeconds()
+  )}`;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}):(\d{2}))?$/;
+
+const parseDateTime = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+};
+
+const UNIT_SECONDS = { SECOND: 1, MINUTE: 60, HOUR: 3600, DAY: 86400 };
+
+const addInterval = (value, amount, unit) => {
+  const date = parseDateTime(String(value));
+  if (!date) {
+    return null;
+  }
+  const upperUnit = unit.toUpperCase();
+  if (upperUnit === "MONTH") {
+    date.setMonth(date.getMonth() + amount);
+  } else if (upperUnit === "YEAR") {
+    date.setFullYear(date.getFullYear() + amount);
+  } else {
+    date.setSeconds(date.getSeconds() + amount * UNIT_SECONDS[upperUnit]);
+  }
+  // Like MySQL, whole-day intervals on a DATE give back a DATE
+  const result = formatDateTime(date);
+  const wholeDays = !["SECOND", "MINUTE", "HOUR"].includes(upperUnit);
+  return String(value).length === 10 && wholeDays
+    ? result.slice(0, 10)
+    : result;
+};
+
+const MYSQL_FUNCTIONS = {
+  NOW: () => formatDateTime(new Date()),
+  CURDATE: () => formatDateTime(new Date()).slice(0, 10),
+  DATEDIFF: (a, b) => {
+    if (a === null || b === null) {
+      return null;
+    }
+    const day = (value) => {
+      const date = parseDateTime(String(value).slice(0, 10));
+      return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    };
+    return Math.round((day(a) - day(b)) / 86400000);
+  },
+  // Only the specifiers the app uses
+  DATE_FORMAT: (value, format) => {
+    const date = value === null ? null : parseDateTime(String(value));
+    if (!date) {
+      return null;
+    }
+    const parts = {
+      Y: date.getFullYear(),
+      m: pad(date.getMonth() + 1),
+      d: pad(date.getDate()),
+      H: pad(date.getHours()),
+      i: pad(date.getMinutes()),
+      s: pad(date.getSeconds()),
+    };
+    return format.replace(/%([YmdHis])/g, (match, specifier) =>
+      String(parts[specifier])
+    );
+  },
+  DATE_ADD_UNIT: (value, amount, unit) =>
+    value === null ? null : addInterval(value, Number(amount), unit),
+  GET_LOCK: (name, timeout) => 1,
+  RELEASE_LOCK: (name) => 1,
+};
+
+// Split on commas that are not inside parentheses or quotes
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"' || char === "`") {
+      quote = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")") {
+      depth--;
+    } else if (char === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return parts;
+};
+
+// Index names are per table in MySQL but global in SQLite
+const indexName = (table, name) => `${table}__${name}`;
+
+const translateColumn = (definition) =>
+  definition
+    .replace(
+      /\bINT\s+AUTO_INCREMENT\s+PRIMARY\s+KEY\b/i,
+      "INTEGER PRIMARY KEY AUTOINCREMENT"
+    )
+    .replace(/\bENUM\s*\([^)]*\)/i, "TEXT")
+    .replace(/\s+ON\s+UPDATE\s+CURRENT_TIMESTAMP/i, "")
+    .replace(
+      /\bDEFAULT\s+CURRENT_TIMESTAMP\b/i,
+      "DEFAULT (datetime('now', 'localtime'))"
+    )
+    .replace(/\s+(AFTER\s+\w+|FIRST)\s*$/i, "");
+
+const translateCreateTable = (sql) => {
+  const match =
+    /^\s*CREATE\s+TABLE\s+(IF\s+NOT\s+EXISTS\s+)?(\w+)\s*\(([\s\S]*)\)\s*;?\s*$/i.exec(
+      sql
+    );
+  const [, ifNotExists = "", table, body] = match;
+  const definitions = [];
+  const indexes = [];
+
+  for (const definition of splitTopLevel(body)) {
+    const key = /^(UNIQUE\s+)?(?:KEY|INDEX)\s+(\w+)\s*\((.*)\)$/is.exec(
+      definition
+    );
+    if (key) {
+      // Named indexes, unique ones included, so migrations can drop them
+      const [, unique = "", name, columns] = key;
+      indexes.push(
+        `CREATE ${unique}INDEX IF NOT EXISTS ${indexName(
+          table,
+          name
+        )} ON ${table} (${columns})`
+      );
+    } else {
+      definitions.push(translateColumn(definition));
+    }
+  }
+
+  return [
+    `CREATE TABLE ${ifNotExists}${table} (${definitions.join(", ")})`,
+    ...indexes,
+  ];
+};
+
+const translateAlterTable = (sql) => {
+  const [, table, body] = /^\s*ALTER\s+TABLE\s+(\w+)\s+([\s\S]*?);?\s*$/i.exec(
+    sql
+  );
+
+  return splitTopLevel(body).flatMap((clause) => {
+    let match;
+    if ((match = /^ADD\s+COLUMN\s+([\s\S]+)$/i.exec(clause))) {
+      return [`ALTER TABLE ${table} ADD COLUMN ${translateColumn(match[1])}`];
+    }
+    if (
+      (match = /^ADD\s+(UNIQUE\s+)?(?:KEY|INDEX)\s+(\w+)\s*\((.*)\)$/is.exec(
+        clause
+      ))
+    ) {
+      const [, unique = "", name, columns] = match;
+      return [
+        `CREATE ${unique}INDEX ${indexName(
+          table,
+          name
+        )} ON ${table} (${columns})`,
+      ];
+    }
+    if ((match = /^DROP\s+(?:INDEX|KEY)\s+(\w+)$/i.exec(clause))) {
+      return [`DROP INDEX ${indexName(table, match[1])}`];
+    }
+    if ((match = /^DROP\s+COLUMN\s+(\w+)$/i.exec(clause))) {
+      return [`ALTER TABLE ${table} DROP COLUMN ${match[1]}`];
+    }
+    // SQLite can't add or drop foreign keys on an existing table
+    if (
+      /^ADD\s+(CONSTRAINT\s+\w+\s+)?FOREIGN\s+KEY/i.test(clause) ||
+      /^DROP\s+FOREIGN\s+KEY/i.test(clause)
+    ) {
+      return [];
+    }
+    throw new Error(`Unsupported ALTER TABLE clause in stand-in: ${clause}`);
+  });
+};
+
+const INTERVAL_AMOUNT = "(\\?|-?\\d+)";
+
+const translateQuery = (sql) =>
+  sql
+    .replace(/\bINSERT\s+IGNORE\b/gi, "INSERT OR IGNORE")
+    .replace(
+      new RegExp(
+        `DATE_(ADD|SUB)\\(([^,()]+(?:\\(\\))?),\\s*INTERVAL\\s+${INTERVAL_AMOUNT}\\s+(\\w+)\\)`,
+        "gi"
+      ),
+      (all, operation, value, amount, unit) =>
+        `DATE_ADD_UNIT(${value}, ${
+          operation.toUpperCase() === "SUB" ? "-" : ""
+        }(${amount}), '${unit}')`
+    )
+    .replace(
+      new RegExp(
+        `([\\w.]+(?:\\(\\))?)\\s*([+-])\\s*INTERVAL\\s+${INTERVAL_AMOUNT}\\s+(\\w+)`,
+        "gi"
+      ),
+      (all, value, sign, amount, unit) =>
+        `DATE_ADD_UNIT(${value}, ${
+          sign === "-" ? "-" : ""
+        }(${amount}), '${unit}')`
+    )
+    .replace(/\bLIKE\s+\?/gi, "LIKE ? ESCAPE '\\'")
+    .replace(/\bON\s+DUPLICATE\s+KEY\s+UPDATE\b/gi, "ON CONFLICT DO UPDATE SET")
+    .replace(/\bVALUES\((\w+)\)/gi, "excluded.$1")
+    .replace(/\s+FOR\s+UPDATE\s*$/i, "");
+
+const translate = (sql) => {
+  if (/^\s*CREATE\s+TABLE\b/i.test(sql)) {
+    return translateCreateTable(sql);
+  }
+  if (/^\s*ALTER\s+TABLE\b/i.test(sql)) {
+    return translateAlterTable(sql);
+  }
+  return [translateQuery(sql)];
+};
+
+const toSqliteValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return formatDateTime(value);
+  }
+  if (typeof value === "boolean") {
+    return value ? 1 : 0;
+  }
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return new Uint8Array(value);
+  }
+  return value;
+};
+
+// Expand mysql2-style placeholders: arrays become lists and nested arrays
+// become row lists, as in "IN (?)" and "VALUES ?"
+const expandPlaceholders = (sql, params) => {
+  const values = [];
+  let index = 0;
+  let quote = null;
+  let result = "";
+
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "?") {
+      const param = params[index++];
+      if (Array.isArray(param)) {
+        result += param
+          .map((item) => {
+            if (Array.isArray(item)) {
+              values.push(...item.map(toSqliteValue));
+              return `(${item.map(() => "?").join(", ")})`;
+            }
+            values.push(toSqliteValue(item));
+            return "?";
+          })
+          .join(", ");
+      } else {
+        values.push(toSqliteValue(param));
+        result += "?";
+      }
+      continue;
+    }
+    result += char;
+  }
+
+  return { sql: result, values };
+};
+
+const fromSqliteRow = (row) => {
+  for (const [key, value] of Object.entries(row)) {
+    if (typeof value === "string") {
+      const date = parseDateTime(value);
+      if (date) {
+        row[key] = date;
+      }
+    } else if (value instanceof Uint8Array) {
+      row[key] = Buffer.from(value);
+    }
+  }
+  return row;
+};
+
+// Errors carry the mysql2 codes the app checks for
+const toMysqlError = (error, sql) => {
+  const mysqlError = new Error(error.message);
+  if (/UNIQUE constraint failed/.test(error.message)) {
+    mysqlError.code = "ER_DUP_ENTRY";
+    mysqlError.errno = 1062;
+  } else if (/FOREIGN KEY constraint failed/.test(error.message)) {
+    mysqlError.code = "ER_NO_REFERENCED_ROW_2";
+    mysqlError.errno = 1452;
+  } else {
+    mysqlError.code = "ER_STAND_IN";
+  }
+  mysqlError.sql = sql;
+  return mysqlError;
+};
+
+const createStandIn = async () => {
+  const SQL = await initSqlJs();
+  const database = new SQL.Database();
+  database.run("PRAGMA foreign_keys = ON");
+
+  for (const [name, fn] of Object.entries(MYSQL_FUNCTIONS)) {
+    database.create_function(name, fn);
+  }
+
+  const runStatement = (sql, values) => {
+    const statement = database.prepare(sql);
+    try {
+      statement.bind(values);
+      if (statement.getColumnNames().length > 0) {
+        const rows = [];
+        while (statement.step()) {
+          rows.push(fromSqliteRow(statement.getAsObject()));
+        }
+        return [rows, []];
+      }
+
+      statement.step();
+      const affectedRows = database.getRowsModified();
+      const [[insertId]] = database.exec("SELECT last_insert_rowid()")[0]
+        .values;
+      return [
+        { affectedRows, changedRows: affectedRows, insertId, warningStatus: 0 },
+        undefined,
+      ];
+    } finally {
+      statement.free();
+    }
+  };
+
+  const query = async (sql, params = []) => {
+    const statements = translate(sql);
+    let result;
+    try {
+      for (const statement of statements) {
+        const expanded = expandPlaceholders(statement, params);
+        result = runStatement(expanded.sql, expanded.values);
+      }
+    } catch (error) {
+      throw toMysqlError(error, sql);
+    }
+    return result;
+  };
+
+  const connection = {
+    query,
+    execute: query,
+    beginTransaction: async () => database.run("BEGIN"),
+    commit: async () => database.run("COMMIT"),
+    rollback: async () => database.run("ROLLBACK"),
+    release: () => {},
+    on: () => {},
+  };
+
+  const pool = {
+    query,
+    execute: query,
+    getConnection: async () => connection,
+    end: async () => {},
+    on: () => {},
+    // The callback-style pool, used for streaming queries
+    pool: {
+      query: (sql, params) => ({
+        stream: () =>
+          Readable.from(
+            (async function* () {
+              const [rows] = await query(sql, params);
+              yield* rows;
+            })()
+          ),
+      }),
+      activeConnections: () => 0,
+      idleConnections: () => 1,
+      totalConnections: () => 1,
+    },
+  };
+
+  return { pool, query, database };
+};
+
+module.exports = {
+  createStandIn,
+};
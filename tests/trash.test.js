@@ -0,0 +1,158 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { purgeExpired } = require("../services/trashService");
+
+let app;
+let database;
+let userCount = 0;
+let registrationCount = 0;
+
+const newUser = () => signUp(app, `trash${++userCount}@example.com`);
+
+const newVehicle = () => ({
+  make: "Toyota",
+  model: "Hilux",
+  registration: `TRASH${++registrationCount}GP`,
+  expiryDate: "2030-01-31",
+});
+
+before(async () => {
+  ({ app, database } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("deleted records move to the trash and can be restored", async () => {
+  const owner = await newUser();
+  const created = await owner.post("/api/vehicles", newVehicle());
+  const id = created.body.vehicle.id;
+
+  assert.equal((await owner.delete(`/api/vehicles/${id}`)).status, 200);
+
+  assert.equal((await owner.get(`/api/vehicles/${id}`)).status, 404);
+  assert.equal((await owner.get("/api/vehicles")).body.total, 0);
+
+  const withDeleted = await owner.get("/api/vehicles?include_deleted=true");
+  assert.equal(withDeleted.body.total, 1);
+  assert.ok(withDeleted.body.vehicles[0].deleted_at);
+
+  const trash = await owner.get("/api/trash");
+  assert.equal(trash.status, 200);
+  assert.equal(trash.body.trash.length, 1);
+  assert.equal(trash.body.trash[0].type, "vehicle");
+  assert.equal(trash.body.trash[0].id, id);
+  assert.ok(trash.body.trash[0].purge_at);
+
+  const restored = await owner.post(`/api/vehicles/${id}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.record.deleted_at, null);
+  assert.equal((await owner.get(`/api/vehicles/${id}`)).status, 200);
+  assert.deepEqual((await owner.get("/api/trash")).body.trash, []);
+
+  // Only records in the trash can be restored
+  assert.equal((await owner.post(`/api/vehicles/${id}/restore`)).status, 404);
+});
+
+test("records in the trash can't be changed or restored by others", async () => {
+  const owner = await newUser();
+  const other = await newUser();
+  const created = await owner.post("/api/vehicles", newVehicle());
+  const id = created.body.vehicle.id;
+  await owner.delete(`/api/vehicles/${id}`);
+
+  assert.equal((await other.post(`/api/vehicles/${id}/restore`)).status, 404);
+  assert.deepEqual((await other.get("/api/trash")).body.trash, []);
+
+  const update = await owner.put(`/api/vehicles/${id}`, newVehicle());
+  assert.equal(update.status, 404);
+  assert.equal((await owner.delete(`/api/vehicles/${id}`)).status, 404);
+});
+
+test("re-adding a record that is in the trash offers to restore it", async () => {
+  const owner = await newUser();
+  const firearm = {
+    first_name: "Thabo",
+    last_name: "Nkosi",
+    make_model: "Glock 19",
+    caliber: "9mm",
+    registration_number: "FA-TRASH",
+    expiry_date: "2030-01-31",
+  };
+  const created = await owner.post("/api/firearms", firearm);
+  const id = created.body.firearm.id;
+  await owner.delete(`/api/firearms/${id}`);
+
+  const again = await owner.post("/api/firearms", firearm);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, "RECORD_IN_TRASH");
+  assert.equal(again.body.record_id, id);
+
+  // Someone else's record is just a duplicate
+  const other = await newUser();
+  const duplicate = await other.post("/api/firearms", firearm);
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.code, undefined);
+});
+
+test("the trash doesn't count towards the plan's record limit", async () => {
+  const owner = await newUser();
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    ids.push((await owner.post("/api/vehicles", newVehicle())).body.vehicle.id);
+  }
+  await owner.delete(`/api/vehicles/${ids[0]}`);
+
+  assert.equal((await owner.post("/api/vehicles", newVehicle())).status, 201);
+
+  // Restoring would go over the limit
+  const restore = await owner.post(`/api/vehicles/${ids[0]}/restore`);
+  assert.equal(restore.status, 403);
+  assert.equal(restore.body.code, "RECORD_LIMIT_REACHED");
+});
+
+test("records are purged once the retention period has passed", async () => {
+  const owner = await newUser();
+  const kept = (await owner.post("/api/vehicles", newVehicle())).body.vehicle
+    .id;
+  const expired = (await owner.post("/api/vehicles", newVehicle())).body.vehicle
+    .id;
+  await owner.delete(`/api/vehicles/${kept}`);
+  await owner.delete(`/api/vehicles/${expired}`);
+
+  database.run(
+    "UPDATE vehicles SET deleted_at = datetime('now', '-31 days') WHERE id = ?",
+    [expired]
+  );
+
+  const result = await purgeExpired();
+  assert.equal(result.purged, 1);
+
+  const trash = await owner.get("/api/trash");
+  assert.deepEqual(
+    trash.body.trash.map((record) => record.id),
+    [kept]
+  );
+  assert.equal(
+    (await owner.post(`/api/vehicles/${expired}/restore`)).status,
+    404
+  );
+
+  // History goes with the record; the audit log keeps the owner's changes
+  assert.equal(
+    (await owner.get(`/api/vehicles/${expired}/history`)).status,
+    404
+  );
+  const log = await owner.get(`/api/audit?record_id=${expired}`);
+  assert.deepEqual(
+    log.body.entries.map((entry) => entry.action),
+    ["delete", "create"]
+  );
+
+  const [[purges]] = database.exec(
+    `SELECT COUNT(*) FROM audit_log
+     WHERE record_id = ${expired} AND action = 'purge' AND actor_id IS NULL`
+  )[0].values;
+  assert.equal(purges, 1);
+});
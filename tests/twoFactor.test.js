@@ -0,0 +1,156 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { authenticator } = require("otplib");
+const { startApp, resetAttempts } = require("./support/harness");
+const { TEST_PASSWORD, signUp } = require("./support/client");
+const loginProtection = require("../services/loginProtection");
+const db = require("../config/database");
+
+let app;
+let userCount = 0;
+
+// Sign up a user with two-factor authentication switched on
+const newUser = async () => {
+  const email = `two.factor${++userCount}@example.com`;
+  const client = await signUp(app, email);
+
+  const setup = await client.post("/api/auth/2fa/setup");
+  assert.equal(setup.status, 200);
+
+  const confirm = await client.post("/api/auth/2fa/confirm", {
+    code: authenticator.generate(setup.body.secret),
+  });
+  assert.equal(confirm.status, 200, JSON.stringify(confirm.body));
+
+  return {
+    client,
+    email,
+    secret: setup.body.secret,
+    recoveryCodes: confirm.body.recovery_codes,
+  };
+};
+
+const challenge = async (client, email) => {
+  const login = await client.post("/api/auth/login", {
+    email,
+    password: TEST_PASSWORD,
+  });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.two_factor_required, true);
+  assert.equal(login.body.token, undefined);
+  return login.body.challenge_token;
+};
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("two-factor logins need a code after the password", async () => {
+  const { client, email, recoveryCodes } = await newUser();
+  const challengeToken = await challenge(client, email);
+
+  const login = await client.post("/api/auth/login/2fa", {
+    challenge_token: challengeToken,
+    recovery_code: recoveryCodes[0],
+  });
+  assert.equal(login.status, 200, JSON.stringify(login.body));
+  assert.ok(login.body.token);
+
+  // The challenge token is an unusable access token
+  client.setAccessToken(challengeToken);
+  assert.equal((await client.get("/api/auth/me")).status, 401);
+});
+
+test("a login challenge can only be used once", async () => {
+  const { client, email, recoveryCodes } = await newUser();
+  const challengeToken = await challenge(client, email);
+
+  const wrong = await client.post("/api/auth/login/2fa", {
+    challenge_token: challengeToken,
+    code: "000000",
+  });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.code, "INVALID_2FA_CODE");
+
+  const retry = await client.post("/api/auth/login/2fa", {
+    challenge_token: challengeToken,
+    recovery_code: recoveryCodes[0],
+  });
+  assert.equal(retry.status, 401);
+  assert.equal(retry.body.code, "INVALID_2FA_CHALLENGE");
+});
+
+test("a code can't be used by two logins at once", async (t) => {
+  const { client, email, secret } = await newUser();
+  const challengeTokens = [
+    await challenge(client, email),
+    await challenge(client, email),
+  ];
+
+  // The code for the next time step, as the current one went on enrolment
+  const code = authenticator
+    .clone({ epoch: Date.now() + 30 * 1000 })
+    .generate(secret);
+
+  // Hold each login after it has loaded the user until both have
+  const query = db.query;
+  let lookups = 0;
+  let release;
+  const bothLoaded = new Promise((resolve) => {
+    release = resolve;
+  });
+  t.mock.method(db, "query", async (sql, params) => {
+    const result = await query(sql, params);
+    if (sql === "SELECT * FROM users WHERE id = ?") {
+      if (++lookups === 2) {
+        release();
+      }
+      await bothLoaded;
+    }
+    return result;
+  });
+
+  const responses = await Promise.all(
+    challengeTokens.map((challengeToken) =>
+      client.post("/api/auth/login/2fa", {
+        challenge_token: challengeToken,
+        code,
+      })
+    )
+  );
+  assert.deepEqual(
+    responses.map((response) => response.status).sort(),
+    [200, 401]
+  );
+});
+
+test("wrong two-factor codes lock the account", async () => {
+  const { client, email } = await newUser();
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const wrong = await client.post("/api/auth/login/2fa", {
+      challenge_token: await challenge(client, email),
+      code: "000000",
+    });
+    assert.equal(wrong.status, 401);
+  }
+  assert.ok(await loginProtection.getLock("account", email));
+});
+
+test("a challenge issued before a lockout can't be used during it", async () => {
+  const { client, email, recoveryCodes } = await newUser();
+  const challengeToken = await challenge(client, email);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    await loginProtection.recordFailure({ email });
+  }
+
+  const login = await client.post("/api/auth/login/2fa", {
+    challenge_token: challengeToken,
+    recovery_code: recoveryCodes[0],
+  });
+  assert.equal(login.status, 429);
+  assert.equal(login.body.code, "LOGIN_LOCKED");
+});
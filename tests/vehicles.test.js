@@ -0,0 +1,225 @@
+const { test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, resetAttempts } = require("./support/harness");
+const { signUp } = require("./support/client");
+const { nextNumber } = require("./support/fixtures");
+
+let app;
+let userCount = 0;
+
+const newUser = () => signUp(app, `vehicles${++userCount}@example.com`);
+
+// The decoded barcode text of a licence disc
+const discText = ({
+  registration,
+  vin = "AHTFZ29G509012345",
+  colour = "White / Wit",
+  expiryDate = "2031-06-30",
+}) =>
+  [
+    "",
+    "MVL1CC09",
+    "0142",
+    "4024A00C",
+    "1",
+    "40240251WDGZ",
+    registration,
+    "DKD123X",
+    "Hatch back / Luikrug",
+    "VOLKSWAGEN",
+    "POLO",
+    colour,
+    vin,
+    "CJZ123456",
+    expiryDate,
+    "",
+  ].join("%");
+
+before(async () => {
+  ({ app } = await startApp());
+});
+
+beforeEach(resetAttempts);
+
+test("registration numbers match without spaces, dashes or case", async () => {
+  const owner = await newUser();
+  const number = nextNumber();
+
+  const created = await owner.post("/api/vehicles", {
+    make: "Toyota",
+    model: "Hilux",
+    registration: `CA ${number}-GP`,
+    expiryDate: "2030-01-31",
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+
+  const duplicate = await owner.post("/api/vehicles", {
+    make: "Toyota",
+    model: "Hilux",
+    registration: `ca${number}gp`,
+    expiryDate: "2030-01-31",
+  });
+  assert.equal(duplicate.status, 409);
+  assert.match(duplicate.body.message, /registration number/);
+});
+
+test("VINs are validated and unique", async () => {
+  const owner = await newUser();
+  const vehicle = {
+    make: "Ford",
+    model: "Ranger",
+    registration: `VIN${nextNumber()}GP`,
+    expiryDate: "2030-01-31",
+  };
+
+  const tooShort = await owner.post("/api/vehicles", {
+    ...vehicle,
+    vin: "1M8GDM9AXKP0427",
+  });
+  assert.equal(tooShort.status, 400);
+  assert.equal(tooShort.body.field, "vin");
+
+  // North American VINs carry a check digit
+  const badCheckDigit = await owner.post("/api/vehicles", {
+    ...vehicle,
+    vin: "1M8GDM9A1KP042788",
+  });
+  assert.equal(badCheckDigit.status, 400);
+  assert.match(badCheckDigit.body.message, /check digit/);
+
+  const created = await owner.post("/api/vehicles", {
+    ...vehicle,
+    vin: "1m8gdm9axkp042788",
+    engineNumber: "ENG-001",
+    colour: "Blue",
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.equal(created.body.vehicle.vin, "1M8GDM9AXKP042788");
+
+  const fetched = await owner.get(`/api/vehicles/${created.body.vehicle.id}`);
+  assert.equal(fetched.body.vehicle.engine_number, "ENG-001");
+  assert.equal(fetched.body.vehicle.colour, "Blue");
+
+  const sameVin = await owner.post("/api/vehicles", {
+    ...vehicle,
+    registration: `VIN${nextNumber()}GP`,
+    vin: "1M8GDM9AXKP042788",
+  });
+  assert.equal(sameVin.status, 409);
+  assert.match(sameVin.body.message, /VIN/);
+});
+
+test("scanning a licence disc adds the vehicle, then updates it", async () => {
+  const owner = await newUser();
+  const registration = `DISC${nextNumber()}GP`;
+
+  const created = await owner.post("/api/vehicles/from-disc", {
+    data: discText({ registration }),
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.equal(created.body.vehicle.registration, registration);
+  assert.equal(created.body.vehicle.make, "VOLKSWAGEN");
+  assert.equal(created.body.vehicle.vehicle_category, "Hatch back");
+  assert.equal(created.body.vehicle.colour, "White");
+  assert.equal(created.body.vehicle.license_number, "40240251WDGZ");
+
+  // The next year's disc renews the same vehicle
+  const renewed = await owner.post("/api/vehicles/from-disc", {
+    data: discText({
+      registration: registration.replace("GP", " GP"),
+      colour: "Silver / Silwer",
+      expiryDate: "2032-06-30",
+    }),
+  });
+  assert.equal(renewed.status, 200, JSON.stringify(renewed.body));
+  assert.equal(renewed.body.vehicle.id, created.body.vehicle.id);
+  assert.equal(renewed.body.vehicle.colour, "Silver");
+  assert.equal((await owner.get("/api/vehicles")).body.total, 1);
+
+  // Someone else can't claim the vehicle
+  const other = await newUser();
+  const claimed = await other.post("/api/vehicles/from-disc", {
+    data: discText({ registration }),
+  });
+  assert.equal(claimed.status, 409);
+});
+
+test("text that isn't a licence disc is rejected", async () => {
+  const owner = await newUser();
+
+  const response = await owner.post("/api/vehicles/from-disc", {
+    data: "not a disc",
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.field, "data");
+  assert.equal((await owner.get("/api/vehicles")).body.total, 0);
+});
+
+test("CSV imports match registration numbers the same way", async () => {
+  const owner = await newUser();
+  const number = nextNumber();
+  await owner.post("/api/vehicles", {
+    make: "Toyota",
+    model: "Hilux",
+    registration: `CSV${number}GP`,
+    expiryDate: "2030-01-31",
+  });
+
+  const csv = [
+    "make,model,registration,expiry_date,vin",
+    `Toyota,Hilux,CSV ${number} GP,2030-01-31,`,
+    `Nissan,NP200,CSV ${number + 1}-GP,2030-01-31,AHTFZ29G509012345`,
+  ].join("\n");
+  const response = await owner.upload(
+    "/api/vehicles/import",
+    Buffer.from(csv),
+    "vehicles.csv"
+  );
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+  assert.equal(response.body.imported, 1);
+  assert.deepEqual(
+    response.body.errors.map((error) => [error.row, error.message]),
+    [[2, "registration already exists"]]
+  );
+
+  const list = await owner.get("/api/vehicles?q=NP200");
+  assert.equal(list.body.vehicles[0].vin, "AHTFZ29G509012345");
+});
+
+test("lists page with cursors and reject malformed ones", async () => {
+  const owner = await newUser();
+  for (const expiryDate of ["2030-01-31", "2030-02-28", "2030-03-31"]) {
+    await owner.post("/api/vehicles", {
+      make: "Toyota",
+      model: "Hilux",
+      registration: `CUR${nextNumber()}GP`,
+      expiryDate,
+    });
+  }
+
+  const first = await owner.get(
+    "/api/vehicles?sort=expiry_date&order=asc&limit=2"
+  );
+  assert.equal(first.body.vehicles.length, 2);
+  assert.ok(first.body.next_cursor);
+
+  const second = await owner.get(
+    `/api/vehicles?sort=expiry_date&order=asc&limit=2&after=${first.body.next_cursor}`
+  );
+  assert.equal(second.status, 200, JSON.stringify(second.body));
+  assert.equal(second.body.vehicles.length, 1);
+  assert.match(String(second.body.vehicles[0].expiry_date), /^2030-03-3/);
+
+  const cursor = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  for (const malformed of [
+    cursor({ v: { $gt: "" }, id: 1 }),
+    cursor({ v: "2030-01-31", id: "1 OR 1=1" }),
+    cursor({ v: null, id: 1 }),
+    cursor({ v: "not a date", d: true, id: 1 }),
+    "not-json",
+  ]) {
+    const response = await owner.get(`/api/vehicles?after=${malformed}`);
+    assert.equal(response.status, 400, malformed);
+  }
+});
@@ -0,0 +1,307 @@
+const multer = require("multer");
+const { parse } = require("csv-parse/sync");
+const db = require("../config/database");
+const { countRecords } = require("../services/subscriptionService");
+const {
+  getSnapshot,
+  buildEntry,
+  appendEntries,
+} = require("../services/auditService");
+
+// Bulk CSV import for the licence routers. Each router describes its table:
+// - type: licence category key from config/licenseTypes.js, for the audit log
+// - table: table the rows are inserted into
+// - columns: columns read from the CSV, in insert order
+// - requiredColumns: columns every row must have
+// - dateColumns: columns that must hold YYYY-MM-DD dates
+// - computedColumns: { column: (record) => value } for columns derived from
+//   the CSV columns rather than read from the file (optional)
+// - uniqueColumn: column whose value may not exist yet (optional)
+// - uniqueLabel: how uniqueColumn is named in errors (optional)
+// - validate(record): extra checks, returns an error message or null
+// - normalize(record): adjusts a valid record before insert (optional)
+// Headers are matched loosely, so "Expiry Date", "expiryDate" and
+// "expiry_date" all map to the expiry_date column.
+// Rows are added to the organisation resolved by resolveRecordOrganisation,
+// which runs after the upload so it can read organisation_id from the form.
+
+const MAX_FILE_BYTES = 1024 * 1024; // 1MB
+const MAX_ROWS = 1000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    cb(null, file.mimetype === "text/csv" || /\.csv$/i.test(file.originalname));
+  },
+});
+
+// Accepts a single CSV file in the "file" field of a multipart upload
+const csvUpload = (req, res, next) => {
+  upload.single("file")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return error.code === "LIMIT_FILE_SIZE"
+        ? res.status(413).json({ message: "CSV file must be at most 1MB" })
+        : res.status(400).json({ message: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'A CSV file is required in the "file" field',
+      });
+    }
+    next();
+  });
+};
+
+const normalizeHeader = (header) =>
+  header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const isValidDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+const formatColumn = (column) => column.replace(/_/g, " ");
+
+// Parse the upload into { line, record } pairs keyed by column name
+const parseCsv = (buffer, columns) => {
+  const headerMap = new Map(
+    columns.map((column) => [normalizeHeader(column), column])
+  );
+
+  return parse(buffer, {
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    info: true,
+    columns: (headers) =>
+      headers.map(
+        (header) => headerMap.get(normalizeHeader(header)) || `_${header}`
+      ),
+  }).map(({ info, record }) => ({
+    line: info.lines,
+    record: Object.fromEntries(
+      columns.map((column) => [column, record[column] || null])
+    ),
+    headers: Object.keys(record),
+  }));
+};
+
+// The record with options.computedColumns filled in
+const withComputedColumns = (options, record) => ({
+  ...record,
+  ...Object.fromEntries(
+    Object.entries(options.computedColumns || {}).map(([column, compute]) => [
+      column,
+      compute(record),
+    ])
+  ),
+});
+
+// Per-row validation. Resolves to the rows with their errors.
+const validateRows = async (options, rows) => {
+  const { table, requiredColumns, dateColumns = [], uniqueColumn } = options;
+  const uniqueLabel = options.uniqueLabel || formatColumn(uniqueColumn || "");
+  const seen = new Map();
+
+  const results = rows.map(({ line, record }) => {
+    const errors = [];
+
+    for (const column of requiredColumns) {
+      if (!record[column]) {
+        errors.push({ column, message: `${formatColumn(column)} is required` });
+      }
+    }
+
+    for (const column of dateColumns) {
+      if (record[column] && !isValidDate(record[column])) {
+        errors.push({
+          column,
+          message: `${formatColumn(column)} must be a valid date (YYYY-MM-DD)`,
+        });
+      }
+    }
+
+    // Extra checks only run once the basic checks pass
+    const validationError =
+      errors.length === 0 && options.validate ? options.validate(record) : null;
+    if (validationError) {
+      errors.push({ message: validationError });
+    }
+
+    if (uniqueColumn && record[uniqueColumn]) {
+      const value = record[uniqueColumn];
+      if (seen.has(value)) {
+        errors.push({
+          column: uniqueColumn,
+          message: `Duplicate ${uniqueLabel} (also on row ${seen.get(value)})`,
+        });
+      } else {
+        seen.set(value, line);
+      }
+    }
+
+    return { line, record, errors };
+  });
+
+  if (uniqueColumn && seen.size > 0) {
+    const [existing] = await db.query(
+      `SELECT ${uniqueColumn} FROM ${table} WHERE ${uniqueColumn} IN (?)`,
+      [[...seen.keys()]]
+    );
+    const existingValues = new Set(existing.map((row) => row[uniqueColumn]));
+
+    for (const result of results) {
+      if (existingValues.has(result.record[uniqueColumn])) {
+        result.errors.push({
+          column: uniqueColumn,
+          message: `${uniqueLabel} already exists`,
+        });
+      }
+    }
+  }
+
+  return results;
+};
+
+// Insert all valid rows in one transaction, so either all or none are added.
+// Their audit entries are written in the same transaction.
+const insertRows = (options, req, records) =>
+  db.withTransaction(async (connection) => {
+    const { type, table } = options;
+    const columns = [
+      ...options.columns,
+      ...Object.keys(options.computedColumns || {}),
+    ];
+    const entries = [];
+
+    for (const record of records) {
+      const [result] = await connection.query(
+        `INSERT INTO ${table} (user_id, organisation_id, ${columns.join(", ")})
+         VALUES (?, ?, ${columns.map(() => "?").join(", ")})`,
+        [
+          req.user.userId,
+          req.organisationId,
+          ...columns.map((column) => record[column]),
+        ]
+      );
+
+      entries.push(
+        buildEntry(req, {
+          type,
+          action: "create",
+          after: await getSnapshot(type, result.insertId, connection),
+        })
+      );
+    }
+
+    await appendEntries(connection, entries);
+  });
+
+// Route handler for POST /import. With dry_run=true the file is only
+// validated; otherwise the valid rows are imported and invalid rows reported.
+const importCsv = (options) => async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const dryRun = ["true", "1"].includes(
+      String(req.query.dry_run || req.body.dry_run)
+    );
+
+    let rows;
+    try {
+      rows = parseCsv(req.file.buffer, options.columns).map((row) => ({
+        ...row,
+        record: withComputedColumns(options, row.record),
+      }));
+    } catch (error) {
+      return res.status(400).json({ message: `Invalid CSV: ${error.message}` });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: "CSV file has no rows" });
+    }
+    if (rows.length > MAX_ROWS) {
+      return res.status(400).json({
+        message: `CSV file can have at most ${MAX_ROWS} rows`,
+      });
+    }
+
+    const missingColumns = options.requiredColumns.filter(
+      (column) => !rows[0].headers.includes(column)
+    );
+    if (missingColumns.length > 0) {
+      return res.status(400).json({
+        message: `Missing columns: ${missingColumns.join(", ")}`,
+      });
+    }
+
+    const results = await validateRows(options, rows);
+    const valid = results.filter((result) => result.errors.length === 0);
+    const errors = results.flatMap(({ line, errors }) =>
+      errors.map((error) => ({ row: line, ...error }))
+    );
+
+    // The whole import has to fit within the plan's record limit
+    if (req.plan && req.plan.max_records !== null) {
+      const total = await countRecords(userId);
+      if (total + valid.length > req.plan.max_records) {
+        return res.status(403).json({
+          message: `Your plan allows up to ${req.plan.max_records} records and you have ${total}. Please upgrade to import ${valid.length} more.`,
+          code: "RECORD_LIMIT_REACHED",
+        });
+      }
+    }
+
+    const summary = {
+      dry_run: dryRun,
+      total_rows: results.length,
+      valid_rows: valid.length,
+      errors,
+    };
+
+    if (dryRun) {
+      return res.json({ ...summary, imported: 0 });
+    }
+
+    if (valid.length === 0) {
+      return res.status(400).json({
+        message: "No valid rows to import",
+        ...summary,
+        imported: 0,
+      });
+    }
+
+    await insertRows(
+      options,
+      req,
+      valid.map(({ record }) =>
+        options.normalize ? options.normalize(record) : record
+      )
+    );
+
+    res.status(201).json({
+      message: `Imported ${valid.length} of ${results.length} rows`,
+      ...summary,
+      imported: valid.length,
+    });
+  } catch (error) {
+    // Rows added by another request since validation roll the import back
+    if (error.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({
+        message: "Some records already exist. Please validate and try again.",
+      });
+    }
+
+    console.error(`Import ${options.table} error:`, error);
+    res.status(500).json({
+      message: "Failed to import CSV",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  csvUpload,
+  importCsv,
+};
@@ -0,0 +1,139 @@
+const firearmLicenseTypes = require("../config/firearmLicenseTypes");
+
+// Validity rules of the firearm licence categories in
+// config/firearmLicenseTypes.js. Firearms added before licence types were
+// recorded have none and are counted down to their expiry date as before.
+
+const FIREARM_LICENSE_TYPES = Object.keys(firearmLicenseTypes);
+
+const pad = (number) => String(number).padStart(2, "0");
+
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// DATE columns come back as Dates, request bodies hold YYYY-MM-DD strings
+const toDate = (value) =>
+  value instanceof Date
+    ? new Date(value.getFullYear(), value.getMonth(), value.getDate())
+    : new Date(`${value}T00:00:00`);
+
+const isValidDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(toDate(value).getTime());
+
+// The latest expiry date a licence of the type issued on `issueDate` can have
+const getExpectedExpiry = (licenseType, issueDate) => {
+  const date = toDate(issueDate);
+  date.setFullYear(
+    date.getFullYear() + firearmLicenseTypes[licenseType].validityYears
+  );
+  return toDateKey(date);
+};
+
+// The last day to lodge the renewal application, or the expiry date itself
+// for firearms without a licence type
+const getRenewalDeadline = (licenseType, expiryDate) => {
+  if (!expiryDate) {
+    return null;
+  }
+
+  const date = toDate(expiryDate);
+  if (firearmLicenseTypes[licenseType]) {
+    date.setDate(
+      date.getDate() - firearmLicenseTypes[licenseType].renewalLeadDays
+    );
+  }
+  return toDateKey(date);
+};
+
+// The same deadline as a SQL expression over the firearms columns
+const renewalDeadlineSql = () => {
+  const typesByLeadDays = new Map();
+  for (const [type, { renewalLeadDays }] of Object.entries(
+    firearmLicenseTypes
+  )) {
+    typesByLeadDays.set(renewalLeadDays, [
+      ...(typesByLeadDays.get(renewalLeadDays) || []),
+      type,
+    ]);
+  }
+
+  return `(CASE
+    ${[...typesByLeadDays]
+      .map(
+        ([leadDays, types]) =>
+          `WHEN license_type IN (${types
+            .map((type) => `'${type}'`)
+            .join(", ")}) THEN expiry_date - INTERVAL ${leadDays} DAY`
+      )
+      .join("\n    ")}
+    ELSE expiry_date
+  END)`;
+};
+
+// Check the licence type, issue date and expiry date of a firearm. Without
+// an expiry date it is worked out from the type and issue date. Resolves to
+// { error: { message, field } } or { expiryDate }.
+const resolveFirearmLicense = ({ licenseType, issueDate, expiryDate }) => {
+  if (licenseType && !firearmLicenseTypes[licenseType]) {
+    return {
+      error: {
+        message: `license type must be one of: ${FIREARM_LICENSE_TYPES.join(
+          ", "
+        )}`,
+        field: "license_type",
+      },
+    };
+  }
+  if (issueDate && !isValidDate(issueDate)) {
+    return {
+      error: {
+        message: "issue date must be a valid date (YYYY-MM-DD)",
+        field: "issue_date",
+      },
+    };
+  }
+  if (expiryDate && !isValidDate(expiryDate)) {
+    return {
+      error: {
+        message: "expiry date must be a valid date (YYYY-MM-DD)",
+        field: "expiry_date",
+      },
+    };
+  }
+
+  if (!licenseType || !issueDate) {
+    return { expiryDate };
+  }
+
+  const expectedExpiry = getExpectedExpiry(licenseType, issueDate);
+  if (!expiryDate) {
+    return { expiryDate: expectedExpiry };
+  }
+
+  if (expiryDate <= issueDate) {
+    return {
+      error: {
+        message: "expiry date must be after the issue date",
+        field: "expiry_date",
+      },
+    };
+  }
+  if (expiryDate > expectedExpiry) {
+    return {
+      error: {
+        message: `A ${firearmLicenseTypes[licenseType].label} license is valid for ${firearmLicenseTypes[licenseType].validityYears} years, so it can't expire after ${expectedExpiry}`,
+        field: "expiry_date",
+      },
+    };
+  }
+
+  return { expiryDate };
+};
+
+module.exports = {
+  FIREARM_LICENSE_TYPES,
+  getExpectedExpiry,
+  getRenewalDeadline,
+  renewalDeadlineSql,
+  resolveFirearmLicense,
+};
@@ -0,0 +1,219 @@
+const { query } = require("express-validator");
+const db = require("../config/database");
+const licenseTypes = require("../config/licenseTypes");
+const {
+  LICENSE_STATUSES,
+  getStatusCondition,
+  getDeadlineSql,
+} = require("../services/licenseService");
+const { pendingRenewalSql } = require("../services/renewalService");
+const { recordAccessSql } = require("../services/organisationService");
+
+// Shared search, filtering, sorting and cursor pagination for the licence
+// list endpoints. Query parameters:
+// - q: text search over the router's search columns
+// - expires_before / expires_after: expiry date bounds (exclusive)
+// - status: valid, expiring, expired or renewal_pending
+// - sort / order: a whitelisted column, asc or desc
+// - limit: page size
+// - after: the next_cursor of the previous page
+// - include_deleted: also list records in the trash
+// - organisation_id: only the user's personal records ("personal") or those
+//   of one of their organisations
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Cursors hold the sort value and id of the last row of a page. Dates are
+// flagged so they are compared as dates again when the cursor comes back.
+const encodeCursor = (row, sort) => {
+  const value = row[sort];
+  return Buffer.from(
+    JSON.stringify({
+      v: value instanceof Date ? value.toISOString() : value,
+      d: value instanceof Date,
+      id: row.id,
+    })
+  ).toString("base64url");
+};
+
+// Cursors come back from the client, so anything but the shape encodeCursor
+// produces is rejected before it reaches the query
+const decodeCursor = (cursor) => {
+  const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  if (
+    !decoded ||
+    typeof decoded !== "object" ||
+    !Number.isInteger(decoded.id) ||
+    !(
+      typeof decoded.v === "string" ||
+      (typeof decoded.v === "number" && Number.isFinite(decoded.v))
+    )
+  ) {
+    throw new Error("Invalid cursor");
+  }
+
+  const value = decoded.d ? new Date(decoded.v) : decoded.v;
+  if (value instanceof Date && Number.isNaN(value.getTime())) {
+    throw new Error("Invalid cursor");
+  }
+  return { value, id: decoded.id };
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+// express-validator chains for the list query parameters
+const listQueryValidation = (sortableColumns) => [
+  query("q")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search must be at most 100 characters"),
+  query(["expires_before", "expires_after"])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage("Expiry dates must be valid dates (YYYY-MM-DD)"),
+  query("status")
+    .optional()
+    .isIn(LICENSE_STATUSES)
+    .withMessage(`Status must be one of: ${LICENSE_STATUSES.join(", ")}`),
+  query("sort")
+    .optional()
+    .isIn(sortableColumns)
+    .withMessage(`Sort must be one of: ${sortableColumns.join(", ")}`),
+  query("order")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("Order must be asc or desc"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+    .toInt(),
+  query("after")
+    .optional()
+    .custom((cursor) => decodeCursor(cursor))
+    .withMessage("Invalid cursor"),
+  query("include_deleted")
+    .optional()
+    .isBoolean()
+    .withMessage("Include deleted must be true or false")
+    .toBoolean(),
+  query("organisation_id")
+    .optional()
+    .matches(/^(personal|\d+)$/)
+    .withMessage("Organisation must be personal or an organisation id"),
+];
+
+// Fetch one page of the records the user can see (their own and their
+// organisations'), each flagged with whether a renewal is pending and, for
+// types with one, with its renewal deadline. Sort and search columns come
+// from the router, never from the request, so they are safe to interpolate.
+const findList = async ({
+  type,
+  table,
+  columns,
+  searchColumns,
+  sortableColumns,
+  defaultSort = "created_at",
+  userId,
+  params = {},
+}) => {
+  const access = recordAccessSql(userId);
+  const conditions = [access.sql];
+  const values = [...access.params];
+
+  if (!params.include_deleted) {
+    conditions.push("deleted_at IS NULL");
+  }
+
+  if (params.organisation_id === "personal") {
+    conditions.push("organisation_id IS NULL");
+  } else if (params.organisation_id) {
+    conditions.push("organisation_id = ?");
+    values.push(params.organisation_id);
+  }
+
+  if (params.q) {
+    const pattern = `%${escapeLike(params.q)}%`;
+    conditions.push(
+      `(${searchColumns.map((column) => `${column} LIKE ?`).join(" OR ")})`
+    );
+    values.push(...searchColumns.map(() => pattern));
+  }
+  if (params.expires_before) {
+    conditions.push("expiry_date < ?");
+    values.push(params.expires_before);
+  }
+  if (params.expires_after) {
+    conditions.push("expiry_date > ?");
+    values.push(params.expires_after);
+  }
+  if (params.status) {
+    const status = getStatusCondition(params.status, type);
+    conditions.push(status.sql);
+    values.push(...status.params);
+  }
+
+  const [counts] = await db.query(
+    `SELECT COUNT(*) AS total FROM ${table} WHERE ${conditions.join(" AND ")}`,
+    values
+  );
+
+  const sort = sortableColumns.includes(params.sort)
+    ? params.sort
+    : defaultSort;
+  const descending = (params.order || "desc") === "desc";
+  const limit = params.limit || DEFAULT_LIMIT;
+
+  // Keyset pagination on (sort column, id) so pages stay stable while rows
+  // are added
+  const pageConditions = [...conditions];
+  const pageValues = [...values];
+  if (params.after) {
+    const cursor = decodeCursor(params.after);
+    const operator = descending ? "<" : ">";
+    pageConditions.push(
+      `(${sort} ${operator} ? OR (${sort} = ? AND id ${operator} ?))`
+    );
+    pageValues.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  const direction = descending ? "DESC" : "ASC";
+  const selected = [
+    ...columns,
+    "organisation_id",
+    ...(params.include_deleted ? ["deleted_at"] : []),
+    `${pendingRenewalSql(type)} AS renewal_pending`,
+    ...(licenseTypes[type].deadlineSql
+      ? [`${getDeadlineSql(type)} AS renewal_deadline`]
+      : []),
+  ];
+  const [rows] = await db.query(
+    `SELECT ${selected.join(", ")}
+     FROM ${table}
+     WHERE ${pageConditions.join(" AND ")}
+     ORDER BY ${sort} ${direction}, id ${direction}
+     LIMIT ?`,
+    [...pageValues, limit + 1]
+  );
+
+  // One extra row is fetched to know whether there is a next page
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    rows: page.map((row) => ({
+      ...row,
+      renewal_pending: Boolean(Number(row.renewal_pending)),
+    })),
+    total: Number(counts[0].total),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
+  };
+};
+
+module.exports = {
+  listQueryValidation,
+  findList,
+};
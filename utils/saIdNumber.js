@@ -0,0 +1,120 @@
+// South African ID numbers are 13 digits, YYMMDD SSSS C A Z:
+// - YYMMDD: date of birth
+// - SSSS: sequence number, 0000-4999 for females and 5000-9999 for males
+// - C: citizenship, 0 for citizens, 1 for permanent residents, 2 for refugees
+// - A: no longer used, usually 8
+// - Z: Luhn check digit over the first 12 digits
+
+const CITIZENSHIP = { 0: "citizen", 1: "permanent_resident", 2: "refugee" };
+
+const pad = (number) => String(number).padStart(2, "0");
+
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Sum check over all 13 digits, the check digit included
+const isLuhnValid = (digits) => {
+  let sum = 0;
+  [...digits].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  });
+  return sum % 10 === 0;
+};
+
+// The date of birth in the ID number, or null if it isn't a real date. The
+// century isn't encoded, so the latest one that doesn't put the date of birth
+// in the future is used.
+const parseDateOfBirth = (idNumber, today = new Date()) => {
+  const year = Number(idNumber.slice(0, 2));
+  const month = Number(idNumber.slice(2, 4));
+  const day = Number(idNumber.slice(4, 6));
+
+  for (const century of [2000, 1900]) {
+    const date = new Date(century + year, month - 1, day);
+    if (
+      date.getMonth() !== month - 1 ||
+      date.getDate() !== day ||
+      date > today
+    ) {
+      continue;
+    }
+    return date;
+  }
+  return null;
+};
+
+// Why a value isn't a valid ID number, or null if it is one
+const validateIdNumber = (value) => {
+  const idNumber = String(value);
+
+  if (!/^\d{13}$/.test(idNumber)) {
+    return "ID number must be exactly 13 digits";
+  }
+  if (!parseDateOfBirth(idNumber)) {
+    return "ID number does not start with a valid date of birth";
+  }
+  if (!CITIZENSHIP[idNumber[10]]) {
+    return "ID number has an invalid citizenship digit";
+  }
+  if (!isLuhnValid(idNumber)) {
+    return "ID number has an invalid check digit";
+  }
+  return null;
+};
+
+// DATE columns come back as Dates, request bodies hold YYYY-MM-DD strings
+const toDate = (value) =>
+  value instanceof Date ? value : new Date(`${value}T00:00:00`);
+
+// Completed years between two dates
+const ageOn = (dateOfBirth, date) => {
+  let age = date.getFullYear() - dateOfBirth.getFullYear();
+  if (
+    date.getMonth() < dateOfBirth.getMonth() ||
+    (date.getMonth() === dateOfBirth.getMonth() &&
+      date.getDate() < dateOfBirth.getDate())
+  ) {
+    age--;
+  }
+  return age;
+};
+
+// What an ID number tells about its holder, for API responses. `expiryDate`
+// adds the holder's age when the record expires, as renewal rules for older
+// PRPD holders depend on it. Null for ID numbers stored before they were
+// validated.
+const describeIdNumber = (value, expiryDate = null) => {
+  if (!value || validateIdNumber(value)) {
+    return null;
+  }
+
+  const idNumber = String(value);
+  const dateOfBirth = parseDateOfBirth(idNumber);
+
+  return {
+    date_of_birth: toDateKey(dateOfBirth),
+    age: ageOn(dateOfBirth, new Date()),
+    age_at_expiry: expiryDate ? ageOn(dateOfBirth, toDate(expiryDate)) : null,
+    sex: Number(idNumber.slice(6, 10)) < 5000 ? "female" : "male",
+    citizenship: CITIZENSHIP[idNumber[10]],
+  };
+};
+
+// A driver or PRPD record with its ID number details as id_details
+const withIdDetails = (record) => ({
+  ...record,
+  id_details: describeIdNumber(record.id_number, record.expiry_date),
+});
+
+module.exports = {
+  validateIdNumber,
+  describeIdNumber,
+  withIdDetails,
+};
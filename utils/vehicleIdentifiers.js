@@ -0,0 +1,119 @@
+// Registration numbers, VINs and the barcode on South African vehicle licence
+// discs.
+
+// Registration numbers are compared without spaces, dashes or case, so
+// "CA 123-456" and "ca123456" are the same vehicle
+const normalizeRegistration = (registration) =>
+  String(registration)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+// VIN characters and their values for the check digit; I, O and Q are never
+// used as they look like 1 and 0
+const VIN_VALUES = {
+  ...Object.fromEntries([..."0123456789"].map((char) => [char, Number(char)])),
+  A: 1,
+  B: 2,
+  C: 3,
+  D: 4,
+  E: 5,
+  F: 6,
+  G: 7,
+  H: 8,
+  J: 1,
+  K: 2,
+  L: 3,
+  M: 4,
+  N: 5,
+  P: 7,
+  R: 9,
+  S: 2,
+  T: 3,
+  U: 4,
+  V: 5,
+  W: 6,
+  X: 7,
+  Y: 8,
+  Z: 9,
+};
+const VIN_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+const vinCheckDigit = (vin) => {
+  const sum = [...vin].reduce(
+    (total, char, index) => total + VIN_VALUES[char] * VIN_WEIGHTS[index],
+    0
+  );
+  const remainder = sum % 11;
+  return remainder === 10 ? "X" : String(remainder);
+};
+
+// Why a VIN is invalid, or null if it is valid. The 9th character is a check
+// digit on vehicles built for North America (world manufacturer codes
+// starting 1 to 5); other manufacturers don't have to use it, so it is only
+// checked there.
+const validateVin = (vin) => {
+  if (!/^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) {
+    return "VIN must be 17 letters and digits, without I, O or Q";
+  }
+  if (/^[1-5]/.test(vin) && vinCheckDigit(vin) !== vin[8]) {
+    return "VIN has an invalid check digit";
+  }
+  return null;
+};
+
+// Disc fields are bilingual, e.g. "White / Wit"; the English part is kept
+const english = (value) => value.split(" / ")[0].trim();
+
+// The decoded text of the PDF417 barcode on a vehicle licence disc is a list
+// of %-separated fields:
+// %MVL1CC..%..%..%..%<license number>%<registration>%<register number>%
+// <description>%<make>%<model>%<colour>%<VIN>%<engine number>%<expiry date>%
+// Resolves to the vehicle's details, or null if the text isn't a disc.
+const parseLicenseDisc = (text) => {
+  const fields = String(text).trim().split("%");
+  if (fields.length < 15 || !/^MVL/.test(fields[1])) {
+    return null;
+  }
+
+  const [
+    licenseNumber,
+    registration,
+    registerNumber,
+    description,
+    make,
+    model,
+    colour,
+    vin,
+    engineNumber,
+    expiryDate,
+  ] = fields.slice(5, 15).map((field) => field.trim());
+
+  if (
+    !registration ||
+    !make ||
+    !model ||
+    !/^\d{4}-\d{2}-\d{2}$/.test(expiryDate) ||
+    isNaN(new Date(expiryDate).getTime())
+  ) {
+    return null;
+  }
+
+  return {
+    licenseNumber: licenseNumber || null,
+    registration,
+    registerNumber: registerNumber || null,
+    vehicleCategory: description ? english(description) : null,
+    make,
+    model,
+    colour: colour ? english(colour) : null,
+    vin: vin ? vin.toUpperCase() : null,
+    engineNumber: engineNumber || null,
+    expiryDate,
+  };
+};
+
+module.exports = {
+  normalizeRegistration,
+  validateVin,
+  parseLicenseDisc,
+};